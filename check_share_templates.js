@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+/*
+  route-api 공유 페이지 템플릿 검사 스크립트
+
+  실행 위치: repository root
+  실행 명령:
+    node check_share_templates.js              # 배포 전 (wrangler.toml [build] 에서 자동 실행)
+    node check_share_templates.js --deployed   # 배포 후: 배포된 워커의 템플릿 버전과 public/ 비교
+    node check_share_templates.js --deployed=https://route.maroowell.com
+
+  검사 내용:
+    1) public/share.html, public/zipcode_share.html 에 <!-- mw:seo --> ... <!-- /mw:seo --> 블록이 하나씩 있는지
+    2) worker.js 에 템플릿 사본(base64 등)이 다시 들어가지 않았는지
+    3) wrangler.toml [assets] 가 ./public 을 ASSETS 로 바인딩하고 run_worker_first 인지
+    4) --deployed: GET /share-templates 의 버전(SHA-256 앞 12자리)이 로컬 파일과 같은지
+
+  하나라도 실패하면 exit code 1.
+*/
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const ROOT = process.cwd();
+const TEMPLATES = {
+  share: "public/share.html",
+  zipcode_share: "public/zipcode_share.html",
+};
+const SEO_START = "<!-- mw:seo -->";
+const SEO_END = "<!-- /mw:seo -->";
+const DEFAULT_DEPLOYED_ORIGIN = "https://route.maroowell.com";
+
+const errors = [];
+
+function read(rel) {
+  const file = path.join(ROOT, rel);
+  if (!fs.existsSync(file)) {
+    errors.push(`${rel} 파일이 없습니다.`);
+    return null;
+  }
+  return fs.readFileSync(file, "utf8");
+}
+
+function countOf(text, needle) {
+  return text.split(needle).length - 1;
+}
+
+// worker.js 의 loadShareTemplate 와 같은 방식 (UTF-8 내용의 SHA-256 앞 12자리)
+function templateVersion(html) {
+  return crypto.createHash("sha256").update(html, "utf8").digest("hex").slice(0, 12);
+}
+
+const local = {};
+for (const [name, rel] of Object.entries(TEMPLATES)) {
+  const html = read(rel);
+  if (html == null) continue;
+  const start = html.indexOf(SEO_START);
+  const end = html.indexOf(SEO_END);
+  if (countOf(html, SEO_START) !== 1 || countOf(html, SEO_END) !== 1 || end < start) {
+    errors.push(`${rel}: ${SEO_START} ... ${SEO_END} 블록이 정확히 하나 있어야 합니다.`);
+  } else if (html.indexOf("</head>") < end) {
+    errors.push(`${rel}: SEO 블록은 <head> 안에 있어야 합니다.`);
+  }
+  local[name] = templateVersion(html);
+}
+
+const worker = read("worker.js");
+if (worker != null) {
+  if (/SHARE_TEMPLATE_B64|["'`][A-Za-z0-9+/]{4000,}={0,2}["'`]/.test(worker)) {
+    errors.push("worker.js 에 공유 템플릿 사본이 있습니다. 템플릿은 public/ 에서만 관리합니다.");
+  }
+}
+
+const toml = read("wrangler.toml");
+if (toml != null) {
+  const assets = (toml.match(/^\[assets\]([\s\S]*?)(?=^\[|$(?![\s\S]))/m) || [])[1] || "";
+  if (!/directory\s*=\s*"\.\/public"/.test(assets)) errors.push('wrangler.toml [assets] directory = "./public" 가 필요합니다.');
+  if (!/binding\s*=\s*"ASSETS"/.test(assets)) errors.push('wrangler.toml [assets] binding = "ASSETS" 가 필요합니다.');
+  if (!/run_worker_first\s*=\s*true/.test(assets)) errors.push("wrangler.toml [assets] run_worker_first = true 가 필요합니다.");
+}
+
+async function checkDeployed(origin) {
+  const res = await fetch(new URL("/share-templates", origin), { headers: { "Cache-Control": "no-cache" } });
+  if (!res.ok) {
+    errors.push(`${origin}/share-templates 응답 ${res.status}`);
+    return;
+  }
+  const body = await res.json();
+  const deployed = new Map((body.templates || []).map((t) => [t.name, t.version]));
+  for (const [name, version] of Object.entries(local)) {
+    const remote = deployed.get(name);
+    if (remote !== version) {
+      errors.push(`${TEMPLATES[name]}: 배포본 ${remote || "(없음)"} ≠ 로컬 ${version}. wrangler deploy 로 다시 배포하세요.`);
+    }
+  }
+}
+
+(async () => {
+  const flag = process.argv.find((a) => a === "--deployed" || a.startsWith("--deployed="));
+  if (flag) await checkDeployed(flag.includes("=") ? flag.slice(flag.indexOf("=") + 1) : DEFAULT_DEPLOYED_ORIGIN);
+
+  if (errors.length) {
+    for (const e of errors) console.error(`✗ ${e}`);
+    process.exit(1);
+  }
+  for (const [name, version] of Object.entries(local)) console.log(`✓ ${name} ${version}`);
+})().catch((e) => {
+  console.error(`✗ ${e?.message || String(e)}`);
+  process.exit(1);
+});
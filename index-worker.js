@@ -6,7 +6,7 @@
  * - 브라우저 성공 요청과 더 비슷한 문맥(세션/헤더)으로 호출
  * - 간헐적 502/522 발생 시 재시도 및 디버깅 정보 강화
  *
- * 프론트(index.html)는 아래 형식만 유지되면 그대로 동작:
+ * 기본 응답(format 없음)은 아래 형식 그대로 유지한다:
  * {
  *   zipcode,
  *   srid: 5179,
@@ -14,8 +14,24 @@
  *   polygon5179,
  *   metadata
  * }
+ *
+ * 캐시:
+ * - ZIP_CACHE (KV 바인딩, 선택) 에 우편번호 → 위 응답을 보관한다. 경계는 거의 바뀌지 않는다.
+ * - ZIP_CACHE_FRESH_DAYS 가 지난 항목은 바로 돌려주고 뒤에서 juso.go.kr 로 다시 받아 둔다 (stale-while-revalidate).
+ * - GET ?refresh=1 은 캐시를 건너뛰고 새로 받는다.
+ *
+ * GeoJSON:
+ * - ?format=geojson&srid=4326 (srid 기본 4326, 5179 도 가능) 이면 서버에서 WGS84 로 바꾼 GeoJSON Feature 를 돌려준다.
+ *   properties.centroid 는 면적 가중 중심, properties.area_m2 는 구멍을 뺀 면적, bbox 는 [minX, minY, maxX, maxY].
+ *   변환·Feature 는 route-api 와 같이 쓰는 zip-geojson.js. 프론트(index.html, public/zipcode_share.html)는 이 형식을 받는다.
+ *
+ * POST /batch { zipcodes: ["07420", ...], format?, srid? } (최대 ZIP_BATCH_MAX 개)
+ * - 캐시에 있는 것은 모두, 없는 것은 요청당 ZIP_BATCH_UPSTREAM_LIMIT 개까지 juso 에서 받아 돌려준다.
+ * - 나머지는 pending 으로 알려주므로 프론트는 pending 만 다시 보내면 된다.
  */
 
+import { ZIP_GEOJSON_SRIDS, zipBoundaryToFeature } from "./zip-geojson.js";
+
 const JUSO_ORIGIN = "https://www.juso.go.kr";
 const JUSO_MAP_URL = `${JUSO_ORIGIN}/map/totalMapView`;
 const JUSO_API_URL = `${JUSO_ORIGIN}/api/totalMap/selectKarbSbdList`;
@@ -34,6 +50,14 @@ const ERROR_BODY_SNIPPET = 800;
 const BOOTSTRAP_TIMEOUT_MS = 6000;
 const API_TIMEOUT_MS = 9000;
 
+const ZIP_CACHE_PREFIX = "zip:v1:";
+const ZIP_CACHE_FRESH_DAYS = 30;
+const ZIP_BATCH_MAX = 300;
+// juso 조회 한 번이 세션 + payload 변형 재시도로 하위 요청을 수십 개까지 쓴다. 요청당 하위 요청 한도를 넘지 않게 나눈다.
+const ZIP_BATCH_UPSTREAM_LIMIT = 8;
+const ZIP_BATCH_UPSTREAM_CONCURRENCY = 2;
+const ZIP_REVALIDATE_LIMIT = 3;
+
 function timeoutError(label, ms) {
   const err = new Error(`${label} timeout after ${ms}ms`);
   err.name = "AbortError";
@@ -80,104 +104,40 @@ export default {
 
     try {
       const url = new URL(request.url);
+
+      if (url.pathname === "/batch") {
+        if (request.method !== "POST") return jsonResp({ error: "POST 만 지원" }, 405);
+        let body = null;
+        try {
+          body = await request.json();
+        } catch {
+          return jsonResp({ error: "JSON body 가 필요함: { zipcodes: [...] }" }, 400);
+        }
+        const format = parseGeoJsonFormat(body?.format, body?.srid);
+        if (format.error) return jsonResp({ error: format.error }, 400);
+        const out = await handleBatch(env, ctx, body);
+        if (format.srid && out.status === 200) {
+          for (const zip of Object.keys(out.body.found)) out.body.found[zip] = zipBoundaryToFeature(out.body.found[zip], format.srid);
+        }
+        return jsonResp(out.body, out.status);
+      }
+
       const zipcode = (url.searchParams.get("zipcode") || "").trim();
       const debug = url.searchParams.get("debug") === "1";
+      const refresh = url.searchParams.get("refresh") === "1";
 
       if (!/^\d{5}$/.test(zipcode)) {
         return jsonResp({ error: "유효한 5자리 zipcode 쿼리 파라미터가 필요함" }, 400);
       }
 
-      const upstream = await fetchFromJuso(zipcode, debug);
-
-      if (!upstream.ok) {
-        return jsonResp(
-          {
-            error: "주소정보 API 호출 실패",
-            status: upstream.status || 0,
-            attemptCount: upstream.attemptCount,
-            variant: upstream.variant || null,
-            detail: upstream.detail || "",
-            responseSnippet: upstream.responseSnippet || "",
-          },
-          502
-        );
-      }
-
-      const data = upstream.data;
-
-      if (!data?.results || !Array.isArray(data.results.content)) {
-        return jsonResp(
-          {
-            error: "응답 데이터 형식 오류",
-            response: data,
-          },
-          500
-        );
-      }
-
-      if (data.results.content.length === 0) {
-        return jsonResp(
-          {
-            error: "해당 우편번호의 경계 데이터가 없음",
-            zipcode,
-          },
-          404
-        );
-      }
-
-      const item = data.results.content[0];
-
-      if (!item?.geom) {
-        return jsonResp(
-          {
-            error: "geom 필드가 없음",
-            item,
-          },
-          500
-        );
-      }
-
-      let geojson;
-      try {
-        geojson = typeof item.geom === "string" ? JSON.parse(item.geom) : item.geom;
-      } catch (e) {
-        return jsonResp(
-          {
-            error: "GeoJSON 파싱 실패",
-            detail: String(e),
-            geom: item.geom,
-          },
-          500
-        );
-      }
-
-      if (geojson?.type !== "MultiPolygon" || !Array.isArray(geojson.coordinates)) {
-        return jsonResp(
-          {
-            error: "예상치 못한 geometry 타입",
-            type: geojson?.type ?? null,
-          },
-          500
-        );
-      }
-
-      const polygon5179 = geojson.coordinates;
-      const center5179 = computeCenter5179(polygon5179);
-
-      const metadata = {
-        ctpvNm: item.ctpvNm ?? null,
-        sigNm: item.sigNm ?? null,
-        sbdno: item.sbdno ?? zipcode,
-        lgvReplcCd: item.lgvReplcCd ?? null,
-      };
+      const format = parseGeoJsonFormat(url.searchParams.get("format"), url.searchParams.get("srid"));
+      if (format.error) return jsonResp({ error: format.error }, 400);
 
-      return jsonResp({
-        zipcode,
-        srid: 5179,
-        center5179,
-        polygon5179,
-        metadata,
-      });
+      const out = await getZipBoundary(env, ctx, zipcode, { debug, refresh });
+      const res = jsonResp(format.srid && out.status === 200 ? zipBoundaryToFeature(out.body, format.srid) : out.body, out.status);
+      if (format.srid && out.status === 200) res.headers.set("Content-Type", "application/geo+json; charset=utf-8");
+      if (out.cache) res.headers.set("X-Cache", out.cache);
+      return res;
     } catch (err) {
       return jsonResp(
         {
@@ -191,6 +151,223 @@ export default {
   },
 };
 
+// juso.go.kr 응답을 프론트 형식으로 바꾼다. 실패도 { status, body } 로 돌려준다.
+async function lookupZipFromJuso(zipcode, debug = false) {
+  const upstream = await fetchFromJuso(zipcode, debug);
+
+  if (!upstream.ok) {
+    return {
+      status: 502,
+      body: {
+        error: "주소정보 API 호출 실패",
+        status: upstream.status || 0,
+        attemptCount: upstream.attemptCount,
+        variant: upstream.variant || null,
+        detail: upstream.detail || "",
+        responseSnippet: upstream.responseSnippet || "",
+      },
+    };
+  }
+
+  const data = upstream.data;
+
+  if (!data?.results || !Array.isArray(data.results.content)) {
+    return {
+      status: 500,
+      body: {
+        error: "응답 데이터 형식 오류",
+        response: data,
+      },
+    };
+  }
+
+  if (data.results.content.length === 0) {
+    return {
+      status: 404,
+      body: {
+        error: "해당 우편번호의 경계 데이터가 없음",
+        zipcode,
+      },
+    };
+  }
+
+  const item = data.results.content[0];
+
+  if (!item?.geom) {
+    return {
+      status: 500,
+      body: {
+        error: "geom 필드가 없음",
+        item,
+      },
+    };
+  }
+
+  let geojson;
+  try {
+    geojson = typeof item.geom === "string" ? JSON.parse(item.geom) : item.geom;
+  } catch (e) {
+    return {
+      status: 500,
+      body: {
+        error: "GeoJSON 파싱 실패",
+        detail: String(e),
+        geom: item.geom,
+      },
+    };
+  }
+
+  if (geojson?.type !== "MultiPolygon" || !Array.isArray(geojson.coordinates)) {
+    return {
+      status: 500,
+      body: {
+        error: "예상치 못한 geometry 타입",
+        type: geojson?.type ?? null,
+      },
+    };
+  }
+
+  const polygon5179 = geojson.coordinates;
+  const center5179 = computeCenter5179(polygon5179);
+
+  const metadata = {
+    ctpvNm: item.ctpvNm ?? null,
+    sigNm: item.sigNm ?? null,
+    sbdno: item.sbdno ?? zipcode,
+    lgvReplcCd: item.lgvReplcCd ?? null,
+  };
+
+  return {
+    status: 200,
+    body: {
+      zipcode,
+      srid: 5179,
+      center5179,
+      polygon5179,
+      metadata,
+    },
+  };
+}
+
+function zipCacheStore(env) {
+  return env?.ZIP_CACHE && typeof env.ZIP_CACHE.get === "function" ? env.ZIP_CACHE : null;
+}
+
+async function readZipCache(env, zipcode) {
+  const kv = zipCacheStore(env);
+  if (!kv) return null;
+  try {
+    const entry = await kv.get(`${ZIP_CACHE_PREFIX}${zipcode}`, "json");
+    return entry?.data?.polygon5179 ? entry : null;
+  } catch {
+    return null;
+  }
+}
+
+async function writeZipCache(env, zipcode, data) {
+  const kv = zipCacheStore(env);
+  if (!kv) return;
+  try {
+    await kv.put(`${ZIP_CACHE_PREFIX}${zipcode}`, JSON.stringify({ fetchedAt: Date.now(), data }));
+  } catch (e) {
+    console.warn("ZIP_CACHE 저장 실패:", zipcode, String(e));
+  }
+}
+
+function isZipCacheFresh(entry) {
+  return Date.now() - Number(entry?.fetchedAt || 0) < ZIP_CACHE_FRESH_DAYS * 24 * 60 * 60 * 1000;
+}
+
+// 성공한 조회만 캐시한다. 실패/없음은 다음 요청에서 다시 시도한다.
+async function fetchAndCacheZip(env, zipcode, debug = false) {
+  const out = await lookupZipFromJuso(zipcode, debug);
+  if (out.status === 200) await writeZipCache(env, zipcode, out.body);
+  return out;
+}
+
+function revalidateZipInBackground(env, ctx, zipcode) {
+  if (!ctx || typeof ctx.waitUntil !== "function") return false;
+  ctx.waitUntil(
+    fetchAndCacheZip(env, zipcode).catch((e) => console.warn("ZIP_CACHE 갱신 실패:", zipcode, String(e)))
+  );
+  return true;
+}
+
+async function getZipBoundary(env, ctx, zipcode, { debug = false, refresh = false } = {}) {
+  const entry = refresh ? null : await readZipCache(env, zipcode);
+  if (entry) {
+    if (isZipCacheFresh(entry)) return { status: 200, body: entry.data, cache: "HIT" };
+    revalidateZipInBackground(env, ctx, zipcode);
+    return { status: 200, body: entry.data, cache: "STALE" };
+  }
+
+  const out = await fetchAndCacheZip(env, zipcode, debug);
+  return { ...out, cache: zipCacheStore(env) ? "MISS" : null };
+}
+
+async function handleBatch(env, ctx, body) {
+  const raw = Array.isArray(body?.zipcodes) ? body.zipcodes : null;
+  if (!raw) return { status: 400, body: { error: "zipcodes 배열이 필요함" } };
+
+  const zipcodes = [...new Set(raw.map((z) => String(z ?? "").trim()).filter(Boolean))];
+  const invalid = zipcodes.filter((z) => !/^\d{5}$/.test(z));
+  if (invalid.length) return { status: 400, body: { error: "유효하지 않은 우편번호", invalid } };
+  if (zipcodes.length > ZIP_BATCH_MAX) {
+    return { status: 400, body: { error: `한 번에 최대 ${ZIP_BATCH_MAX}개까지 조회 가능`, count: zipcodes.length } };
+  }
+
+  const found = {};
+  const failed = [];
+  const misses = [];
+  const stats = { hit: 0, stale: 0, miss: 0 };
+  let revalidated = 0;
+
+  const entries = await Promise.all(zipcodes.map((z) => readZipCache(env, z)));
+  zipcodes.forEach((zipcode, i) => {
+    const entry = entries[i];
+    if (!entry) {
+      misses.push(zipcode);
+      return;
+    }
+    found[zipcode] = entry.data;
+    if (isZipCacheFresh(entry)) {
+      stats.hit += 1;
+    } else {
+      stats.stale += 1;
+      if (revalidated < ZIP_REVALIDATE_LIMIT && revalidateZipInBackground(env, ctx, zipcode)) revalidated += 1;
+    }
+  });
+
+  const now = misses.slice(0, ZIP_BATCH_UPSTREAM_LIMIT);
+  const pending = misses.slice(ZIP_BATCH_UPSTREAM_LIMIT);
+  for (let i = 0; i < now.length; i += ZIP_BATCH_UPSTREAM_CONCURRENCY) {
+    const chunk = now.slice(i, i + ZIP_BATCH_UPSTREAM_CONCURRENCY);
+    const results = await Promise.all(chunk.map((z) => fetchAndCacheZip(env, z)));
+    chunk.forEach((zipcode, j) => {
+      const out = results[j];
+      stats.miss += 1;
+      if (out.status === 200) found[zipcode] = out.body;
+      else failed.push({ zipcode, status: out.status, error: out.body?.error || "조회 실패" });
+    });
+  }
+
+  return {
+    status: 200,
+    body: { count: zipcodes.length, found, failed, pending, cache: stats },
+  };
+}
+
+// ---------- GeoJSON ----------
+// 좌표 변환과 Feature 만들기는 route-api 와 같이 쓰는 zip-geojson.js 에 있다.
+function parseGeoJsonFormat(formatRaw, sridRaw) {
+  const format = String(formatRaw ?? "").trim().toLowerCase();
+  if (!format) return { srid: null };
+  if (format !== "geojson") return { error: "format 은 geojson 만 지원" };
+  const srid = sridRaw == null || String(sridRaw).trim() === "" ? 4326 : Number(sridRaw);
+  if (!ZIP_GEOJSON_SRIDS.includes(srid)) return { error: `srid 는 ${ZIP_GEOJSON_SRIDS.join(" 또는 ")}` };
+  return { srid };
+}
+
 function computeCenter5179(polygon5179) {
   try {
     if (
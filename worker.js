@@ -4,22 +4,41 @@
  * ENV:
  *  - SUPABASE_URL
  *  - SUPABASE_SERVICE_ROLE_KEY
+ *  - KAKAO_REST_API_KEY (선택, 입차지 주소 지오코딩)
+ *  - GEOCODER=local + GEOCODER_LOCAL_TABLE (선택, 카카오 대신 쓰는 로컬 지오코더)
+ *  - OSM_TILE_KV (선택, /osm 타일 캐시용 KV 바인딩)
+ *  - OG_IMAGE_KV (선택, /og/route.png 그린 PNG 를 지역 간에 공유하는 KV 바인딩)
+ *  - LOCATE_RATE_LIMITER (선택, /locate?address= 조회 제한용 rate limiting 바인딩)
+ *  - ASSETS (wrangler.toml [assets], 공유 페이지 템플릿 public/share.html, public/zipcode_share.html, OG 제목 글꼴)
+ *
+ * 쓰기(POST/DELETE)는 Supabase 로그인 토큰(Authorization: Bearer)과
+ * user_access 편집 권한이 필요하다. GET은 공개.
  */
 
+import { epsg5179ToWgs84, wgs84ToEpsg5179, ZIP_GEOJSON_SRIDS, zipBoundaryToFeature } from "./zip-geojson.js";
+
 const ROUTE_TABLE = "subsubroutes";
 const ADDRESS_TABLE = "addresses";
 const CAMPS_TABLE = "camps";
 const VENDORS_TABLE = "vendors";
+const CLEANSING_HISTORY_TABLE = "cleansing_history";
+const ROUTE_REVISION_TABLE = "subsubroute_revisions";
+const ROUTE_VENDOR_PERIOD_TABLE = "subsubroute_vendor_periods";
+const USER_ACCESS_TABLE = "user_access";
+const VENDOR_MEMBERS_TABLE = "vendor_members";
+const AUDIT_TABLE = "api_audit_log";
+const SHARE_LINK_TABLE = "share_links";
 const FAVICON_URL = "https://maroowell.com/favicon.ico?v=2";
 const OG_IMAGE_URL = "https://maroowell.com/assets/og/maroowell-1200x630.png?v=1";
 
 export default {
-  async fetch(request, env) {
+  async fetch(request, env, executionCtx) {
     // CORS preflight
     if (request.method === "OPTIONS") {
       return cors(new Response("", { status: 204 }));
     }
 
+    let ctx = null;
     try {
       const url = new URL(request.url);
       const path = url.pathname;
@@ -28,15 +47,108 @@ export default {
         return cors(json({ ok: true }));
       }
 
+      if (path === "/me" && request.method === "GET") {
+        const me = await requireUser(request, env);
+        return cors(json({ ok: true, ...publicAuth(me) }, 200, { "Cache-Control": "no-store" }));
+      }
+
+      // 쓰기 라우트는 각 분기에서 editor()로 로그인 + 편집 권한을 확인한다.
+      // 매칭되지 않는 경로는 인증 없이 404로 떨어진다.
+      // ctx는 수정 이력/감사 로그에 남길 요청 정보, executionCtx 는 Workers 실행 컨텍스트(waitUntil).
+      const editor = async () => {
+        ctx = buildWriteContext(request, url, await requireRouteEditor(request, env));
+        return ctx;
+      };
+
+      if (path === "/audit" && request.method === "GET") {
+        await requireRouteEditor(request, env);
+        return cors(await handleAuditGet(url, env));
+      }
+
       if (path === "/route") {
-        if (request.method === "GET") return cors(await handleRouteGet(url, env));
-        if (request.method === "POST") return cors(await handleRoutePost(request, env));
-        if (request.method === "DELETE") return cors(await handleRouteDelete(request, env));
+        if (request.method === "GET") {
+          return cors(await withEdgeCache(request, url, executionCtx, "route", () => handleRouteGet(url, env)));
+        }
+        if (request.method === "POST") return cors(await handleRoutePost(request, env, await editor()));
+        if (request.method === "DELETE") return cors(await handleRouteDelete(request, env, await editor()));
+        return cors(json({ error: "Method Not Allowed" }, 405));
+      }
+
+      if (path === "/route/vendors") {
+        if (request.method === "GET") return cors(await handleRouteVendorsGet(url, env));
+        if (request.method === "POST") return cors(await handleRouteVendorsPost(request, env, await editor()));
+        if (request.method === "DELETE") return cors(await handleRouteVendorsDelete(request, env, await editor()));
+        return cors(json({ error: "Method Not Allowed" }, 405));
+      }
+
+      if (path === "/route/revisions" && request.method === "GET") {
+        return cors(await handleRouteRevisionsGet(url, env));
+      }
+
+      if (path === "/route/revisions/restore" && request.method === "POST") {
+        return cors(await handleRouteRevisionRestore(request, env, await editor()));
+      }
+
+      if (path === "/route/overlaps" && request.method === "GET") {
+        return cors(await handleRouteOverlapsGet(url, env));
+      }
+
+      if (path === "/route/gaps" && request.method === "GET") {
+        return cors(await handleRouteGapsGet(url, env));
+      }
+
+      if (path === "/route/bulk") {
+        if (request.method === "POST") return cors(await handleRouteBulkPost(request, url, env, await editor()));
+        return cors(json({ error: "Method Not Allowed" }, 405));
+      }
+
+      if (path === "/route/export" && request.method === "GET") {
+        return cors(await handleRouteExportGet(url, env));
+      }
+
+      if (path === "/route.geojson") {
+        if (request.method === "GET") return cors(await handleRouteGeoJsonGet(url, env));
+        if (request.method === "POST") return cors(await handleRouteGeoJsonPost(request, url, env, await editor()));
         return cors(json({ error: "Method Not Allowed" }, 405));
       }
 
+      if (path === "/route.kml" && request.method === "GET") {
+        return cors(await handleRouteKmlGet(url, env));
+      }
+
+      if (path === "/locate" && request.method === "GET") {
+        return cors(await withEdgeCache(request, url, executionCtx, "locate", () => handleLocateGet(request, url, env)));
+      }
+
+      if (path === "/addresses/mismatches" && request.method === "GET") {
+        return cors(await handleAddressMismatchesGet(url, env));
+      }
+
+      if (path === "/addresses/reassign" && request.method === "POST") {
+        return cors(await handleAddressReassign(request, env, await editor()));
+      }
+
       if (path === "/addresses" && request.method === "GET") {
-        return cors(await handleAddressesGet(url, env));
+        return cors(await withEdgeCache(request, url, executionCtx, "addresses", () => handleAddressesGet(url, env)));
+      }
+
+      const shareLink = path.match(/^\/s\/([^/]+)$/);
+      if (shareLink && request.method === "GET") {
+        return await handleShareLinkOpen(request, url, env, decodeURIComponent(shareLink[1]));
+      }
+
+      if (path === "/share-link") {
+        if (request.method === "POST") return cors(await handleShareLinkCreate(request, url, env, await editor()));
+        if (request.method === "DELETE") return cors(await handleShareLinkRevoke(request, url, env, await editor()));
+        return cors(json({ error: "Method Not Allowed" }, 405));
+      }
+
+      if (path === "/share-links" && request.method === "GET") {
+        return cors(await handleShareLinksGet(request, url, env));
+      }
+
+      if (path === "/og/route.png" && request.method === "GET") {
+        return cors(await withEdgeCache(request, url, executionCtx, "og-route", () => handleRouteOgImageGet(url, env, executionCtx), OG_CACHE_CONTROL));
       }
 
       // 공유 엔드포인트는 /share 와 /share.html 둘 다 처리
@@ -44,32 +156,94 @@ export default {
         return await handleShareHtml(request, url, env);
       }
 
+      if ((path === "/zipcode_share" || path === "/zipcode_share.html") && request.method === "GET") {
+        return await handleZipcodeShareHtml(request, url, env);
+      }
+
+      if (path === "/share-templates" && request.method === "GET") {
+        return cors(await handleShareTemplatesGet(request, env));
+      }
+
       if (path === "/camps") {
-        if (request.method === "GET") return cors(await handleCampsGet(url, env));
-        if (request.method === "POST") return cors(await handleCampsPost(request, env));
+        if (request.method === "GET") {
+          return cors(await withEdgeCache(request, url, executionCtx, "camps", () => handleCampsGet(url, env)));
+        }
+        if (request.method === "POST") return cors(await handleCampsPost(request, env, await editor()));
+        if (request.method === "DELETE") return cors(await handleCampsDelete(request, env, await editor()));
         return cors(json({ error: "Method Not Allowed" }, 405));
       }
 
+      if (path === "/camps/geocode" && request.method === "POST") {
+        return cors(await handleCampGeocodeBackfill(request, env, await editor()));
+      }
+
+      if (path === "/camps/rename" && request.method === "POST") {
+        return cors(await handleCampRename(request, env, await editor()));
+      }
+
+      if (path === "/camps/merge" && request.method === "POST") {
+        return cors(await handleCampMerge(request, env, await editor()));
+      }
+
+      if (path === "/vendors/duplicates" && request.method === "GET") {
+        return cors(await handleVendorDuplicatesGet(url, env));
+      }
+
+      if (path === "/vendors/merge" && request.method === "POST") {
+        return cors(await handleVendorMerge(request, env, await editor()));
+      }
+
+      const vendorDetail = path.match(/^\/vendors\/([^/]+)$/);
+      if (vendorDetail && request.method === "GET") {
+        return cors(await handleVendorDetailGet(url, env, decodeURIComponent(vendorDetail[1])));
+      }
+
       if (path === "/vendors") {
         if (request.method === "GET") return cors(await handleVendorsGet(url, env));
-        if (request.method === "POST") return cors(await handleVendorCreate(request, env));
+        if (request.method === "POST") return cors(await handleVendorCreate(request, env, await editor()));
         return cors(json({ error: "Method Not Allowed" }, 405));
       }
 
       if (path === "/osm" && request.method === "GET") {
-        return cors(await handleOsmGet(url));
+        return cors(await handleOsmGet(url, env, executionCtx));
       }
 
       // zipcode API: /?zipcode=07420 또는 /zip?zipcode=07420
       if ((path === "/" || path === "/zip") && request.method === "GET") {
         const zipcode = (url.searchParams.get("zipcode") || "").trim();
         if (!zipcode) return cors(json({ error: "zipcode 쿼리 파라미터가 필요함" }, 400));
-        return cors(await handleZipGet(zipcode));
+        return cors(await handleZipGet(zipcode, url));
+      }
+
+      // 공유 템플릿이 쓰는 /favicon.ico, /assets/ 정적 파일만. public/ 의 나머지(관리 페이지, config.js 등)는 내보내지 않는다.
+      if (request.method === "GET" && isShareAssetPath(path) && env.ASSETS && typeof env.ASSETS.fetch === "function") {
+        const asset = await env.ASSETS.fetch(request);
+        if (asset.status !== 404) return asset;
       }
 
       return cors(json({ error: "Not Found" }, 404));
     } catch (e) {
-      return cors(json({ error: e?.message || String(e) }, 500));
+      return cors(json({ error: e?.message || String(e) }, e?.status || 500));
+    } finally {
+      // 요청 중 바뀐 캠프 캐시는 응답 뒤에 한 번만 무효화한다 (중간에 실패해도 이미 쓴 행이 있으면 지운다).
+      if (ctx?.purgeCamps?.size) await afterResponse(executionCtx, purgeCampCache(Array.from(ctx.purgeCamps)));
+    }
+  },
+
+  // wrangler.toml [triggers] crons: 예약된 벤더 교체일이 되면 subsubroutes 컬럼을 맞추고,
+  // 지오코더가 설정돼 있으면 좌표 없는 입차지를 조금씩 채운다.
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(
+      syncScheduledVendorPeriods(env)
+        .then((r) => console.log("벤더 예약 동기화:", JSON.stringify(r)))
+        .catch((e) => console.error("벤더 예약 동기화 실패:", e?.message || String(e)))
+    );
+    if (createGeocoder(env)) {
+      ctx.waitUntil(
+        backfillCampGeocodes(env)
+          .then((r) => console.log("입차지 지오코딩 백필:", JSON.stringify({ checked: r.checked, resolved: r.resolved, failed: r.failed, errors: r.errors })))
+          .catch((e) => console.error("입차지 지오코딩 백필 실패:", e?.message || String(e)))
+      );
     }
   },
 };
@@ -81,6 +255,8 @@ function cors(res) {
   h.set("Access-Control-Allow-Methods", "GET,POST,DELETE,OPTIONS");
   h.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
   h.set("Access-Control-Max-Age", "86400");
+  h.set("Access-Control-Expose-Headers", "Content-Range, ETag, X-Cache, Server-Timing");
+  h.set("Timing-Allow-Origin", "*");
   return new Response(res.body, { status: res.status, headers: h });
 }
 
@@ -107,7 +283,7 @@ function mustEnv(env, key) {
   return value;
 }
 
-async function supabaseFetch(env, pathWithQuery, init = {}) {
+async function supabaseRequest(env, pathWithQuery, init = {}) {
   const base = mustEnv(env, "SUPABASE_URL");
   const key = mustEnv(env, "SUPABASE_SERVICE_ROLE_KEY");
 
@@ -131,14 +307,37 @@ async function supabaseFetch(env, pathWithQuery, init = {}) {
     throw new Error(msg);
   }
 
-  if (!text) return null;
+  if (!text) return { res, data: null };
   try {
-    return JSON.parse(text);
+    return { res, data: JSON.parse(text) };
   } catch {
-    return text;
+    return { res, data: text };
   }
 }
 
+async function supabaseFetch(env, pathWithQuery, init = {}) {
+  return (await supabaseRequest(env, pathWithQuery, init)).data;
+}
+
+// Prefer: count=exact 로 조회해 Content-Range("0-49/1234")의 전체 건수를 함께 돌려준다.
+async function supabaseFetchWithCount(env, pathWithQuery) {
+  const { res, data } = await supabaseRequest(env, pathWithQuery, {
+    method: "GET",
+    headers: { Prefer: "count=exact" },
+  });
+  return {
+    rows: Array.isArray(data) ? data : [],
+    count: parseContentRangeCount(res.headers.get("Content-Range")),
+  };
+}
+
+function parseContentRangeCount(value) {
+  const match = safeTrim(value).match(/\/(\d+|\*)$/);
+  if (!match || match[1] === "*") return null;
+  const count = Number(match[1]);
+  return Number.isFinite(count) ? count : null;
+}
+
 function safeTrim(v) {
   return String(v ?? "").trim();
 }
@@ -169,26 +368,6 @@ function escapeHtmlAttr(s) {
     .replace(/'/g, "&#39;");
 }
 
-function quoteJsString(s) {
-  return JSON.stringify(String(s ?? ""));
-}
-
-function removeHtmlTags(html, regexList = []) {
-  let out = String(html ?? "");
-  for (const re of regexList) {
-    out = out.replace(re, "");
-  }
-  return out;
-}
-
-function prependHeadBlock(html, block) {
-  const headOpen = html.match(/<head[^>]*>/i);
-  if (headOpen) {
-    return html.replace(/<head[^>]*>/i, `${headOpen[0]}\n${block}`);
-  }
-  return `${block}\n${html}`;
-}
-
 function buildVersionedAssetUrl(rawUrl, versionValue) {
   try {
     const u = new URL(String(rawUrl));
@@ -199,8 +378,7 @@ function buildVersionedAssetUrl(rawUrl, versionValue) {
   }
 }
 
-function getKstYYYYMMDDHHMM() {
-  const now = new Date();
+function getKstYYYYMMDDHHMM(now = new Date()) {
   const kst = new Date(now.getTime() + 9 * 60 * 60 * 1000); // UTC+9
   const yyyy = String(kst.getUTCFullYear());
   const mm = String(kst.getUTCMonth() + 1).padStart(2, "0");
@@ -210,6 +388,85 @@ function getKstYYYYMMDDHHMM() {
   return `${yyyy}${mm}${dd}${HH}${MM}`;
 }
 
+// ---------- pagination ----------
+// cursor는 다음 페이지 offset을 담은 불투명 문자열. 응답은 { rows, next_cursor, total } + Content-Range 헤더.
+const PAGE_MAX_LIMIT = 1000;
+const SEARCH_MAX_ROWS = 1000;
+
+function encodeCursor(offset) {
+  return btoa(JSON.stringify({ o: offset })).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function decodeCursor(cursor) {
+  const raw = safeTrim(cursor);
+  if (!raw) return 0;
+  try {
+    const b64 = raw.replace(/-/g, "+").replace(/_/g, "/");
+    const offset = JSON.parse(atob(b64 + "===".slice((b64.length + 3) % 4)))?.o;
+    if (Number.isInteger(offset) && offset >= 0) return offset;
+  } catch {}
+  throw httpError(400, "invalid cursor");
+}
+
+function readPageParams(url, { defaultLimit = 50, maxLimit = PAGE_MAX_LIMIT } = {}) {
+  const limitRaw = Number(url.searchParams.get("limit"));
+  const limit = Number.isFinite(limitRaw) && limitRaw > 0 ? Math.min(Math.floor(limitRaw), maxLimit) : defaultLimit;
+  return { limit, offset: decodeCursor(url.searchParams.get("cursor")) };
+}
+
+// total을 모르면(null) 이번 페이지가 가득 찼는지로 다음 페이지 여부를 판단한다.
+function pageResponse(rows, { offset, limit, total = null, extra = {} }, extraHeaders = {}) {
+  const end = offset + rows.length;
+  const hasMore = rows.length > 0 && (total != null ? end < total : rows.length >= limit);
+  const range = rows.length > 0 ? `${offset}-${end - 1}` : "*";
+
+  return json(
+    { rows, next_cursor: hasMore ? encodeCursor(end) : null, total, ...extra },
+    200,
+    { ...extraHeaders, "Content-Range": `${range}/${total ?? "*"}` }
+  );
+}
+
+// 검색은 점수순이라 DB 에서 바로 자를 수 없다. 매 페이지 같은 후보(쿼리마다 최근 SEARCH_MAX_ROWS 건)를
+// 같은 순서로 정렬한 뒤 offset 으로 자르므로 페이지 사이에 겹치거나 빠지는 행이 없다.
+// total 은 넘길 수 있는 후보 수이고, 일치 건수(matchCount)가 그보다 많으면 truncated 로 알려준다.
+function searchPageResponse(candidates, score, page, { matchCount = null, map = (row) => row, extra = {} } = {}, extraHeaders = {}) {
+  const ranked = candidates
+    .map((row) => ({ row, score: score(row) }))
+    .sort((a, b) => b.score - a.score)
+    .map((item) => item.row);
+  const rows = ranked.slice(page.offset, page.offset + page.limit).map(map);
+  const truncated = matchCount != null && matchCount > ranked.length;
+  return pageResponse(rows, { ...page, total: ranked.length, extra: { ...extra, truncated } }, extraHeaders);
+}
+
+// limit/offset 으로 끝까지 읽는다. params의 order는 호출하는 쪽에서 고정해야 페이지가 밀리지 않는다.
+async function fetchAllRows(env, table, params, pageSize = PAGE_MAX_LIMIT) {
+  const out = [];
+  for (let offset = 0; ; offset += pageSize) {
+    const p = new URLSearchParams(params.toString());
+    p.set("limit", String(pageSize));
+    p.set("offset", String(offset));
+
+    const page = await supabaseFetch(env, `/rest/v1/${table}?${p.toString()}`, { method: "GET" });
+    const rows = Array.isArray(page) ? page : [];
+    out.push(...rows);
+    if (rows.length < pageSize) break;
+  }
+  return out;
+}
+
+function kstDateString(date = new Date()) {
+  return new Date(date.getTime() + 9 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+function parseDateParam(v) {
+  const raw = safeTrim(v);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(raw)) return null;
+  const d = new Date(`${raw}T00:00:00Z`);
+  return Number.isNaN(d.getTime()) || d.toISOString().slice(0, 10) !== raw ? null : raw;
+}
+
 function normalizeCampKey(v) {
   return safeTrim(v).toLowerCase();
 }
@@ -254,6 +511,28 @@ function normalizeBusinessNumber(v) {
   return safeTrim(v);
 }
 
+// 사업자등록번호 검증번호: 앞 9자리 × (1,3,7,1,3,7,1,3,5) 합 + ⌊9번째 자리 × 5 / 10⌋, 10 - (합 % 10) 의 일의 자리가 끝자리.
+const BUSINESS_NUMBER_WEIGHTS = [1, 3, 7, 1, 3, 7, 1, 3, 5];
+
+function validateBusinessNumber(v) {
+  const d = digitsOnly(v);
+  if (!d) return { valid: false, reason: "empty" };
+  if (d.length !== 10) return { valid: false, reason: "length" };
+
+  let sum = 0;
+  for (let i = 0; i < 9; i++) sum += Number(d[i]) * BUSINESS_NUMBER_WEIGHTS[i];
+  sum += Math.floor((Number(d[8]) * 5) / 10);
+  const expected = (10 - (sum % 10)) % 10;
+
+  if (expected !== Number(d[9])) return { valid: false, reason: "checksum", expected_check_digit: expected };
+  return { valid: true, reason: null };
+}
+
+function withBusinessNumberCheck(row) {
+  if (!row || typeof row !== "object") return row;
+  return { ...row, business_number_check: validateBusinessNumber(row.business_number) };
+}
+
 function buildVendorCodeFromBusinessNumber(v) {
   const d = digitsOnly(v);
   if (!d) return null;
@@ -265,42 +544,58 @@ function quoteInValue(v) {
   return `"${s.replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
 }
 
-async function fetchVendorNameMap(env, businessNumbers) {
+const VENDOR_IN_CHUNK = 150;
+
+function chunkArray(list, size) {
+  const out = [];
+  for (let i = 0; i < list.length; i += size) out.push(list.slice(i, i + size));
+  return out;
+}
+
+function businessNumberVariants(v) {
+  const raw = safeTrim(v);
+  if (!raw) return [];
+  return Array.from(new Set([raw, normalizeBusinessNumber(raw), digitsOnly(raw)].filter(Boolean)));
+}
+
+// 사업자번호 목록을 in.(...) 쿼리 몇 번으로 한꺼번에 조회한다. data가 있으면 요청 안에서 이미 찾은 번호는 다시 묻지 않는다.
+async function fetchVendorNameMap(env, businessNumbers, data = null) {
+  const cache = data?.vendorNames || new Map();
   const bnSet = new Set();
   for (const v of businessNumbers || []) {
-    const raw = safeTrim(v);
-    if (!raw) continue;
-    bnSet.add(raw);
-    const norm = normalizeBusinessNumber(raw);
-    if (norm) bnSet.add(norm);
-    const d = digitsOnly(raw);
-    if (d) bnSet.add(d);
+    for (const bn of businessNumberVariants(v)) {
+      if (!cache.has(bn)) bnSet.add(bn);
+    }
   }
   const bns = Array.from(bnSet);
 
-  if (bns.length === 0) return new Map();
-
-  const params = new URLSearchParams();
-  params.set("select", "business_number,name");
-  params.set("business_number", `in.(${bns.slice(0, 200).map(quoteInValue).join(",")})`);
+  if (bns.length > 0) {
+    const chunks = await Promise.all(chunkArray(bns, VENDOR_IN_CHUNK).map(async (chunk) => {
+      const params = new URLSearchParams();
+      params.set("select", "business_number,name");
+      params.set("business_number", `in.(${chunk.map(quoteInValue).join(",")})`);
+      const rows = await supabaseFetch(env, `/rest/v1/${VENDORS_TABLE}?${params.toString()}`, { method: "GET" });
+      return Array.isArray(rows) ? rows : [];
+    }));
+
+    for (const bn of bns) cache.set(bn, null);
+    for (const row of chunks.flat()) {
+      const name = safeTrim(row?.name) || null;
+      for (const bn of businessNumberVariants(row?.business_number)) cache.set(bn, name);
+    }
+  }
 
-  const rows = await supabaseFetch(env, `/rest/v1/${VENDORS_TABLE}?${params.toString()}`, { method: "GET" });
   const out = new Map();
-  if (!Array.isArray(rows)) return out;
-  for (const row of rows) {
-    const bn = safeTrim(row?.business_number);
-    if (!bn) continue;
-    const name = safeTrim(row?.name) || null;
-    out.set(bn, name);
-    const norm = normalizeBusinessNumber(bn);
-    if (norm) out.set(norm, name);
-    const d = digitsOnly(bn);
-    if (d) out.set(d, name);
+  for (const v of businessNumbers || []) {
+    for (const bn of businessNumberVariants(v)) {
+      const name = cache.get(bn);
+      if (name) out.set(bn, name);
+    }
   }
   return out;
 }
 
-async function enrichRowsWithVendorNames(rows, env) {
+async function enrichRowsWithVendorNames(rows, env, data = null) {
   if (!Array.isArray(rows) || rows.length === 0) return rows;
 
   const bns = [];
@@ -311,7 +606,7 @@ async function enrichRowsWithVendorNames(rows, env) {
     if (bn1) bns.push(bn1);
     if (bn2) bns.push(bn2);
   }
-  const nameMap = await fetchVendorNameMap(env, bns);
+  const nameMap = await fetchVendorNameMap(env, bns, data);
 
   for (const row of rows) {
     if (!row || typeof row !== "object") continue;
@@ -334,752 +629,5282 @@ async function enrichRowsWithVendorNames(rows, env) {
   return rows;
 }
 
-// ---------- camps 매핑 ----------
-async function loadCampIndex(env, campName = "") {
-  const params = new URLSearchParams();
-  params.set("select", "id,camp,code,address,latitude,longitude,mb_camp,created_at,updated_at");
-  if (campName) params.set("camp", `eq.${campName}`);
-  params.set("order", "updated_at.desc,created_at.desc,id.desc");
+// ---------- 요청 단위 데이터 접근 ----------
+// 한 요청 안에서 캠프 인덱스/업체명 조회 결과를 재사용하고, 구간별 소요 시간을 Server-Timing 헤더로 내보낸다.
+function createServerTimings() {
+  const startedAt = Date.now();
+  const entries = [];
+
+  return {
+    async measure(name, fn) {
+      const t0 = Date.now();
+      try {
+        return await fn();
+      } finally {
+        entries.push([name, Date.now() - t0]);
+      }
+    },
+    headers(extra = {}) {
+      const parts = entries.map(([name, ms]) => `${name};dur=${ms}`);
+      parts.push(`total;dur=${Date.now() - startedAt}`);
+      return { ...extra, "Server-Timing": parts.join(", ") };
+    },
+  };
+}
 
-  let rows = [];
-  try {
-    const data = await supabaseFetch(env, `/rest/v1/${CAMPS_TABLE}?${params.toString()}`, { method: "GET" });
-    rows = Array.isArray(data) ? data : [];
-  } catch (e) {
-    console.warn("camps 조회 실패:", e?.message || String(e));
-    rows = [];
+function createRequestData(env, timings = createServerTimings()) {
+  return {
+    env,
+    timings,
+    campIndexes: new Map(), // camp -> Promise<Map<mb_camp key, row>>
+    vendorNames: new Map(), // 사업자번호(원본/정규화/숫자) -> name | null
+  };
+}
+
+// 라우트 행에 업체명과 입차지 주소/좌표를 채운다. 두 조회는 서로 독립이라 병렬로 돈다.
+async function enrichRouteRows(rows, env, data = createRequestData(env)) {
+  if (!Array.isArray(rows) || rows.length === 0) return rows;
+  await Promise.all([
+    data.timings.measure("vendors", () => enrichRowsWithVendorNames(rows, env, data)),
+    data.timings.measure("camps", () => hydrateRouteRowsWithCamps(rows, env, data)),
+  ]);
+  return rows;
+}
+
+// ---------- auth ----------
+// cleansing_history_worker 와 같은 권한 모델: Supabase 세션 토큰 + user_access / vendor_members
+function httpError(status, message, detail = null) {
+  const err = new Error(message);
+  err.status = status;
+  err.detail = detail;
+  return err;
+}
+
+function bearerToken(request) {
+  const auth = request.headers.get("Authorization") || "";
+  const match = auth.match(/^Bearer\s+(.+)$/i);
+  return safeTrim(match?.[1]);
+}
+
+function truthy(v) {
+  if (typeof v === "boolean") return v;
+  if (typeof v === "number") return v !== 0;
+  return ["true", "1", "y", "yes", "on"].includes(safeTrim(v).toLowerCase());
+}
+
+async function requireUser(request, env) {
+  const token = bearerToken(request);
+  if (!token) throw httpError(401, "missing_bearer_token");
+
+  const base = mustEnv(env, "SUPABASE_URL").replace(/\/+$/, "");
+  const userRes = await fetch(`${base}/auth/v1/user`, {
+    method: "GET",
+    headers: {
+      apikey: mustEnv(env, "SUPABASE_SERVICE_ROLE_KEY"),
+      Authorization: `Bearer ${token}`,
+    },
+  });
+  const user = parseMaybeJson(await userRes.text(), null);
+  if (!userRes.ok) throw httpError(401, "invalid_session");
+
+  const userId = safeTrim(user?.id);
+  const email = safeTrim(user?.email);
+  if (!userId) throw httpError(401, "invalid_user_payload");
+
+  const access = await fetchRouteAccess(env, userId, email);
+  return { user: { id: userId, email }, access };
+}
+
+async function fetchUserAccessRow(env, userId, email) {
+  for (const [field, value] of [["user_id", userId], ["email", email]]) {
+    if (!value) continue;
+    try {
+      const q = new URLSearchParams();
+      q.set("select", "*");
+      q.set(field, `eq.${value}`);
+      q.set("limit", "1");
+      const rows = await supabaseFetch(env, `/rest/v1/${USER_ACCESS_TABLE}?${q.toString()}`, { method: "GET" });
+      if (Array.isArray(rows) && rows[0]) return rows[0];
+    } catch {
+      // 설치마다 user_access 조회 컬럼이 다를 수 있다.
+    }
   }
+  return null;
+}
 
-  const byMbCamp = new Map();
-  for (const row of rows) {
-    const key = normalizeCampKey(row?.mb_camp);
-    if (!key || byMbCamp.has(key)) continue;
-    byMbCamp.set(key, row);
+async function fetchVendorRoleLevel(env, userId) {
+  try {
+    const q = new URLSearchParams();
+    q.set("select", "role_level");
+    q.set("user_id", `eq.${userId}`);
+    q.set("is_active", "eq.true");
+    q.set("order", "role_level.desc");
+    q.set("limit", "1");
+    const rows = await supabaseFetch(env, `/rest/v1/${VENDOR_MEMBERS_TABLE}?${q.toString()}`, { method: "GET" });
+    return Number((Array.isArray(rows) && rows[0]?.role_level) || 0);
+  } catch {
+    return 0;
   }
-  return byMbCamp;
 }
 
-async function hydrateRouteRowsWithCamps(rows, env) {
-  if (!Array.isArray(rows) || rows.length === 0) return rows;
+async function fetchRouteAccess(env, userId, email) {
+  const [userAccess, vendorRoleLevel] = await Promise.all([
+    fetchUserAccessRow(env, userId, email),
+    fetchVendorRoleLevel(env, userId),
+  ]);
 
-  const byCamp = new Map();
+  const maxRoleLevel = Math.max(Number(userAccess?.role_level ?? userAccess?.max_role_level ?? 0), vendorRoleLevel);
+  const isSuperAdmin = truthy(userAccess?.is_super_admin) || maxRoleLevel >= 90;
+  const isAdmin = truthy(userAccess?.is_admin);
+  const isMaroowell = truthy(userAccess?.is_maroowell);
+
+  return {
+    is_maroowell: isMaroowell,
+    is_admin: isAdmin,
+    is_super_admin: isSuperAdmin,
+    max_role_level: maxRoleLevel,
+    // 라우트/캠프/벤더 편집은 마루웰 직원과 관리자만
+    can_edit_routes: isSuperAdmin || isAdmin || isMaroowell,
+  };
+}
 
-  for (const row of rows) {
-    const deliveryName = safeTrim(row?.delivery_location_name);
-    if (deliveryName) row.delivery_location_address = null;
-    if (!deliveryName) continue;
+function publicAuth(auth) {
+  return { user: auth.user, email: auth.user.email, ...auth.access };
+}
 
-    const routeCamp = safeTrim(row?.camp);
-    const key = normalizeCampKey(deliveryName);
-    if (!key) continue;
+async function requireRouteEditor(request, env) {
+  const auth = await requireUser(request, env);
+  if (auth.access.can_edit_routes !== true) throw httpError(403, "route_editor_required");
+  return auth;
+}
 
-    if (!byCamp.has(routeCamp)) {
-      byCamp.set(routeCamp, await loadCampIndex(env, routeCamp));
-    }
-    const matched = byCamp.get(routeCamp).get(key);
+// ---------- audit ----------
+function buildWriteContext(request, url, auth) {
+  return {
+    actor: safeTrim(auth?.user?.email || auth?.user?.id) || null,
+    actor_id: safeTrim(auth?.user?.id) || null,
+    is_admin: auth?.access?.is_admin === true || auth?.access?.is_super_admin === true,
+    endpoint: `${request.method} ${url.pathname}`,
+    origin: safeTrim(request.headers.get("Origin") || request.headers.get("Referer")) || null,
+    ip: safeTrim(request.headers.get("CF-Connecting-IP")) || null,
+    purgeCamps: new Set(),
+  };
+}
 
-    if (!matched) continue;
+function auditRowKey(table, row) {
+  if (!row) return { camp: null, code: null };
+  if (table === ROUTE_TABLE || table === ROUTE_VENDOR_PERIOD_TABLE || table === ADDRESS_TABLE) return { camp: safeTrim(row.camp) || null, code: safeTrim(row.full_code) || null };
+  if (table === CAMPS_TABLE) return { camp: safeTrim(row.camp) || null, code: safeTrim(row.mb_camp) || null };
+  if (table === VENDORS_TABLE) return { camp: null, code: safeTrim(row.business_number) || null };
+  if (table === SHARE_LINK_TABLE) return { camp: safeTrim(row.camp) || null, code: (row.codes || []).join(",") || null };
+  return { camp: null, code: null };
+}
 
-    const addr = safeTrim(matched.address);
-    if (addr) row.delivery_location_address = addr;
+// 감사 로그 기록 실패가 본 저장을 막지 않도록 경고만 남긴다.
+// entry 하나 또는 배열을 받는다. 배열은 한 번의 INSERT로 넣는다.
+async function recordAudit(env, ctx, entries) {
+  if (!ctx) return;
+  const list = (Array.isArray(entries) ? entries : [entries]).filter(Boolean);
+  if (list.length === 0) return;
+
+  const rows = list.map(({ table, action, before = null, after = null }) => {
+    const target = after || before;
+    const { camp, code } = auditRowKey(table, target);
+    return {
+      table_name: table,
+      row_id: target?.id != null ? String(target.id) : null,
+      camp,
+      code,
+      action,
+      actor: ctx.actor,
+      actor_id: ctx.actor_id,
+      endpoint: ctx.endpoint,
+      origin: ctx.origin,
+      ip: ctx.ip,
+      before,
+      after,
+    };
+  });
 
-    const lat = parseMaybeNumber(matched.latitude);
-    const lng = parseMaybeNumber(matched.longitude);
-    if ((row.delivery_location_lat == null || row.delivery_location_lat === "") && lat != null) {
-      row.delivery_location_lat = lat;
-    }
-    if ((row.delivery_location_lng == null || row.delivery_location_lng === "") && lng != null) {
-      row.delivery_location_lng = lng;
-    }
+  try {
+    await supabaseFetch(env, `/rest/v1/${AUDIT_TABLE}`, {
+      method: "POST",
+      headers: { Prefer: "return=minimal" },
+      body: JSON.stringify(rows.length === 1 ? rows[0] : rows),
+    });
+  } catch (e) {
+    console.warn("audit 기록 실패:", e?.message || String(e));
   }
+}
 
-  return rows;
+function parseAuditDate(v, endOfDay = false) {
+  const raw = safeTrim(v);
+  if (!raw) return null;
+  // YYYY-MM-DD 는 KST 하루 단위로 본다.
+  const iso = /^\d{4}-\d{2}-\d{2}$/.test(raw)
+    ? `${raw}T${endOfDay ? "23:59:59.999" : "00:00:00"}+09:00`
+    : raw;
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? undefined : d.toISOString();
 }
 
-// ---------- /route ----------
-async function handleRouteGet(url, env) {
+async function handleAuditGet(url, env) {
+  const table = safeTrim(url.searchParams.get("table"));
   const camp = safeTrim(url.searchParams.get("camp"));
   const code = safeTrim(url.searchParams.get("code"));
-  const mode = safeTrim(url.searchParams.get("mode") || "prefix");
+  const actor = safeTrim(url.searchParams.get("actor"));
+  const from = parseAuditDate(url.searchParams.get("from"));
+  const to = parseAuditDate(url.searchParams.get("to"), true);
+  const limitRaw = Number(url.searchParams.get("limit"));
+  const limit = Number.isFinite(limitRaw) && limitRaw > 0 ? Math.min(Math.floor(limitRaw), 500) : 100;
 
-  if (!camp) return json({ error: "camp is required" }, 400);
+  if (from === undefined || to === undefined) return json({ error: "from/to must be YYYY-MM-DD or ISO datetime" }, 400);
 
   const params = new URLSearchParams();
   params.set("select", "*");
-  params.set("camp", `eq.${camp}`);
-  params.set("order", "full_code.asc");
+  if (table) params.set("table_name", `eq.${table}`);
+  if (camp) params.set("camp", `eq.${camp}`);
+  if (code) params.set("code", `like.${code}%`);
+  if (actor) params.set("actor", `ilike.*${actor}*`);
+  if (from && to) params.set("and", `(created_at.gte.${from},created_at.lte.${to})`);
+  else if (from) params.set("created_at", `gte.${from}`);
+  else if (to) params.set("created_at", `lte.${to}`);
+  params.set("order", "created_at.desc,id.desc");
+  params.set("limit", String(limit));
+
+  const rows = await supabaseFetch(env, `/rest/v1/${AUDIT_TABLE}?${params.toString()}`, { method: "GET" });
+  const out = (Array.isArray(rows) ? rows : []).map((row) => ({
+    ...row,
+    before: parseMaybeJson(row.before, null),
+    after: parseMaybeJson(row.after, null),
+  }));
 
-  if (code) {
-    if (mode === "exact") params.set("full_code", `eq.${code}`);
-    else params.set("full_code", `like.${code}%`);
-  }
+  return json({ rows: out }, 200, { "Cache-Control": "no-store" });
+}
 
-  const rows = await supabaseFetch(env, `/rest/v1/${ROUTE_TABLE}?${params.toString()}`, { method: "GET" });
-  const out = Array.isArray(rows) ? rows : [];
+// ---------- edge cache ----------
+// /route, /camps, /addresses GET 응답을 Cache API에 캠프 단위 버전 키로 보관한다.
+// Cache API는 지우기를 prefix 단위로 못 하므로, 쓰기 때 캠프 버전만 올리면 이전 키는 더 이상 조회되지 않고 TTL 뒤에 사라진다.
+// (Cache API는 데이터센터별이라 다른 지역 캐시는 최대 TTL 만큼 늦게 갱신된다.)
+const EDGE_CACHE_ORIGIN = "https://route-api.cache";
+const EDGE_CACHE_TTL_SECONDS = 300;
+const EDGE_CACHE_VERSION_TTL_SECONDS = 7 * 24 * 60 * 60;
+const EDGE_CACHE_ALL_CAMPS = "*";
+
+function edgeCache() {
+  return typeof caches !== "undefined" && caches?.default ? caches.default : null;
+}
 
-  out.forEach(applyRouteDerivedFields);
-  await enrichRowsWithVendorNames(out, env);
-  await hydrateRouteRowsWithCamps(out, env);
+// 캐시 쓰기처럼 응답에 필요 없는 작업은 waitUntil 로 넘긴다. 실행 컨텍스트가 없으면 그냥 기다린다.
+async function afterResponse(executionCtx, work) {
+  const p = Promise.resolve(work).catch((e) => console.warn("백그라운드 작업 실패:", e?.message || String(e)));
+  if (executionCtx && typeof executionCtx.waitUntil === "function") executionCtx.waitUntil(p);
+  else await p;
+}
 
-  return json({ rows: out }, 200, { "Cache-Control": "no-store" });
+function edgeCacheVersionKey(camp) {
+  return new Request(`${EDGE_CACHE_ORIGIN}/__version/${encodeURIComponent(camp || EDGE_CACHE_ALL_CAMPS)}`);
 }
 
-function buildRoutePatch(body) {
-  const camp = safeTrim(body.camp);
-  const code = safeTrim(body.code);
-  const patch = { camp, code, full_code: code };
+function newEdgeCacheVersion() {
+  return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
 
-  const vendorKeys = [
-    "vendor_name",
-    "vendor_business_number",
-    "vendor_name_1w",
-    "vendor_name_2w",
-    "vendor_business_number_1w",
-    "vendor_business_number_2w",
-    "vendor_1w_name",
-    "vendor_2w_name",
-  ];
-  for (const k of vendorKeys) {
-    if (Object.prototype.hasOwnProperty.call(body, k)) patch[k] = body[k] ?? null;
-  }
+async function putEdgeCacheVersion(cache, camp, version) {
+  await cache.put(
+    edgeCacheVersionKey(camp),
+    new Response(version, { headers: { "Cache-Control": `public, max-age=${EDGE_CACHE_VERSION_TTL_SECONDS}` } })
+  );
+}
 
-  if (Object.prototype.hasOwnProperty.call(body, "delivery_location_name")) {
-    patch.delivery_location_name = body.delivery_location_name ?? null;
+async function readEdgeCacheVersion(cache, camp, executionCtx = null) {
+  const hit = await cache.match(edgeCacheVersionKey(camp));
+  if (hit) return await hit.text();
+  const version = newEdgeCacheVersion();
+  await afterResponse(executionCtx, putEdgeCacheVersion(cache, camp, version));
+  return version;
+}
+
+// 쓰기 후 호출. 해당 캠프와 캠프 필터 없는 목록(/camps) 캐시를 함께 무효화한다.
+// 쓰기 요청(ctx)에서는 캠프만 모아 두고, fetch 가 응답 뒤에 한 번 무효화한다. cron 처럼 ctx가 없으면 바로 지운다.
+async function purgeCampCache(camps, ctx = null) {
+  if (ctx?.purgeCamps) {
+    for (const camp of camps || []) {
+      const c = safeTrim(camp);
+      if (c) ctx.purgeCamps.add(c);
+    }
+    ctx.purgeCamps.add(EDGE_CACHE_ALL_CAMPS);
+    return;
   }
-  if (Object.prototype.hasOwnProperty.call(body, "delivery_location_lat")) {
-    patch.delivery_location_lat = parseMaybeNumber(body.delivery_location_lat);
+  const cache = edgeCache();
+  if (!cache) return;
+  const targets = new Set([EDGE_CACHE_ALL_CAMPS]);
+  for (const camp of camps || []) {
+    const c = safeTrim(camp);
+    if (c) targets.add(c);
   }
-  if (Object.prototype.hasOwnProperty.call(body, "delivery_location_lng")) {
-    patch.delivery_location_lng = parseMaybeNumber(body.delivery_location_lng);
+  try {
+    await Promise.all(Array.from(targets).map((camp) => putEdgeCacheVersion(cache, camp, newEdgeCacheVersion())));
+  } catch (e) {
+    console.warn("캐시 무효화 실패:", e?.message || String(e));
   }
+}
 
-  if (Object.prototype.hasOwnProperty.call(body, "polygon_wgs84")) {
-    patch.polygon_wgs84 = body.polygon_wgs84 ?? null;
-  }
+async function bodyEtag(body) {
+  const bytes = typeof body === "string" ? new TextEncoder().encode(body) : body;
+  const digest = await crypto.subtle.digest("SHA-1", bytes);
+  const hex = Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+  return `"${hex}"`;
+}
 
-  return patch;
+function etagMatches(request, etag) {
+  const header = safeTrim(request.headers.get("If-None-Match"));
+  if (!header) return false;
+  if (header === "*") return true;
+  return header.split(",").some((tag) => safeTrim(tag).replace(/^W\//, "") === etag);
 }
 
-async function handleRoutePost(request, env) {
-  const body = await readJson(request);
-  const camp = safeTrim(body.camp);
-  const code = safeTrim(body.code);
-  const id = body.id;
+function notModified(etag, headers = {}) {
+  return new Response(null, { status: 304, headers: { ...headers, ETag: etag } });
+}
 
-  if (!camp) return json({ error: "camp is required" }, 400);
-  if (!code) return json({ error: "code is required" }, 400);
+// 캐시 키는 kind + 정렬된 쿼리(camp/code/mode 등) + 캠프 버전. 200 이고 error가 없는 응답만 저장한다.
+// 본문은 바이트로 다루므로 JSON 외 응답(/og/route.png 같은 이미지)도 같이 쓸 수 있다.
+async function withEdgeCache(request, url, executionCtx, kind, handler, clientCacheControl = "no-cache") {
+  const clientHeaders = { "Cache-Control": clientCacheControl };
+  const cache = edgeCache();
+  if (!cache || url.searchParams.get("fresh") === "1") {
+    return await handler();
+  }
 
-  const patch = buildRoutePatch(body);
-  let row = null;
+  const camp = safeTrim(url.searchParams.get("camp")) || EDGE_CACHE_ALL_CAMPS;
+  const version = await readEdgeCacheVersion(cache, camp, executionCtx);
+  const query = new URLSearchParams(Array.from(url.searchParams.entries()).sort(([a], [b]) => a.localeCompare(b)));
+  query.set("__v", version);
+  const key = new Request(`${EDGE_CACHE_ORIGIN}/${kind}?${query.toString()}`);
+
+  const hit = await cache.match(key);
+  if (hit) {
+    const etag = hit.headers.get("ETag");
+    if (etag && etagMatches(request, etag)) return notModified(etag, { ...clientHeaders, "X-Cache": "HIT" });
+    const h = new Headers(hit.headers);
+    for (const [k, v] of Object.entries(clientHeaders)) h.set(k, v);
+    h.set("X-Cache", "HIT");
+    return new Response(hit.body, { status: hit.status, headers: h });
+  }
 
-  if (typeof id === "number") {
-    const params = new URLSearchParams();
-    params.set("id", `eq.${id}`);
-    params.set("select", "*");
+  const res = await handler();
+  if (res.status !== 200) return res;
 
-    const updated = await supabaseFetch(env, `/rest/v1/${ROUTE_TABLE}?${params.toString()}`, {
-      method: "PATCH",
-      headers: { Prefer: "return=representation" },
-      body: JSON.stringify(patch),
-    });
-    row = Array.isArray(updated) ? updated[0] : updated;
-  } else {
-    const q = new URLSearchParams();
-    q.set("camp", `eq.${camp}`);
-    q.set("full_code", `eq.${code}`);
-    q.set("select", "id");
-    q.set("limit", "1");
+  const body = new Uint8Array(await res.arrayBuffer());
+  const etag = await bodyEtag(body);
+  const headers = new Headers(res.headers);
+  headers.set("ETag", etag);
 
-    const existing = await supabaseFetch(env, `/rest/v1/${ROUTE_TABLE}?${q.toString()}`, { method: "GET" });
+  const isJson = /json/i.test(headers.get("Content-Type") || "");
+  if (!isJson || !parseMaybeJson(new TextDecoder().decode(body), null)?.error) {
+    const stored = new Headers(headers);
+    stored.set("Cache-Control", `public, max-age=${EDGE_CACHE_TTL_SECONDS}`);
+    stored.delete("Server-Timing");
+    await afterResponse(executionCtx, cache.put(key, new Response(body, { status: 200, headers: stored })));
+  }
 
-    if (Array.isArray(existing) && existing.length > 0 && typeof existing[0]?.id === "number") {
-      const params = new URLSearchParams();
-      params.set("id", `eq.${existing[0].id}`);
-      params.set("select", "*");
+  if (etagMatches(request, etag)) return notModified(etag, { ...clientHeaders, "X-Cache": "MISS" });
+  for (const [k, v] of Object.entries(clientHeaders)) headers.set(k, v);
+  headers.set("X-Cache", "MISS");
+  return new Response(body, { status: 200, headers });
+}
 
-      const updated = await supabaseFetch(env, `/rest/v1/${ROUTE_TABLE}?${params.toString()}`, {
-        method: "PATCH",
-        headers: { Prefer: "return=representation" },
-        body: JSON.stringify(patch),
-      });
-      row = Array.isArray(updated) ? updated[0] : updated;
-    } else {
-      const params = new URLSearchParams();
-      params.set("select", "*");
+// ---------- camps 매핑 ----------
+const CAMP_INDEX_SELECT = "id,camp,code,address,latitude,longitude,mb_camp,created_at,updated_at";
 
-      const inserted = await supabaseFetch(env, `/rest/v1/${ROUTE_TABLE}?${params.toString()}`, {
-        method: "POST",
-        headers: { Prefer: "return=representation" },
-        body: JSON.stringify(patch),
-      });
-      row = Array.isArray(inserted) ? inserted[0] : inserted;
-    }
+function buildCampIndex(rows) {
+  const byMbCamp = new Map();
+  for (const row of rows) {
+    const key = normalizeCampKey(row?.mb_camp);
+    if (!key || byMbCamp.has(key)) continue;
+    byMbCamp.set(key, row);
   }
+  return byMbCamp;
+}
 
-  applyRouteDerivedFields(row);
-  await enrichRowsWithVendorNames([row], env);
-  await hydrateRouteRowsWithCamps([row], env);
-
-  return json({ row }, 200, { "Cache-Control": "no-store" });
+async function fetchCampRows(env, params) {
+  try {
+    const data = await supabaseFetch(env, `/rest/v1/${CAMPS_TABLE}?${params.toString()}`, { method: "GET" });
+    return Array.isArray(data) ? data : [];
+  } catch (e) {
+    console.warn("camps 조회 실패:", e?.message || String(e));
+    return [];
+  }
 }
 
-async function handleRouteDelete(request, env) {
-  const body = await readJson(request);
-  const id = body.id;
-  const camp = safeTrim(body.camp);
-  const code = safeTrim(body.code);
+// 여러 캠프의 인덱스를 camp=in.(...) 한 번으로 읽는다. 빈 캠프명("")은 전체 camps 기준 인덱스.
+async function loadCampIndexes(env, campNames, data = null) {
+  const cache = data?.campIndexes || new Map();
+  const wanted = Array.from(new Set((campNames || []).map(safeTrim)));
+  const missing = wanted.filter((c) => !cache.has(c));
 
-  if (typeof id !== "number" && (!camp || !code)) {
-    return json({ error: "id OR (camp + code) is required" }, 400);
-  }
+  if (missing.length > 0) {
+    const named = missing.filter(Boolean);
+    const order = "updated_at.desc,created_at.desc,id.desc";
 
-  const params = new URLSearchParams();
-  params.set("select", "*");
-  if (typeof id === "number") {
-    params.set("id", `eq.${id}`);
-  } else {
-    params.set("camp", `eq.${camp}`);
-    params.set("full_code", `eq.${code}`);
-  }
+    if (named.length > 0) {
+      const params = new URLSearchParams();
+      params.set("select", CAMP_INDEX_SELECT);
+      params.set("camp", `in.(${named.map(quoteInValue).join(",")})`);
+      params.set("order", order);
+      const loading = fetchCampRows(env, params);
 
-  const updated = await supabaseFetch(env, `/rest/v1/${ROUTE_TABLE}?${params.toString()}`, {
-    method: "PATCH",
-    headers: { Prefer: "return=representation" },
-    body: JSON.stringify({ polygon_wgs84: null }),
-  });
+      for (const campName of named) {
+        cache.set(campName, loading.then((rows) => buildCampIndex(rows.filter((r) => safeTrim(r?.camp) === campName))));
+      }
+    }
 
-  const row = Array.isArray(updated) ? updated[0] : updated;
-  applyRouteDerivedFields(row);
-  await enrichRowsWithVendorNames([row], env);
-  await hydrateRouteRowsWithCamps([row], env);
+    if (missing.includes("")) {
+      const params = new URLSearchParams();
+      params.set("select", CAMP_INDEX_SELECT);
+      params.set("order", order);
+      cache.set("", fetchCampRows(env, params).then(buildCampIndex));
+    }
+  }
 
-  return json({ row }, 200, { "Cache-Control": "no-store" });
+  const out = new Map();
+  await Promise.all(wanted.map(async (c) => out.set(c, await cache.get(c))));
+  return out;
 }
 
-// ---------- /vendors ----------
-function scoreVendorSearch(row, qLower) {
-  const name = safeTrim(row?.name).toLowerCase();
-  const bn = safeTrim(row?.business_number).toLowerCase();
-  if (!qLower) return 0;
-  if (name === qLower) return 120;
-  if (bn === qLower) return 115;
-  if (name.startsWith(qLower)) return 100;
-  if (bn.startsWith(qLower)) return 95;
-  if (name.includes(qLower)) return 80;
-  if (bn.includes(qLower)) return 75;
-  return 0;
+async function loadCampIndex(env, campName = "", data = null) {
+  const indexes = await loadCampIndexes(env, [campName], data);
+  return indexes.get(safeTrim(campName)) || new Map();
 }
 
-function vendorDedupeKey(row) {
-  if (row?.id != null) return `id:${row.id}`;
-  return `key:${safeTrim(row?.business_number)}|${safeTrim(row?.name)}`;
-}
+async function hydrateRouteRowsWithCamps(rows, env, data = null) {
+  if (!Array.isArray(rows) || rows.length === 0) return rows;
 
-async function handleVendorsGet(url, env) {
-  const q = safeTrim(url.searchParams.get("q"));
-  const limitRaw = Number(url.searchParams.get("limit"));
-  const limit = Number.isFinite(limitRaw) && limitRaw > 0 ? Math.min(Math.floor(limitRaw), 200) : 50;
+  const targets = [];
+  for (const row of rows) {
+    const deliveryName = safeTrim(row?.delivery_location_name);
+    if (deliveryName) row.delivery_location_address = null;
+    if (!deliveryName) continue;
 
-  if (!q) {
-    const params = new URLSearchParams();
-    params.set("select", "*");
-    params.set("order", "created_at.desc,id.desc");
-    params.set("limit", String(limit));
-    const rows = await supabaseFetch(env, `/rest/v1/${VENDORS_TABLE}?${params.toString()}`, { method: "GET" });
-    return json({ rows: Array.isArray(rows) ? rows : [] }, 200, { "Cache-Control": "no-store" });
+    const key = normalizeCampKey(deliveryName);
+    if (!key) continue;
+    targets.push([row, safeTrim(row?.camp), key]);
   }
+  if (targets.length === 0) return rows;
 
-  const wildcard = `*${q}*`;
-  const base = new URLSearchParams();
-  base.set("select", "*");
-  base.set("order", "created_at.desc,id.desc");
-  base.set("limit", String(Math.min(limit * 2, 200)));
+  const byCamp = await loadCampIndexes(env, targets.map(([, camp]) => camp), data);
 
-  const queries = [
-    ["name", `eq.${q}`],
-    ["business_number", `eq.${q}`],
-    ["name", `ilike.${wildcard}`],
-    ["business_number", `ilike.${wildcard}`],
-  ];
+  for (const [row, routeCamp, key] of targets) {
+    const matched = byCamp.get(routeCamp)?.get(key);
+    if (!matched) continue;
 
-  const merged = new Map();
-  for (const [field, value] of queries) {
-    try {
-      const p = new URLSearchParams(base.toString());
-      p.set(field, value);
-      const rows = await supabaseFetch(env, `/rest/v1/${VENDORS_TABLE}?${p.toString()}`, { method: "GET" });
-      for (const row of (Array.isArray(rows) ? rows : [])) {
-        const key = vendorDedupeKey(row);
-        if (!merged.has(key)) merged.set(key, row);
-      }
-    } catch (e) {
-      console.warn("vendors 검색 쿼리 실패:", e?.message || String(e));
+    const addr = safeTrim(matched.address);
+    if (addr) row.delivery_location_address = addr;
+
+    const lat = parseMaybeNumber(matched.latitude);
+    const lng = parseMaybeNumber(matched.longitude);
+    if ((row.delivery_location_lat == null || row.delivery_location_lat === "") && lat != null) {
+      row.delivery_location_lat = lat;
+    }
+    if ((row.delivery_location_lng == null || row.delivery_location_lng === "") && lng != null) {
+      row.delivery_location_lng = lng;
     }
   }
 
-  const qLower = q.toLowerCase();
-  const out = Array.from(merged.values())
-    .sort((a, b) => scoreVendorSearch(b, qLower) - scoreVendorSearch(a, qLower))
-    .slice(0, limit);
-
-  return json({ rows: out }, 200, { "Cache-Control": "no-store" });
+  return rows;
 }
 
-async function handleVendorCreate(request, env) {
-  const body = await readJson(request);
-  const name = safeTrim(body.name ?? body.vendor_name);
-  const rawBusinessNumber = safeTrim(body.business_number ?? body.vendor_business_number);
-  const businessNumber = normalizeBusinessNumber(rawBusinessNumber);
-  const vendorCodeInput = safeTrim(body.vendor_code);
+// ---------- route geometry ----------
+const EARTH_RADIUS_M = 6378137;
+const RING_REPAIR_MAX_SPLITS = 20;
+
+function isRouteRingPoint(pt) {
+  return (
+    Array.isArray(pt) &&
+    pt.length >= 2 &&
+    Number.isFinite(pt[0]) &&
+    Number.isFinite(pt[1]) &&
+    Math.abs(pt[0]) <= 180 &&
+    Math.abs(pt[1]) <= 90
+  );
+}
 
-  if (!name) return json({ error: "name is required" }, 400);
-  if (!digitsOnly(businessNumber)) return json({ error: "business_number is required" }, 400);
-  const vendorCode = buildVendorCodeFromBusinessNumber(businessNumber) || vendorCodeInput || null;
+// polygon_wgs84는 [[lng,lat],...] 단일 ring 또는 ring 배열로 저장된다.
+function normalizeRouteRings(v) {
+  const p = parseMaybeJson(v, null);
+  if (!Array.isArray(p) || p.length === 0) return null;
+  const first = p[0];
+  if (Array.isArray(first) && typeof first[0] === "number") return [p];
+  if (Array.isArray(first) && Array.isArray(first[0])) return p;
+  return null;
+}
 
-  const tryFindByBusinessNumber = async (bn) => {
-    const q = new URLSearchParams();
-    q.set("select", "*");
-    q.set("business_number", `eq.${bn}`);
-    q.set("limit", "1");
-    const rows = await supabaseFetch(env, `/rest/v1/${VENDORS_TABLE}?${q.toString()}`, { method: "GET" });
-    return Array.isArray(rows) ? rows : [];
+// 캠프 규모(수십 km)에서는 기준점 중심의 등장방형 투영으로 m 단위 계산이 충분하다.
+function makeLocalProjector(lng0, lat0) {
+  const kx = (Math.PI / 180) * EARTH_RADIUS_M * Math.cos((lat0 * Math.PI) / 180);
+  const ky = (Math.PI / 180) * EARTH_RADIUS_M;
+  return {
+    toXY: ([lng, lat]) => [(lng - lng0) * kx, (lat - lat0) * ky],
+    toLngLat: ([x, y]) => [lng0 + x / kx, lat0 + y / ky],
   };
+}
 
-  let existing = await tryFindByBusinessNumber(businessNumber);
-  if ((!existing || existing.length === 0) && rawBusinessNumber && rawBusinessNumber !== businessNumber) {
-    existing = await tryFindByBusinessNumber(rawBusinessNumber);
+function projectorForRings(rings) {
+  let sumLng = 0;
+  let sumLat = 0;
+  let n = 0;
+  for (const ring of rings) {
+    for (const [lng, lat] of ring) {
+      sumLng += lng;
+      sumLat += lat;
+      n += 1;
+    }
   }
+  return makeLocalProjector(n ? sumLng / n : 0, n ? sumLat / n : 0);
+}
 
-  const patch = { name, business_number: businessNumber };
-  if (vendorCode || Object.prototype.hasOwnProperty.call(body, "vendor_code")) {
-    patch.vendor_code = vendorCode;
+function signedArea(xy) {
+  let a = 0;
+  for (let i = 0, j = xy.length - 1; i < xy.length; j = i++) {
+    a += xy[j][0] * xy[i][1] - xy[i][0] * xy[j][1];
   }
+  return a / 2;
+}
 
-  let row = null;
-  if (Array.isArray(existing) && existing.length > 0 && existing[0]?.id != null) {
-    const params = new URLSearchParams();
-    params.set("id", `eq.${existing[0].id}`);
-    params.set("select", "*");
+function ringAreaSquareMeters(ring, projector = null) {
+  const proj = projector || projectorForRings([ring]);
+  return Math.abs(signedArea(ring.map(proj.toXY)));
+}
 
-    const updated = await supabaseFetch(env, `/rest/v1/${VENDORS_TABLE}?${params.toString()}`, {
-      method: "PATCH",
-      headers: { Prefer: "return=representation" },
-      body: JSON.stringify(patch),
-    });
-    row = Array.isArray(updated) ? updated[0] : updated;
-  } else {
-    const params = new URLSearchParams();
-    params.set("select", "*");
+function samePoint(a, b) {
+  return a[0] === b[0] && a[1] === b[1];
+}
 
-    const inserted = await supabaseFetch(env, `/rest/v1/${VENDORS_TABLE}?${params.toString()}`, {
-      method: "POST",
-      headers: { Prefer: "return=representation" },
-      body: JSON.stringify(patch),
-    });
-    row = Array.isArray(inserted) ? inserted[0] : inserted;
+// 연속 중복점과 닫는 점(첫 점과 같은 마지막 점)을 제거한다. 저장 형식은 열린 ring이다.
+function cleanRouteRing(ring) {
+  const out = [];
+  for (const pt of ring) {
+    const p = [Number(pt[0]), Number(pt[1])];
+    if (out.length && samePoint(out[out.length - 1], p)) continue;
+    out.push(p);
   }
-
-  return json({ row }, 200, { "Cache-Control": "no-store" });
+  while (out.length > 1 && samePoint(out[0], out[out.length - 1])) out.pop();
+  return out;
 }
 
-// ---------- /addresses ----------
-async function handleAddressesGet(url, env) {
-  const camp = safeTrim(url.searchParams.get("camp"));
-  const code = safeTrim(url.searchParams.get("code"));
+function cross(o, a, b) {
+  return (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+}
 
-  if (!camp) return json({ error: "camp is required" }, 400);
+function onSegment(p, q, r) {
+  return (
+    Math.min(p[0], r[0]) <= q[0] && q[0] <= Math.max(p[0], r[0]) &&
+    Math.min(p[1], r[1]) <= q[1] && q[1] <= Math.max(p[1], r[1])
+  );
+}
 
-  const params = new URLSearchParams();
-  params.set("select", "*");
-  params.set("camp", `eq.${camp}`);
-  params.set("order", "full_code.asc,address.asc");
-  if (code) params.set("full_code", `like.${code}%`);
+function segmentsIntersect(p1, p2, p3, p4) {
+  const d1 = cross(p3, p4, p1);
+  const d2 = cross(p3, p4, p2);
+  const d3 = cross(p1, p2, p3);
+  const d4 = cross(p1, p2, p4);
+  if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) return true;
+  if (d1 === 0 && onSegment(p3, p1, p4)) return true;
+  if (d2 === 0 && onSegment(p3, p2, p4)) return true;
+  if (d3 === 0 && onSegment(p1, p3, p2)) return true;
+  if (d4 === 0 && onSegment(p1, p4, p2)) return true;
+  return false;
+}
 
-  try {
-    const rows = await supabaseFetch(env, `/rest/v1/${ADDRESS_TABLE}?${params.toString()}`, { method: "GET" });
-    const out = Array.isArray(rows) ? rows : [];
+function segmentIntersectionPoint(p1, p2, p3, p4) {
+  const d = (p2[0] - p1[0]) * (p4[1] - p3[1]) - (p2[1] - p1[1]) * (p4[0] - p3[0]);
+  if (d === 0) return [p2[0], p2[1]];
+  const t = ((p3[0] - p1[0]) * (p4[1] - p3[1]) - (p3[1] - p1[1]) * (p4[0] - p3[0])) / d;
+  return [p1[0] + t * (p2[0] - p1[0]), p1[1] + t * (p2[1] - p1[1])];
+}
 
-    out.forEach((row) => {
-      if (row && typeof row.center_wgs84 === "string") {
-        row.center_wgs84 = parseMaybeJson(row.center_wgs84, null);
+// 인접하지 않은 두 변이 만나면 그 변 번호를 돌려준다.
+function findRingSelfIntersection(ring) {
+  const n = ring.length;
+  for (let i = 0; i < n; i++) {
+    const a1 = ring[i];
+    const a2 = ring[(i + 1) % n];
+    for (let j = i + 2; j < n; j++) {
+      if (i === 0 && j === n - 1) continue;
+      const b1 = ring[j];
+      const b2 = ring[(j + 1) % n];
+      if (segmentsIntersect(a1, a2, b1, b2)) {
+        return { i, j, point: segmentIntersectionPoint(a1, a2, b1, b2) };
       }
-    });
-
-    return json({ rows: out }, 200, { "Cache-Control": "no-store" });
-  } catch (e) {
-    console.warn("addresses 조회 실패:", e?.message || String(e));
-    return json({ rows: [], error: e?.message || String(e) }, 200, { "Cache-Control": "no-store" });
+    }
   }
+  return null;
 }
 
-// ---------- /camps ----------
-function normalizeCampRow(row) {
-  if (!row || typeof row !== "object") return null;
-  const out = { ...row };
-  out.camp = safeTrim(out.camp);
-  out.code = safeTrim(out.code);
-  out.mb_camp = safeTrim(out.mb_camp);
-  out.address = safeTrim(out.address);
-  out.latitude = parseMaybeNumber(out.latitude);
-  out.longitude = parseMaybeNumber(out.longitude);
+// 8자형(bowtie) ring을 교차점에서 잘라 두 개의 ring으로 나눈다.
+function splitRingAt(ring, hit) {
+  const { i, j, point } = hit;
+  const a = [point, ...ring.slice(i + 1, j + 1)];
+  const b = [point, ...ring.slice(j + 1), ...ring.slice(0, i + 1)];
+  return [cleanRouteRing(a), cleanRouteRing(b)];
+}
+
+function repairRouteRing(ring) {
+  const out = [];
+  const queue = [ring];
+  let splits = 0;
+  while (queue.length) {
+    const current = queue.shift();
+    if (current.length < 3) continue;
+    const hit = findRingSelfIntersection(current);
+    if (!hit) {
+      out.push(current);
+      continue;
+    }
+    if (++splits > RING_REPAIR_MAX_SPLITS) return null;
+    queue.push(...splitRingAt(current, hit));
+  }
   return out;
 }
 
-function scoreCampSearchMatch(row, qLower) {
-  const mb = safeTrim(row?.mb_camp).toLowerCase();
-  const camp = safeTrim(row?.camp).toLowerCase();
+/**
+ * polygon_wgs84 검증. 닫는 점/연속 중복점은 항상 정리하고,
+ * 점 부족·면적 0·자기교차는 repair=true 일 때만 고치고 아니면 오류로 돌려준다.
+ * @returns {{ rings: number[][][] | null, errors: object[], repaired: boolean }}
+ */
+function validateRouteRings(value, { repair = false } = {}) {
+  const rings = normalizeRouteRings(value);
+  if (!rings) {
+    return { rings: null, repaired: false, errors: [{ ring: null, reason: "polygon_wgs84 must be a ring or an array of rings" }] };
+  }
+
+  const errors = [];
+  const out = [];
+  let repaired = false;
+
+  rings.forEach((raw, ringIndex) => {
+    if (!Array.isArray(raw) || !raw.every(isRouteRingPoint)) {
+      errors.push({ ring: ringIndex, reason: "ring points must be [lng, lat] within WGS84 range" });
+      return;
+    }
+
+    const ring = cleanRouteRing(raw);
+    const proj = projectorForRings([ring]);
+    const hasArea = (r) => r.length >= 3 && ringAreaSquareMeters(r, proj) >= 0.01;
+    if (ring.length < 3) {
+      if (repair) {
+        repaired = true;
+        return;
+      }
+      errors.push({ ring: ringIndex, reason: "ring needs at least 3 distinct points" });
+      return;
+    }
+
+    const hit = findRingSelfIntersection(ring);
+    if (hit && !repair) {
+      errors.push({
+        ring: ringIndex,
+        reason: `ring is self-intersecting (edge ${hit.i} crosses edge ${hit.j})`,
+        at: hit.point,
+      });
+      return;
+    }
+
+    const fixed = hit ? repairRouteRing(ring) : [ring];
+    if (!fixed) {
+      errors.push({ ring: ringIndex, reason: "ring is self-intersecting and could not be repaired", at: hit.point });
+      return;
+    }
+
+    const kept = fixed.filter(hasArea);
+    if (kept.length !== fixed.length || hit) {
+      if (!repair) {
+        errors.push({ ring: ringIndex, reason: "ring has zero area" });
+        return;
+      }
+      repaired = true;
+    }
+    out.push(...kept);
+  });
+
+  if (!errors.length && out.length === 0) {
+    errors.push({ ring: null, reason: "polygon_wgs84 has no valid ring" });
+  }
+
+  return { rings: errors.length ? null : out, errors, repaired };
+}
+
+function formatRingErrors(errors) {
+  return errors
+    .map((e) => (e.ring == null ? e.reason : `ring ${e.ring}: ${e.reason}`))
+    .join("; ");
+}
+
+// ear clipping. 단순 다각형(자기교차 없음) 전제.
+function triangulateRing(xy) {
+  const pts = signedArea(xy) < 0 ? xy.slice().reverse() : xy.slice();
+  const idx = pts.map((_, i) => i);
+  const tris = [];
+  let guard = 0;
+
+  while (idx.length > 3 && guard++ < pts.length * pts.length) {
+    let clipped = false;
+    for (let k = 0; k < idx.length; k++) {
+      const ia = idx[(k + idx.length - 1) % idx.length];
+      const ib = idx[k];
+      const ic = idx[(k + 1) % idx.length];
+      const a = pts[ia];
+      const b = pts[ib];
+      const c = pts[ic];
+      if (cross(a, b, c) <= 0) continue;
+
+      let inside = false;
+      for (const ip of idx) {
+        if (ip === ia || ip === ib || ip === ic) continue;
+        const p = pts[ip];
+        if (cross(a, b, p) >= 0 && cross(b, c, p) >= 0 && cross(c, a, p) >= 0) {
+          inside = true;
+          break;
+        }
+      }
+      if (inside) continue;
+
+      tris.push([a, b, c]);
+      idx.splice(k, 1);
+      clipped = true;
+      break;
+    }
+    if (!clipped) break;
+  }
+
+  if (idx.length === 3) tris.push(idx.map((i) => pts[i]));
+  return tris;
+}
+
+// Sutherland–Hodgman: subject는 오목해도 되고 clip은 반시계 볼록 다각형이어야 한다.
+function clipPolygonByConvex(subject, clip) {
+  let output = subject;
+  for (let i = 0; i < clip.length && output.length; i++) {
+    const c1 = clip[i];
+    const c2 = clip[(i + 1) % clip.length];
+    const input = output;
+    output = [];
+    for (let k = 0; k < input.length; k++) {
+      const cur = input[k];
+      const prev = input[(k + input.length - 1) % input.length];
+      const curIn = cross(c1, c2, cur) >= 0;
+      const prevIn = cross(c1, c2, prev) >= 0;
+      if (curIn) {
+        if (!prevIn) output.push(segmentIntersectionPoint(prev, cur, c1, c2));
+        output.push(cur);
+      } else if (prevIn) {
+        output.push(segmentIntersectionPoint(prev, cur, c1, c2));
+      }
+    }
+  }
+  return output;
+}
+
+function ringIntersectionArea(aXY, bXY) {
+  let area = 0;
+  for (const tri of triangulateRing(bXY)) {
+    const clipped = clipPolygonByConvex(aXY, tri);
+    if (clipped.length >= 3) area += Math.abs(signedArea(clipped));
+  }
+  return area;
+}
+
+function ringBBox(ring) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (const [x, y] of ring) {
+    if (x < minX) minX = x;
+    if (y < minY) minY = y;
+    if (x > maxX) maxX = x;
+    if (y > maxY) maxY = y;
+  }
+  return [minX, minY, maxX, maxY];
+}
+
+function bboxIntersects(a, b) {
+  return a[0] <= b[2] && b[0] <= a[2] && a[1] <= b[3] && b[1] <= a[3];
+}
+
+// ---------- /route ----------
+async function handleRouteGet(url, env) {
+  const camp = safeTrim(url.searchParams.get("camp"));
+  const code = safeTrim(url.searchParams.get("code"));
+  const mode = safeTrim(url.searchParams.get("mode") || "prefix");
+
+  if (!camp) return json({ error: "camp is required" }, 400);
+
+  const params = new URLSearchParams();
+  params.set("select", "*");
+  params.set("camp", `eq.${camp}`);
+  params.set("order", "full_code.asc");
+
+  if (code) {
+    if (mode === "exact") params.set("full_code", `eq.${code}`);
+    else params.set("full_code", `like.${code}%`);
+  }
+
+  // limit/cursor가 없으면 예전처럼 캠프 전체를 한 번에 돌려준다 (라우트 편집기).
+  const paged = url.searchParams.has("limit") || url.searchParams.has("cursor");
+  const page = paged ? readPageParams(url, { defaultLimit: 500 }) : null;
+  if (page) {
+    params.set("order", "full_code.asc,id.asc");
+    params.set("limit", String(page.limit));
+    params.set("offset", String(page.offset));
+  }
+
+  const data = createRequestData(env);
+  const { rows: out, count } = await data.timings.measure("route", async () => {
+    if (page) return await supabaseFetchWithCount(env, `/rest/v1/${ROUTE_TABLE}?${params.toString()}`);
+    const rows = await supabaseFetch(env, `/rest/v1/${ROUTE_TABLE}?${params.toString()}`, { method: "GET" });
+    return { rows: Array.isArray(rows) ? rows : [], count: null };
+  });
+
+  out.forEach(applyRouteDerivedFields);
+  await enrichRouteRows(out, env, data);
+
+  const headers = data.timings.headers({ "Cache-Control": "no-store" });
+  if (page) return pageResponse(out, { ...page, total: count }, headers);
+  return json({ rows: out, next_cursor: null, total: out.length }, 200, headers);
+}
+
+function buildRoutePatch(body) {
+  const camp = safeTrim(body.camp);
+  const code = safeTrim(body.code);
+  const patch = { camp, code, full_code: code };
+
+  const vendorKeys = [
+    "vendor_name",
+    "vendor_business_number",
+    "vendor_name_1w",
+    "vendor_name_2w",
+    "vendor_business_number_1w",
+    "vendor_business_number_2w",
+    "vendor_1w_name",
+    "vendor_2w_name",
+  ];
+  for (const k of vendorKeys) {
+    if (Object.prototype.hasOwnProperty.call(body, k)) patch[k] = body[k] ?? null;
+  }
+
+  if (Object.prototype.hasOwnProperty.call(body, "delivery_location_name")) {
+    patch.delivery_location_name = body.delivery_location_name ?? null;
+  }
+  if (Object.prototype.hasOwnProperty.call(body, "delivery_location_lat")) {
+    patch.delivery_location_lat = parseMaybeNumber(body.delivery_location_lat);
+  }
+  if (Object.prototype.hasOwnProperty.call(body, "delivery_location_lng")) {
+    patch.delivery_location_lng = parseMaybeNumber(body.delivery_location_lng);
+  }
+
+  if (Object.prototype.hasOwnProperty.call(body, "polygon_wgs84")) {
+    patch.polygon_wgs84 = body.polygon_wgs84 ?? null;
+  }
+
+  return patch;
+}
+
+async function patchRouteRowById(env, id, patch) {
+  const params = new URLSearchParams();
+  params.set("id", `eq.${id}`);
+  params.set("select", "*");
+
+  const updated = await supabaseFetch(env, `/rest/v1/${ROUTE_TABLE}?${params.toString()}`, {
+    method: "PATCH",
+    headers: { Prefer: "return=representation" },
+    body: JSON.stringify(patch),
+  });
+  return Array.isArray(updated) ? updated[0] : updated;
+}
+
+// 여러 라우트에 같은 값을 쓸 때는 id=in.(...) PATCH 를 묶음 단위로 보낸다.
+async function patchRoutesByIds(env, ids, patch) {
+  for (const chunk of chunkArray(ids, PAGE_MAX_LIMIT)) {
+    const rp = new URLSearchParams();
+    rp.set("id", `in.(${chunk.join(",")})`);
+    await supabaseFetch(env, `/rest/v1/${ROUTE_TABLE}?${rp.toString()}`, {
+      method: "PATCH",
+      headers: { Prefer: "return=minimal" },
+      body: JSON.stringify(patch),
+    });
+  }
+}
+
+async function findRouteRow(env, { id = null, camp = "", code = "" } = {}) {
+  const q = new URLSearchParams();
+  q.set("select", "*");
+  if (typeof id === "number") {
+    q.set("id", `eq.${id}`);
+  } else {
+    q.set("camp", `eq.${camp}`);
+    q.set("full_code", `eq.${code}`);
+  }
+  q.set("limit", "1");
+
+  const existing = await supabaseFetch(env, `/rest/v1/${ROUTE_TABLE}?${q.toString()}`, { method: "GET" });
+  if (Array.isArray(existing) && existing.length > 0 && typeof existing[0]?.id === "number") {
+    return existing[0];
+  }
+  return null;
+}
+
+// id가 있으면 해당 row를, 없으면 (camp, full_code) 기준으로 PATCH 또는 INSERT.
+// 쓰기 전/후 값을 subsubroute_revisions 에 남긴다.
+async function upsertRouteRow(env, patch, id = null, meta = {}) {
+  const before = typeof id === "number"
+    ? await findRouteRow(env, { id })
+    : await findRouteRow(env, { camp: patch.camp, code: patch.full_code });
+
+  let row = null;
+  if (before) {
+    row = await patchRouteRowById(env, before.id, patch);
+  } else {
+    const params = new URLSearchParams();
+    params.set("select", "*");
+
+    const inserted = await supabaseFetch(env, `/rest/v1/${ROUTE_TABLE}?${params.toString()}`, {
+      method: "POST",
+      headers: { Prefer: "return=representation" },
+      body: JSON.stringify(patch),
+    });
+    row = Array.isArray(inserted) ? inserted[0] : inserted;
+  }
+
+  const { ctx = null, action = before ? "update" : "insert", restoredFrom = null } = meta;
+  await recordRouteRevision(env, before, row, { action, actor: ctx?.actor, restoredFrom });
+  await recordImmediateVendorChanges(env, before, row, ctx);
+  await recordAudit(env, ctx, { table: ROUTE_TABLE, action: before ? "update" : "insert", before, after: row });
+  await purgeCampCache([before?.camp, row?.camp ?? patch.camp], ctx);
+  return row;
+}
+
+async function handleRoutePost(request, env, ctx) {
+  const body = await readJson(request);
+  const camp = safeTrim(body.camp);
+  const code = safeTrim(body.code);
+  const id = body.id;
+
+  if (!camp) return json({ error: "camp is required" }, 400);
+  if (!code) return json({ error: "code is required" }, 400);
+
+  const patch = buildRoutePatch(body);
+  let polygonRepaired = false;
+  if (patch.polygon_wgs84 != null) {
+    const checked = validateRouteRings(patch.polygon_wgs84, { repair: body.repair === true });
+    if (!checked.rings) {
+      return json(
+        { error: `invalid polygon_wgs84: ${formatRingErrors(checked.errors)}`, code: "invalid_polygon", details: checked.errors },
+        400
+      );
+    }
+    patch.polygon_wgs84 = checked.rings;
+    polygonRepaired = checked.repaired;
+  }
+
+  const row = await upsertRouteRow(env, patch, id, { ctx });
+
+  applyRouteDerivedFields(row);
+  await enrichRouteRows([row], env);
+
+  const out = { row };
+  if (polygonRepaired) out.polygon_repaired = true;
+  return json(out, 200, { "Cache-Control": "no-store" });
+}
+
+async function handleRouteDelete(request, env, ctx) {
+  const body = await readJson(request);
+  const id = body.id;
+  const camp = safeTrim(body.camp);
+  const code = safeTrim(body.code);
+
+  if (typeof id !== "number" && (!camp || !code)) {
+    return json({ error: "id OR (camp + code) is required" }, 400);
+  }
+
+  const before = await findRouteRow(env, { id, camp, code });
+  if (!before) return json({ error: "route not found" }, 404);
+
+  const row = await patchRouteRowById(env, before.id, { polygon_wgs84: null });
+  await recordRouteRevision(env, before, row, { action: "delete_polygon", actor: ctx?.actor });
+  await recordAudit(env, ctx, { table: ROUTE_TABLE, action: "update", before, after: row });
+  await purgeCampCache([before.camp], ctx);
+
+  applyRouteDerivedFields(row);
+  await enrichRouteRows([row], env);
+
+  return json({ row }, 200, { "Cache-Control": "no-store" });
+}
+
+// ---------- /route/revisions ----------
+const ROUTE_SNAPSHOT_FIELDS = [
+  "polygon_wgs84",
+  "vendor_name",
+  "vendor_business_number",
+  "vendor_name_1w",
+  "vendor_name_2w",
+  "vendor_business_number_1w",
+  "vendor_business_number_2w",
+  "delivery_location_name",
+  "delivery_location_lat",
+  "delivery_location_lng",
+];
+
+function pickRouteSnapshot(row) {
+  if (!row || typeof row !== "object") return null;
+  const out = {};
+  for (const k of ROUTE_SNAPSHOT_FIELDS) {
+    if (!Object.prototype.hasOwnProperty.call(row, k)) continue;
+    out[k] = k === "polygon_wgs84" ? parseMaybeJson(row[k], null) : (row[k] ?? null);
+  }
+  return out;
+}
+
+function diffRouteSnapshots(before, after) {
+  const changed = [];
+  for (const k of ROUTE_SNAPSHOT_FIELDS) {
+    const a = JSON.stringify(before?.[k] ?? null);
+    const b = JSON.stringify(after?.[k] ?? null);
+    if (a !== b) changed.push(k);
+  }
+  return changed;
+}
+
+function buildRouteRevision(beforeRow, afterRow, { action = "update", actor = null, restoredFrom = null } = {}) {
+  const target = afterRow || beforeRow;
+  if (!target) return null;
+
+  return {
+    route_id: target.id ?? null,
+    camp: safeTrim(target.camp) || null,
+    full_code: safeTrim(target.full_code) || null,
+    action,
+    actor,
+    restored_from: restoredFrom,
+    before: pickRouteSnapshot(beforeRow),
+    after: pickRouteSnapshot(afterRow),
+  };
+}
+
+// 리비전 기록 실패가 본 저장을 막지 않도록 경고만 남긴다. 여러 건은 한 번의 INSERT로 넣는다.
+async function insertRouteRevisions(env, revisions) {
+  const list = revisions.filter(Boolean);
+  if (list.length === 0) return [];
+
+  try {
+    const inserted = await supabaseFetch(env, `/rest/v1/${ROUTE_REVISION_TABLE}?select=id`, {
+      method: "POST",
+      headers: { Prefer: "return=representation" },
+      body: JSON.stringify(list),
+    });
+    return Array.isArray(inserted) ? inserted : [inserted];
+  } catch (e) {
+    console.warn("route revision 기록 실패:", e?.message || String(e));
+    return [];
+  }
+}
+
+async function recordRouteRevision(env, beforeRow, afterRow, opts = {}) {
+  const [inserted] = await insertRouteRevisions(env, [buildRouteRevision(beforeRow, afterRow, opts)]);
+  return inserted ?? null;
+}
+
+async function handleRouteRevisionsGet(url, env) {
+  const camp = safeTrim(url.searchParams.get("camp"));
+  const code = safeTrim(url.searchParams.get("code"));
+  const routeId = parseMaybeNumber(url.searchParams.get("route_id"));
+  const limitRaw = Number(url.searchParams.get("limit"));
+  const limit = Number.isFinite(limitRaw) && limitRaw > 0 ? Math.min(Math.floor(limitRaw), 200) : 50;
+
+  if (routeId == null && (!camp || !code)) {
+    return json({ error: "route_id OR (camp + code) is required" }, 400);
+  }
+
+  const params = new URLSearchParams();
+  params.set("select", "*");
+  if (routeId != null) params.set("route_id", `eq.${routeId}`);
+  else {
+    params.set("camp", `eq.${camp}`);
+    params.set("full_code", `eq.${code}`);
+  }
+  params.set("order", "created_at.desc,id.desc");
+  params.set("limit", String(limit));
+
+  const rows = await supabaseFetch(env, `/rest/v1/${ROUTE_REVISION_TABLE}?${params.toString()}`, { method: "GET" });
+  const out = (Array.isArray(rows) ? rows : []).map((row) => {
+    const before = parseMaybeJson(row.before, null);
+    const after = parseMaybeJson(row.after, null);
+    return { ...row, before, after, changed: diffRouteSnapshots(before, after) };
+  });
+
+  return json({ rows: out }, 200, { "Cache-Control": "no-store" });
+}
+
+async function handleRouteRevisionRestore(request, env, ctx) {
+  const body = await readJson(request);
+  const revisionId = parseMaybeNumber(body.revision_id ?? body.id);
+  const side = safeTrim(body.side || "before");
+
+  if (revisionId == null) return json({ error: "revision_id is required" }, 400);
+  if (side !== "before" && side !== "after") return json({ error: "side must be before or after" }, 400);
+
+  const q = new URLSearchParams();
+  q.set("select", "*");
+  q.set("id", `eq.${revisionId}`);
+  q.set("limit", "1");
+  const found = await supabaseFetch(env, `/rest/v1/${ROUTE_REVISION_TABLE}?${q.toString()}`, { method: "GET" });
+  const revision = Array.isArray(found) ? found[0] : null;
+  if (!revision) return json({ error: "revision not found" }, 404);
+
+  const snapshot = parseMaybeJson(revision[side], null);
+  if (!snapshot) return json({ error: `revision has no ${side} snapshot` }, 409);
+  if (!ROUTE_SNAPSHOT_FIELDS.some((k) => Object.prototype.hasOwnProperty.call(snapshot, k))) {
+    return json({ error: "revision has no route fields to restore (vendor period change)" }, 409);
+  }
+
+  const current = typeof revision.route_id === "number"
+    ? await findRouteRow(env, { id: revision.route_id })
+    : null;
+  const camp = safeTrim(current?.camp || revision.camp);
+  const code = safeTrim(current?.full_code || revision.full_code);
+  if (!camp || !code) return json({ error: "route for revision not found" }, 404);
+
+  const patch = buildRoutePatch({ ...snapshot, camp, code });
+  const row = await upsertRouteRow(env, patch, current?.id ?? null, {
+    action: "restore",
+    ctx,
+    restoredFrom: revisionId,
+  });
+
+  applyRouteDerivedFields(row);
+  await enrichRouteRows([row], env);
+
+  return json({ row, restored_from: revisionId, side }, 200, { "Cache-Control": "no-store" });
+}
+
+// ---------- /route/vendors (기간별 벤더 배정) ----------
+// subsubroutes.vendor_business_number_1w/2w 는 "오늘" 벤더만 담는다. 언제부터 언제까지 누가 했는지는
+// subsubroute_vendor_periods 에 [valid_from, valid_to) 기간으로 남긴다. valid_from null = 기록 시작 전부터, valid_to null = 계속.
+const VENDOR_WAVES = { "1W": "vendor_business_number_1w", "2W": "vendor_business_number_2w" };
+const VENDOR_PERIOD_SYNC_DAYS = 7;
+
+function normalizeVendorWave(v) {
+  const raw = safeTrim(v).toUpperCase().replace(/\s+/g, "");
+  if (["1W", "W1", "WAVE1", "NIGHT", "야간"].includes(raw)) return "1W";
+  if (["2W", "W2", "WAVE2", "DAY", "주간"].includes(raw)) return "2W";
+  return "";
+}
+
+function periodCovers(period, date) {
+  return (!period.valid_from || period.valid_from <= date) && (!period.valid_to || period.valid_to > date);
+}
+
+async function loadVendorPeriods(env, filters) {
+  const params = new URLSearchParams();
+  params.set("select", "*");
+  for (const [k, v] of Object.entries(filters)) params.set(k, v);
+  params.set("order", "route_id.asc,wave.asc,valid_from.asc.nullsfirst,id.asc");
+  return await fetchAllRows(env, ROUTE_VENDOR_PERIOD_TABLE, params);
+}
+
+// wave의 fromDate 부터의 배정을 businessNumber 로 바꾼다 (null이면 그날부터 비움).
+// fromDate 에 시작하던 기간만 새 값으로 바꾸고, fromDate 를 걸치는 기간은 fromDate 에서 끊는다.
+// 그 뒤에 잡혀 있던 예약은 그대로 두고, 새 기간은 다음 예약이 시작하는 날 끝난다.
+function planVendorPeriod(existing, route, wave, businessNumber, fromDate, actor = null) {
+  const base = { route_id: route.id, camp: safeTrim(route.camp), full_code: safeTrim(route.full_code), wave, actor };
+  const inserts = [];
+
+  // 처음 기록하는 route/wave 는 지금 컬럼 값을 "예전부터 fromDate 까지" 기간으로 남겨 둔다.
+  const current = safeTrim(route[VENDOR_WAVES[wave]]);
+  if (existing.length === 0 && current) {
+    inserts.push({ ...base, business_number: current, valid_from: null, valid_to: fromDate });
+  }
+
+  const removeIds = existing.filter((p) => p.valid_from === fromDate).map((p) => p.id);
+  const spanning = existing.find((p) => !removeIds.includes(p.id) && periodCovers(p, fromDate));
+  const next = existing
+    .filter((p) => p.valid_from && p.valid_from > fromDate)
+    .reduce((a, p) => (!a || p.valid_from < a.valid_from ? p : a), null);
+
+  const bn = safeTrim(businessNumber);
+  if (bn) inserts.push({ ...base, business_number: bn, valid_from: fromDate, valid_to: next?.valid_from ?? null });
+  return { removeIds, truncateIds: spanning ? [spanning.id] : [], inserts };
+}
+
+// 같은 fromDate 의 계획 여러 개를 DELETE / PATCH / INSERT 한 번씩(묶음 단위)으로 쓴다.
+async function writeVendorPeriodPlans(env, plans, fromDate) {
+  const removeIds = plans.flatMap((p) => p.removeIds);
+  const truncateIds = plans.flatMap((p) => p.truncateIds);
+  const inserts = plans.flatMap((p) => p.inserts);
+
+  for (const chunk of chunkArray(removeIds, PAGE_MAX_LIMIT)) {
+    await supabaseFetch(env, `/rest/v1/${ROUTE_VENDOR_PERIOD_TABLE}?id=in.(${chunk.join(",")})`, {
+      method: "DELETE",
+      headers: { Prefer: "return=minimal" },
+    });
+  }
+  for (const chunk of chunkArray(truncateIds, PAGE_MAX_LIMIT)) {
+    await supabaseFetch(env, `/rest/v1/${ROUTE_VENDOR_PERIOD_TABLE}?id=in.(${chunk.join(",")})`, {
+      method: "PATCH",
+      headers: { Prefer: "return=minimal" },
+      body: JSON.stringify({ valid_to: fromDate }),
+    });
+  }
+  for (const chunk of chunkArray(inserts, PAGE_MAX_LIMIT)) {
+    await supabaseFetch(env, `/rest/v1/${ROUTE_VENDOR_PERIOD_TABLE}`, {
+      method: "POST",
+      headers: { Prefer: "return=minimal" },
+      body: JSON.stringify(chunk),
+    });
+  }
+}
+
+async function applyVendorPeriod(env, route, wave, businessNumber, fromDate, actor = null) {
+  const existing = await loadVendorPeriods(env, { route_id: `eq.${route.id}`, wave: `eq.${wave}` });
+  await writeVendorPeriodPlans(env, [planVendorPeriod(existing, route, wave, businessNumber, fromDate, actor)], fromDate);
+}
+
+// POST /route 등으로 벤더 컬럼을 바로 바꾼 경우 오늘부터의 기간으로 기록한다.
+async function recordImmediateVendorChanges(env, before, after, ctx) {
+  if (!after?.id) return;
+  for (const [wave, col] of Object.entries(VENDOR_WAVES)) {
+    const prev = safeTrim(before?.[col]);
+    const next = safeTrim(after?.[col]);
+    if (prev === next) continue;
+    try {
+      await applyVendorPeriod(env, { ...after, [col]: prev }, wave, next || null, kstDateString(), ctx?.actor ?? null);
+    } catch (e) {
+      console.warn("벤더 기간 기록 실패:", e?.message || String(e));
+    }
+  }
+}
+
+// route/wave 의 date 기준 벤더. 기간 기록이 없으면 지금 컬럼 값을 그대로 쓴다.
+function resolveVendorOnDate(route, wave, periods, date) {
+  const own = periods.filter((p) => p.route_id === route.id && p.wave === wave);
+  if (own.length === 0) {
+    const bn = safeTrim(route[VENDOR_WAVES[wave]]);
+    return { business_number: bn || null, source: "route" };
+  }
+  const hit = own.find((p) => periodCovers(p, date));
+  return {
+    business_number: hit ? safeTrim(hit.business_number) || null : null,
+    source: "period",
+    period_id: hit?.id ?? null,
+    valid_from: hit?.valid_from ?? null,
+    valid_to: hit?.valid_to ?? null,
+  };
+}
+
+// 지금 컬럼 값이 오늘 기준 배정과 다르면 맞춘다 (예약된 교체일이 된 경우).
+// ctx 가 있으면 캐시 무효화를 요청 끝으로 미룬다 (cron 은 캠프를 모아 둘 객체를 넘긴다).
+async function syncRouteVendorColumns(env, route, periods, actor, ctx = null) {
+  const today = kstDateString();
+  const patch = {};
+  for (const [wave, col] of Object.entries(VENDOR_WAVES)) {
+    const resolved = resolveVendorOnDate(route, wave, periods, today);
+    if (resolved.source !== "period") continue;
+    if (safeTrim(route[col]) !== safeTrim(resolved.business_number)) patch[col] = resolved.business_number;
+  }
+  if (Object.keys(patch).length === 0) return route;
+
+  const row = await patchRouteRowById(env, route.id, patch);
+  await recordRouteRevision(env, route, row, { action: "vendor_schedule", actor });
+  await purgeCampCache([route.camp], ctx);
+  return row;
+}
+
+async function handleRouteVendorsGet(url, env) {
+  const routeId = parseMaybeNumber(url.searchParams.get("route_id"));
+  const camp = safeTrim(url.searchParams.get("camp"));
+  const code = safeTrim(url.searchParams.get("code"));
+  const dateParam = url.searchParams.get("date");
+  const date = dateParam ? parseDateParam(dateParam) : kstDateString();
+
+  if (!date) return json({ error: "date must be YYYY-MM-DD" }, 400);
+  if (routeId == null && !camp) return json({ error: "route_id OR camp is required" }, 400);
+
+  let routes;
+  if (routeId != null || code) {
+    const route = await findRouteRow(env, { id: routeId ?? undefined, camp, code });
+    if (!route) return json({ error: "route not found" }, 404);
+    routes = [route];
+  } else {
+    routes = await fetchAllRouteRows(env, camp, "id,camp,full_code,vendor_business_number_1w,vendor_business_number_2w");
+  }
+
+  const periods = routes.length === 1
+    ? await loadVendorPeriods(env, { route_id: `eq.${routes[0].id}` })
+    : await loadVendorPeriods(env, { camp: `eq.${camp}` });
+
+  const bns = periods.map((p) => p.business_number);
+  const rows = routes.map((route) => {
+    const on = {};
+    for (const wave of Object.keys(VENDOR_WAVES)) {
+      on[wave] = resolveVendorOnDate(route, wave, periods, date);
+      if (on[wave].business_number) bns.push(on[wave].business_number);
+    }
+    return { route_id: route.id, camp: route.camp, full_code: route.full_code, date, vendors: on };
+  });
+
+  const names = await fetchVendorNameMap(env, bns);
+  const nameOf = (bn) => (bn ? names.get(safeTrim(bn)) || names.get(digitsOnly(bn)) || null : null);
+  for (const row of rows) {
+    for (const v of Object.values(row.vendors)) {
+      v.name = nameOf(v.business_number);
+    }
+  }
+
+  // 라우트 하나를 물으면 기간 목록(지난 배정 + 예약)도 같이 준다.
+  if (routes.length === 1) {
+    const today = kstDateString();
+    const list = periods.map((p) => ({
+      ...p,
+      vendor_name: nameOf(p.business_number),
+      scheduled: !!p.valid_from && p.valid_from > today,
+    }));
+    return json({ ...rows[0], periods: list }, 200, { "Cache-Control": "no-store" });
+  }
+
+  return json({ date, rows }, 200, { "Cache-Control": "no-store" });
+}
+
+// body: { route_id | camp+code, wave: "1W"|"2W", business_number (null=비움), effective_from: YYYY-MM-DD (기본 오늘) }
+async function handleRouteVendorsPost(request, env, ctx) {
+  const body = await readJson(request);
+  const wave = normalizeVendorWave(body.wave);
+  const effectiveFrom = body.effective_from ? parseDateParam(body.effective_from) : kstDateString();
+  const bn = body.business_number == null ? null : normalizeBusinessNumber(body.business_number);
+
+  if (!wave) return json({ error: "wave must be 1W or 2W" }, 400);
+  if (!effectiveFrom) return json({ error: "effective_from must be YYYY-MM-DD" }, 400);
+  if (body.business_number != null && !digitsOnly(bn)) return json({ error: "business_number is invalid" }, 400);
+
+  const route = await findRouteRow(env, { id: parseMaybeNumber(body.route_id), camp: safeTrim(body.camp), code: safeTrim(body.code) });
+  if (!route) return json({ error: "route not found" }, 404);
+
+  const today = kstDateString();
+  if (effectiveFrom < today && body.allow_past !== true) {
+    return json({ error: "effective_from is in the past (allow_past: true 로 지난 기간도 고칠 수 있음)" }, 400);
+  }
+
+  await applyVendorPeriod(env, route, wave, bn, effectiveFrom, ctx?.actor ?? null);
+  const periods = await loadVendorPeriods(env, { route_id: `eq.${route.id}` });
+  const row = await syncRouteVendorColumns(env, route, periods, ctx?.actor ?? null, ctx);
+  await recordAudit(env, ctx, { table: ROUTE_VENDOR_PERIOD_TABLE, action: "schedule", before: route, after: { ...row, wave, business_number: bn, effective_from: effectiveFrom } });
+
+  return json(
+    { ok: true, route_id: route.id, wave, business_number: bn, effective_from: effectiveFrom, scheduled: effectiveFrom > today, periods },
+    200,
+    { "Cache-Control": "no-store" }
+  );
+}
+
+// 아직 시작하지 않은 예약만 취소할 수 있다. 앞 기간은 취소한 예약이 끝나던 날까지 다시 늘린다.
+async function handleRouteVendorsDelete(request, env, ctx) {
+  const body = await readJson(request);
+  const periodId = parseMaybeNumber(body.period_id ?? body.id);
+  if (periodId == null) return json({ error: "period_id is required" }, 400);
+
+  const [period] = await loadVendorPeriods(env, { id: `eq.${periodId}` });
+  if (!period) return json({ error: "period not found" }, 404);
+  if (!period.valid_from || period.valid_from <= kstDateString()) {
+    return json({ error: "only future (scheduled) periods can be cancelled" }, 409);
+  }
+
+  const siblings = await loadVendorPeriods(env, { route_id: `eq.${period.route_id}`, wave: `eq.${period.wave}` });
+  const previous = siblings.find((p) => p.id !== period.id && p.valid_to === period.valid_from);
+
+  await supabaseFetch(env, `/rest/v1/${ROUTE_VENDOR_PERIOD_TABLE}?id=eq.${period.id}`, {
+    method: "DELETE",
+    headers: { Prefer: "return=minimal" },
+  });
+  if (previous) {
+    await supabaseFetch(env, `/rest/v1/${ROUTE_VENDOR_PERIOD_TABLE}?id=eq.${previous.id}`, {
+      method: "PATCH",
+      headers: { Prefer: "return=minimal" },
+      body: JSON.stringify({ valid_to: period.valid_to }),
+    });
+  }
+  await recordAudit(env, ctx, { table: ROUTE_VENDOR_PERIOD_TABLE, action: "cancel", before: period, after: null });
+
+  return json({ ok: true, cancelled: period.id, extended: previous?.id ?? null }, 200, { "Cache-Control": "no-store" });
+}
+
+// cron: 최근 며칠 사이 시작/끝난 기간의 라우트를 오늘 기준으로 맞춘다. 하루를 놓쳐도 다음 실행에서 따라잡는다.
+async function syncScheduledVendorPeriods(env) {
+  const today = kstDateString();
+  const since = kstDateString(new Date(Date.now() - VENDOR_PERIOD_SYNC_DAYS * 24 * 60 * 60 * 1000));
+  const changed = await loadVendorPeriods(env, {
+    or: `(and(valid_from.gt.${since},valid_from.lte.${today}),and(valid_to.gt.${since},valid_to.lte.${today}))`,
+  });
+
+  const routeIds = Array.from(new Set(changed.map((p) => p.route_id).filter((id) => id != null)));
+  const purge = { purgeCamps: new Set() };
+  let synced = 0;
+  for (const chunk of chunkArray(routeIds, VENDOR_IN_CHUNK)) {
+    const rp = new URLSearchParams();
+    rp.set("select", "*");
+    rp.set("id", `in.(${chunk.join(",")})`);
+    const [routes, periods] = await Promise.all([
+      supabaseFetch(env, `/rest/v1/${ROUTE_TABLE}?${rp.toString()}`, { method: "GET" }),
+      loadVendorPeriods(env, { route_id: `in.(${chunk.join(",")})` }),
+    ]);
+    for (const route of Array.isArray(routes) ? routes : []) {
+      const row = await syncRouteVendorColumns(env, route, periods, "scheduler", purge);
+      if (row !== route) synced += 1;
+    }
+  }
+  if (purge.purgeCamps.size) await purgeCampCache(Array.from(purge.purgeCamps));
+  return { checked: routeIds.length, synced };
+}
+
+// ---------- /route/overlaps ----------
+async function handleRouteOverlapsGet(url, env) {
+  const camp = safeTrim(url.searchParams.get("camp"));
+  const minAreaRaw = parseMaybeNumber(url.searchParams.get("min_area"));
+  const minArea = minAreaRaw != null && minAreaRaw >= 0 ? minAreaRaw : 1;
+
+  if (!camp) return json({ error: "camp is required" }, 400);
+
+  const rows = await fetchAllRouteRows(env, camp, "id,camp,full_code,polygon_wgs84");
+  const allRings = [];
+  const invalid = [];
+  const routes = [];
+
+  for (const row of rows) {
+    if (row?.polygon_wgs84 == null) continue;
+    const checked = validateRouteRings(row.polygon_wgs84);
+    if (!checked.rings) {
+      invalid.push({ id: row.id, full_code: row.full_code, errors: checked.errors });
+      continue;
+    }
+    allRings.push(...checked.rings);
+    routes.push({ id: row.id, full_code: row.full_code, rings: checked.rings });
+  }
+
+  const proj = projectorForRings(allRings);
+  for (const route of routes) {
+    route.xy = route.rings.map((ring) => ring.map(proj.toXY));
+    route.bboxes = route.xy.map(ringBBox);
+    route.area = route.xy.reduce((sum, xy) => sum + Math.abs(signedArea(xy)), 0);
+  }
+
+  const pairs = [];
+  for (let i = 0; i < routes.length; i++) {
+    for (let j = i + 1; j < routes.length; j++) {
+      const a = routes[i];
+      const b = routes[j];
+      let overlap = 0;
+      for (let ra = 0; ra < a.xy.length; ra++) {
+        for (let rb = 0; rb < b.xy.length; rb++) {
+          if (!bboxIntersects(a.bboxes[ra], b.bboxes[rb])) continue;
+          overlap += ringIntersectionArea(a.xy[ra], b.xy[rb]);
+        }
+      }
+      if (overlap < minArea) continue;
+      pairs.push({
+        a: { id: a.id, full_code: a.full_code, area_m2: Math.round(a.area) },
+        b: { id: b.id, full_code: b.full_code, area_m2: Math.round(b.area) },
+        overlap_m2: Math.round(overlap * 10) / 10,
+        overlap_ratio: Math.round((overlap / Math.max(1e-9, Math.min(a.area, b.area))) * 10000) / 10000,
+      });
+    }
+  }
+  pairs.sort((x, y) => y.overlap_m2 - x.overlap_m2);
+
+  return json({ camp, checked: routes.length, pairs, invalid }, 200, { "Cache-Control": "no-store" });
+}
+
+// ---------- /route/gaps ----------
+const GAP_DEFAULT_RESOLUTION_M = 10;
+const GAP_MAX_CELLS = 400000;
+const GAP_MAX_ZIPCODES = 40;
+const GAP_ZIP_CONCURRENCY = 4;
+
+async function loadCampZipcodes(env, camp) {
+  const params = new URLSearchParams();
+  params.set("select", "zipcode");
+  params.set("camp", `eq.${camp}`);
+  params.set("zipcode", "not.is.null");
+  params.set("limit", "10000");
+
+  const rows = await supabaseFetch(env, `/rest/v1/${ADDRESS_TABLE}?${params.toString()}`, { method: "GET" });
+  const set = new Set();
+  for (const row of (Array.isArray(rows) ? rows : [])) {
+    const z = digitsOnly(row?.zipcode);
+    if (z.length === 5) set.add(z);
+  }
+  return Array.from(set).sort();
+}
+
+function makeGrid(bbox, resolution) {
+  const [minX, minY, maxX, maxY] = bbox;
+  const width = Math.max(maxX - minX, resolution);
+  const height = Math.max(maxY - minY, resolution);
+  const cell = Math.max(resolution, Math.sqrt((width * height) / GAP_MAX_CELLS));
+  const cols = Math.ceil(width / cell);
+  const rows = Math.ceil(height / cell);
+  return { minX, minY, cell, cols, rows, cells: new Uint8Array(cols * rows) };
+}
+
+// even-odd 스캔라인으로 ring 묶음(외곽 + 구멍)을 격자에 칠한다. 칠한 칸에는 value를 OR 한다.
+function rasterizeRingGroup(grid, rings, value) {
+  const { minX, minY, cell, cols, rows, cells } = grid;
+  let gMinY = Infinity;
+  let gMaxY = -Infinity;
+  for (const ring of rings) {
+    for (const [, y] of ring) {
+      if (y < gMinY) gMinY = y;
+      if (y > gMaxY) gMaxY = y;
+    }
+  }
+  const r0 = Math.max(0, Math.floor((gMinY - minY) / cell - 0.5));
+  const r1 = Math.min(rows - 1, Math.ceil((gMaxY - minY) / cell - 0.5));
+
+  for (let r = r0; r <= r1; r++) {
+    const yc = minY + (r + 0.5) * cell;
+    const xs = [];
+    for (const ring of rings) {
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [x1, y1] = ring[j];
+        const [x2, y2] = ring[i];
+        if ((y1 > yc) !== (y2 > yc)) xs.push(x1 + ((yc - y1) * (x2 - x1)) / (y2 - y1));
+      }
+    }
+    xs.sort((a, b) => a - b);
+    for (let k = 0; k + 1 < xs.length; k += 2) {
+      const c0 = Math.max(0, Math.ceil((xs[k] - minX) / cell - 0.5));
+      const c1 = Math.min(cols - 1, Math.floor((xs[k + 1] - minX) / cell - 0.5));
+      for (let c = c0; c <= c1; c++) cells[r * cols + c] |= value;
+    }
+  }
+}
+
+// 같은 성분에 속한 칸들의 바깥 변을 이어 ring으로 만든다. 반시계 = 외곽, 시계 = 구멍.
+function traceComponentRings(grid, member) {
+  const { minX, minY, cell, cols } = grid;
+  const edges = new Map();
+  const addEdge = (x1, y1, x2, y2) => {
+    const key = `${x1},${y1}`;
+    if (!edges.has(key)) edges.set(key, []);
+    edges.get(key).push([x2, y2]);
+  };
+
+  for (const idx of member.list) {
+    const c = idx % cols;
+    const r = (idx - c) / cols;
+    if (!member.set.has(idx - cols) || r === 0) addEdge(c, r, c + 1, r);
+    if (!member.set.has(idx + 1) || c === cols - 1) addEdge(c + 1, r, c + 1, r + 1);
+    if (!member.set.has(idx + cols)) addEdge(c + 1, r + 1, c, r + 1);
+    if (!member.set.has(idx - 1) || c === 0) addEdge(c, r + 1, c, r);
+  }
+
+  const rings = [];
+  for (const [startKey, outs] of edges) {
+    while (outs.length) {
+      const ring = [startKey.split(",").map(Number)];
+      let [px, py] = ring[0];
+      let [nx, ny] = outs.shift();
+      let guard = 0;
+      while (guard++ < member.list.length * 4 + 4) {
+        ring.push([nx, ny]);
+        const key = `${nx},${ny}`;
+        if (key === startKey) break;
+        const candidates = edges.get(key) || [];
+        if (candidates.length === 0) break;
+        // 꼭짓점에서 갈림길이면 왼쪽으로 가장 많이 꺾는 변을 골라 ring이 서로 붙지 않게 한다.
+        const dx = nx - px;
+        const dy = ny - py;
+        let pick = 0;
+        if (candidates.length > 1) {
+          const left = candidates.findIndex(([cx, cy]) => (cx - nx) === -dy && (cy - ny) === dx);
+          if (left >= 0) pick = left;
+        }
+        const [cx, cy] = candidates.splice(pick, 1)[0];
+        px = nx;
+        py = ny;
+        nx = cx;
+        ny = cy;
+      }
+      ring.pop();
+
+      // 계단 모양의 직선 구간 중간점 제거
+      const simplified = ring.filter((pt, i) => {
+        const prev = ring[(i + ring.length - 1) % ring.length];
+        const next = ring[(i + 1) % ring.length];
+        return cross(prev, pt, next) !== 0;
+      });
+      if (simplified.length >= 3) {
+        rings.push(simplified.map(([gx, gy]) => [minX + gx * cell, minY + gy * cell]));
+      }
+    }
+  }
+  return rings;
+}
+
+function pointInRing(pt, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > pt[1]) !== (yj > pt[1]) && pt[0] < ((xj - xi) * (pt[1] - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+function ringsToGapGeometry(rings5179) {
+  const outers = rings5179.filter((r) => signedArea(r) > 0).map((r) => [r]);
+  const holes = rings5179.filter((r) => signedArea(r) < 0);
+  for (const hole of holes) {
+    const owner = outers.find((poly) => pointInRing(hole[0], poly[0])) || outers[0];
+    if (owner) owner.push(hole);
+  }
+  const toWgs = (poly) => poly.map((ring) => {
+    const out = ring.map((pt) => epsg5179ToWgs84(pt).map((v) => Math.round(v * 1e7) / 1e7));
+    out.push(out[0]);
+    return out;
+  });
+  if (outers.length === 1) return { type: "Polygon", coordinates: toWgs(outers[0]) };
+  return { type: "MultiPolygon", coordinates: outers.map(toWgs) };
+}
+
+/**
+ * 캠프 라우트 폴리곤 합집합이 캠프 우편번호 경계를 덮지 못한 구멍을 찾는다.
+ * resolution_m 격자로 래스터화해 계산하므로 면적·경계는 격자 크기만큼 근사치다.
+ */
+async function handleRouteGapsGet(url, env) {
+  const camp = safeTrim(url.searchParams.get("camp"));
+  const resolutionRaw = parseMaybeNumber(url.searchParams.get("resolution"));
+  const resolution = resolutionRaw != null && resolutionRaw >= 2 ? resolutionRaw : GAP_DEFAULT_RESOLUTION_M;
+  const minAreaRaw = parseMaybeNumber(url.searchParams.get("min_area"));
+  const minArea = minAreaRaw != null && minAreaRaw >= 0 ? minAreaRaw : 500;
+
+  if (!camp) return json({ error: "camp is required" }, 400);
+
+  const zipParam = safeTrim(url.searchParams.get("zipcodes"));
+  const zipcodes = zipParam
+    ? Array.from(new Set(zipParam.split(/[\s,]+/).map(digitsOnly).filter((z) => z.length === 5)))
+    : await loadCampZipcodes(env, camp);
+  if (zipcodes.length === 0) {
+    return json({ error: "no zipcodes for camp (pass zipcodes=07420,07421)" }, 400);
+  }
+  if (zipcodes.length > GAP_MAX_ZIPCODES) {
+    return json({ error: `too many zipcodes (max ${GAP_MAX_ZIPCODES})` }, 400);
+  }
+
+  // juso 조회는 몇 개씩 나눠 병렬로 보낸다. 네트워크 오류나 깨진 JSON 도 그 우편번호만 빠진 것으로 본다.
+  const boundaries = [];
+  const missingZipcodes = [];
+  for (const batch of chunkArray(zipcodes, GAP_ZIP_CONCURRENCY)) {
+    const results = await Promise.all(batch.map(async (zipcode) => {
+      try {
+        return await fetchZipBoundary(zipcode);
+      } catch (e) {
+        console.warn("우편번호 경계 조회 실패:", zipcode, e?.message || String(e));
+        return { error: true };
+      }
+    }));
+    results.forEach((result, i) => {
+      if (result.error) missingZipcodes.push(batch[i]);
+      else boundaries.push(result.data);
+    });
+  }
+  if (boundaries.length === 0) {
+    return json({ error: "zipcode boundaries unavailable", missing_zipcodes: missingZipcodes }, 502);
+  }
+
+  const zipPolygons = boundaries.flatMap((b) => b.polygon5179);
+  const zipBBox = ringBBox(zipPolygons.flatMap((poly) => poly[0] || []));
+  const grid = makeGrid(zipBBox, resolution);
+  for (const poly of zipPolygons) rasterizeRingGroup(grid, poly, 1);
+
+  const routeRows = await fetchAllRouteRows(env, camp, "id,full_code,polygon_wgs84");
+  for (const row of routeRows) {
+    const rings = normalizeRouteRings(row?.polygon_wgs84) || [];
+    for (const ring of rings) {
+      const clean = cleanRouteRing(ring.filter(isRouteRingPoint));
+      if (clean.length >= 3) rasterizeRingGroup(grid, [clean.map(wgs84ToEpsg5179)], 2);
+    }
+  }
+
+  const { cells, cols, cell } = grid;
+  const cellArea = cell * cell;
+  let zipCells = 0;
+  let coveredCells = 0;
+  for (let i = 0; i < cells.length; i++) {
+    if (cells[i] & 1) {
+      zipCells += 1;
+      if (cells[i] & 2) coveredCells += 1;
+    }
+  }
+
+  const seen = new Uint8Array(cells.length);
+  const features = [];
+  for (let start = 0; start < cells.length; start++) {
+    if (cells[start] !== 1 || seen[start]) continue;
+
+    const list = [];
+    const stack = [start];
+    seen[start] = 1;
+    while (stack.length) {
+      const idx = stack.pop();
+      list.push(idx);
+      const c = idx % cols;
+      const neighbors = [idx - cols, idx + cols, c > 0 ? idx - 1 : -1, c < cols - 1 ? idx + 1 : -1];
+      for (const n of neighbors) {
+        if (n < 0 || n >= cells.length || seen[n] || cells[n] !== 1) continue;
+        seen[n] = 1;
+        stack.push(n);
+      }
+    }
+
+    const area = list.length * cellArea;
+    if (area < minArea) continue;
+
+    const rings = traceComponentRings(grid, { list, set: new Set(list) });
+    if (rings.length === 0) continue;
+    features.push({
+      type: "Feature",
+      geometry: ringsToGapGeometry(rings),
+      properties: { area_m2: Math.round(area) },
+    });
+  }
+  features.sort((a, b) => b.properties.area_m2 - a.properties.area_m2);
+  features.forEach((f, i) => { f.properties.rank = i + 1; });
+
+  const zipArea = zipCells * cellArea;
+  const coveredArea = coveredCells * cellArea;
+  return json(
+    {
+      camp,
+      zipcodes: boundaries.map((b) => b.zipcode),
+      missing_zipcodes: missingZipcodes,
+      resolution_m: Math.round(cell * 100) / 100,
+      zip_area_m2: Math.round(zipArea),
+      covered_area_m2: Math.round(coveredArea),
+      uncovered_area_m2: Math.round(zipArea - coveredArea),
+      coverage_ratio: zipArea > 0 ? Math.round((coveredArea / zipArea) * 10000) / 10000 : null,
+      gaps: { type: "FeatureCollection", features },
+    },
+    200,
+    { "Cache-Control": "no-store" }
+  );
+}
+
+// ---------- /route/bulk, /route/export ----------
+const ROUTE_BULK_MAX_ROWS = 2000;
+const ROUTE_BULK_CHUNK = 500;
+const ROUTE_BULK_PATCH_CONCURRENCY = 6;
+const ROUTE_EXPORT_PAGE_SIZE = 1000;
+const ROUTE_EXPORT_COLUMNS = [
+  "id",
+  "camp",
+  "full_code",
+  "vendor_name_1w",
+  "vendor_business_number_1w",
+  "vendor_name_2w",
+  "vendor_business_number_2w",
+  "delivery_location_name",
+  "delivery_location_lat",
+  "delivery_location_lng",
+  "polygon_wgs84",
+];
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  const s = String(text ?? "").replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (inQuotes) {
+      if (ch === '"' && s[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') inQuotes = true;
+    else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && s[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((v) => safeTrim(v) !== ""));
+}
+
+function csvCell(v) {
+  if (v == null) return "";
+  const s = typeof v === "object" ? JSON.stringify(v) : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function routeBulkRowsFromCsv(text) {
+  const table = parseCsv(text);
+  if (table.length === 0) return [];
+
+  const header = table[0].map((h) => safeTrim(h));
+  return table.slice(1).map((cells) => {
+    const obj = {};
+    header.forEach((key, i) => {
+      if (!key) return;
+      const v = cells[i];
+      // CSV에서는 빈 칸을 "값 없음"으로 보고 기존 값을 건드리지 않는다.
+      if (v == null || safeTrim(v) === "") return;
+      obj[key] = key === "polygon_wgs84" ? parseMaybeJson(v, v) : v;
+    });
+    if (!obj.code && obj.full_code) obj.code = obj.full_code;
+    return obj;
+  });
+}
+
+function validateRouteBulkRow(raw, index, { repair = false } = {}) {
+  const errors = [];
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { index, camp: "", code: "", patch: null, errors: ["row must be an object"] };
+  }
+
+  const body = { ...raw };
+  if (!body.code && body.full_code) body.code = body.full_code;
+  const camp = safeTrim(body.camp);
+  const code = safeTrim(body.code);
+  if (!camp) errors.push("camp is required");
+  if (!code) errors.push("code is required");
+
+  for (const k of ["delivery_location_lat", "delivery_location_lng"]) {
+    if (Object.prototype.hasOwnProperty.call(body, k) && body[k] != null && body[k] !== "") {
+      if (parseMaybeNumber(body[k]) == null) errors.push(`${k} must be a number`);
+    }
+  }
+
+  for (const k of ["vendor_business_number", "vendor_business_number_1w", "vendor_business_number_2w"]) {
+    if (!Object.prototype.hasOwnProperty.call(body, k) || body[k] == null || body[k] === "") continue;
+    if (digitsOnly(body[k]).length !== 10) errors.push(`${k} must have 10 digits`);
+    else body[k] = normalizeBusinessNumber(body[k]);
+  }
+
+  if (Object.prototype.hasOwnProperty.call(body, "polygon_wgs84") && body.polygon_wgs84 != null && body.polygon_wgs84 !== "") {
+    const checked = validateRouteRings(body.polygon_wgs84, { repair });
+    if (!checked.rings) errors.push(`invalid polygon_wgs84: ${formatRingErrors(checked.errors)}`);
+    else body.polygon_wgs84 = checked.rings;
+  }
+
+  return { index, camp, code, patch: errors.length ? null : buildRoutePatch(body), errors };
+}
+
+async function loadRouteIdIndex(env, camps) {
+  const out = new Map();
+  const list = Array.from(new Set(camps.filter(Boolean)));
+  if (list.length === 0) return out;
+
+  const params = new URLSearchParams();
+  params.set("select", "id,camp,full_code");
+  params.set("camp", `in.(${list.map(quoteInValue).join(",")})`);
+  params.set("order", "id.asc");
+  const rows = await fetchAllRows(env, ROUTE_TABLE, params);
+  for (const row of rows) {
+    if (typeof row?.id !== "number") continue;
+    out.set(`${safeTrim(row.camp)}\n${safeTrim(row.full_code)}`, row.id);
+  }
+  return out;
+}
+
+async function readRouteBulkRows(request, url) {
+  const contentType = safeTrim(request.headers.get("Content-Type")).toLowerCase();
+  const format = safeTrim(url.searchParams.get("format")).toLowerCase();
+  const text = await request.text();
+
+  if (format === "csv" || contentType.includes("text/csv")) {
+    return routeBulkRowsFromCsv(text);
+  }
+
+  let body;
+  try {
+    body = text ? JSON.parse(text) : [];
+  } catch {
+    throw httpError(400, "Invalid JSON body");
+  }
+  if (Array.isArray(body)) return body;
+  if (Array.isArray(body?.rows)) return body.rows;
+  throw httpError(400, "body must be an array of routes (or { rows: [...] })");
+}
+
+// /route/bulk, GeoJSON 가져오기 공통. 행마다 upsertRouteRow 를 부르면 요청당 subrequest 가 너무 많아지므로
+// 묶음마다 변경 전 조회, 새 행 INSERT, 리비전·감사 INSERT 를 한 번씩만 보낸다.
+// 기존 행은 upsertRouteRow 처럼 id 로 PATCH 하되, 같은 값을 쓰는 행끼리는 id=in.(...) 한 번으로 묶는다.
+// items: [{ patch, existingId, result }]. 행마다 result.status 를 inserted / updated / unchanged / failed / not_saved 로 채운다.
+async function upsertRouteRowsBulk(env, items, { action, ctx = null }) {
+  let written = 0;
+  for (const chunk of chunkArray(items, ROUTE_BULK_CHUNK)) {
+    try {
+      written += await upsertRouteChunk(env, chunk, { action, ctx });
+    } catch (e) {
+      for (const item of chunk) {
+        item.result.status = "failed";
+        item.result.errors.push(e?.message || String(e));
+      }
+    }
+  }
+  return written;
+}
+
+// 키 이름 집합(또는 값)이 같은 항목끼리 묶는다.
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return Array.from(groups.values());
+}
+
+function markRouteWriteFailed(items, e) {
+  for (const item of items) {
+    item.result.status = "failed";
+    item.result.errors.push(e?.message || String(e));
+  }
+}
+
+async function upsertRouteChunk(env, chunk, { action, ctx }) {
+  const existingIds = chunk.map((item) => item.existingId).filter((id) => id != null);
+  const beforeById = new Map();
+  if (existingIds.length) {
+    const bp = new URLSearchParams();
+    bp.set("select", "*");
+    bp.set("id", `in.(${existingIds.join(",")})`);
+    const rows = await supabaseFetch(env, `/rest/v1/${ROUTE_TABLE}?${bp.toString()}`, { method: "GET" });
+    for (const row of Array.isArray(rows) ? rows : []) beforeById.set(row.id, row);
+  }
+
+  const savedRows = new Map(); // item -> 저장 후 row
+  const updates = chunk.filter((item) => item.existingId != null && beforeById.has(item.existingId));
+  const inserts = chunk.filter((item) => item.existingId == null);
+  // 조회 사이에 지워진 행은 다시 만들지 않는다.
+  for (const item of chunk.filter((item) => item.existingId != null && !beforeById.has(item.existingId))) {
+    item.result.status = "not_saved";
+    item.result.errors.push("route was deleted before it could be updated");
+  }
+
+  // 기존 행: camp/full_code 는 찾을 때 쓴 값 그대로이므로 나머지 필드만 PATCH 한다.
+  const fieldsOf = (patch) => Object.fromEntries(Object.entries(patch).filter(([k]) => !["camp", "code", "full_code"].includes(k)));
+  const patchGroups = [];
+  for (const group of groupBy(updates, (item) => JSON.stringify(fieldsOf(item.patch)))) {
+    const fields = fieldsOf(group[0].patch);
+    if (Object.keys(fields).length === 0) {
+      for (const item of group) {
+        item.result.status = "unchanged";
+        item.result.id = item.existingId;
+      }
+    } else {
+      patchGroups.push({ fields, items: group });
+    }
+  }
+  for (const batch of chunkArray(patchGroups, ROUTE_BULK_PATCH_CONCURRENCY)) {
+    await Promise.all(batch.map(async ({ fields, items }) => {
+      try {
+        const rp = new URLSearchParams();
+        rp.set("id", `in.(${items.map((item) => item.existingId).join(",")})`);
+        rp.set("select", "*");
+        const rows = await supabaseFetch(env, `/rest/v1/${ROUTE_TABLE}?${rp.toString()}`, {
+          method: "PATCH",
+          headers: { Prefer: "return=representation" },
+          body: JSON.stringify(fields),
+        });
+        const byId = new Map((Array.isArray(rows) ? rows : []).map((row) => [row.id, row]));
+        for (const item of items) {
+          if (byId.has(item.existingId)) savedRows.set(item, byId.get(item.existingId));
+        }
+      } catch (e) {
+        markRouteWriteFailed(items, e);
+      }
+    }));
+  }
+
+  // 새 행: 같은 키 집합끼리 한 번에 INSERT (PostgREST 일괄 INSERT 는 모든 행의 키가 같아야 한다).
+  for (const group of groupBy(inserts, (item) => Object.keys(item.patch).sort().join(","))) {
+    try {
+      const ip = new URLSearchParams();
+      ip.set("select", "*");
+      const rows = await supabaseFetch(env, `/rest/v1/${ROUTE_TABLE}?${ip.toString()}`, {
+        method: "POST",
+        headers: { Prefer: "return=representation" },
+        body: JSON.stringify(group.map((item) => item.patch)),
+      });
+      const byKey = new Map((Array.isArray(rows) ? rows : []).map((row) => [`${safeTrim(row.camp)}\n${safeTrim(row.full_code)}`, row]));
+      for (const item of group) {
+        const row = byKey.get(`${item.patch.camp}\n${item.patch.full_code}`);
+        if (row) savedRows.set(item, row);
+      }
+    } catch (e) {
+      markRouteWriteFailed(group, e);
+    }
+  }
+
+  // 응답에 행이 없으면 썼다고 하지 않는다.
+  const changes = [];
+  for (const item of [...updates, ...inserts]) {
+    if (item.result.status === "failed" || item.result.status === "unchanged") continue;
+    const row = savedRows.get(item) || null;
+    if (!row) {
+      item.result.status = "not_saved";
+      item.result.errors.push("no row returned for this route");
+      continue;
+    }
+    const before = item.existingId != null ? beforeById.get(item.existingId) : null;
+    item.result.status = before ? "updated" : "inserted";
+    item.result.id = row.id;
+    changes.push({ before, row });
+  }
+  if (changes.length === 0) return 0;
+
+  await insertRouteRevisions(env, changes.map(({ before, row }) => buildRouteRevision(before, row, { action, actor: ctx?.actor ?? null })));
+  await recordBulkVendorChanges(env, changes, ctx);
+  await recordAudit(env, ctx, changes.map(({ before, row }) => ({ table: ROUTE_TABLE, action: before ? "update" : "insert", before, after: row })));
+  await purgeCampCache(changes.map(({ row }) => row.camp), ctx);
+  return changes.length;
+}
+
+// recordImmediateVendorChanges 의 묶음 버전. 바뀐 라우트의 기간을 한 번에 읽고 한 번에 쓴다.
+async function recordBulkVendorChanges(env, changes, ctx) {
+  const today = kstDateString();
+  const targets = [];
+  for (const { before, row } of changes) {
+    for (const [wave, col] of Object.entries(VENDOR_WAVES)) {
+      const prev = safeTrim(before?.[col]);
+      const next = safeTrim(row?.[col]);
+      if (prev !== next && row?.id != null) targets.push({ route: { ...row, [col]: prev }, wave, next });
+    }
+  }
+  if (targets.length === 0) return;
+
+  try {
+    const routeIds = Array.from(new Set(targets.map((t) => t.route.id)));
+    const periods = [];
+    for (const chunk of chunkArray(routeIds, VENDOR_IN_CHUNK)) {
+      periods.push(...(await loadVendorPeriods(env, { route_id: `in.(${chunk.join(",")})` })));
+    }
+    const plans = targets.map(({ route, wave, next }) => {
+      const existing = periods.filter((p) => p.route_id === route.id && p.wave === wave);
+      return planVendorPeriod(existing, route, wave, next || null, today, ctx?.actor ?? null);
+    });
+    await writeVendorPeriodPlans(env, plans, today);
+  } catch (e) {
+    console.warn("벤더 기간 기록 실패:", e?.message || String(e));
+  }
+}
+
+async function handleRouteBulkPost(request, url, env, ctx) {
+  const rows = await readRouteBulkRows(request, url);
+  const dryRun = ["1", "true"].includes(safeTrim(url.searchParams.get("dry_run")).toLowerCase());
+  const partial = ["1", "true"].includes(safeTrim(url.searchParams.get("partial")).toLowerCase());
+  const repair = ["1", "true"].includes(safeTrim(url.searchParams.get("repair")).toLowerCase());
+
+  if (rows.length === 0) return json({ error: "rows is empty" }, 400);
+  if (rows.length > ROUTE_BULK_MAX_ROWS) {
+    return json({ error: `too many rows (max ${ROUTE_BULK_MAX_ROWS})` }, 400);
+  }
+
+  const checked = rows.map((raw, i) => validateRouteBulkRow(raw, i, { repair }));
+
+  const seen = new Map();
+  for (const item of checked) {
+    if (!item.patch) continue;
+    const key = `${item.camp}\n${item.code}`;
+    if (seen.has(key)) item.errors.push(`duplicate of row ${seen.get(key)}`);
+    else seen.set(key, item.index);
+  }
+
+  const invalid = checked.filter((item) => item.errors.length > 0);
+  const report = checked.map((item) => ({
+    index: item.index,
+    camp: item.camp,
+    code: item.code,
+    status: item.errors.length ? "invalid" : "pending",
+    errors: item.errors,
+  }));
+
+  // 하나라도 검증에 실패하면 partial=1 이 아닌 한 아무것도 쓰지 않는다.
+  if (invalid.length > 0 && !partial) {
+    return json({ ok: false, written: 0, invalid: invalid.length, results: report }, 400, { "Cache-Control": "no-store" });
+  }
+  if (dryRun) {
+    report.forEach((r) => { if (r.status === "pending") r.status = "valid"; });
+    return json({ ok: true, dry_run: true, written: 0, invalid: invalid.length, results: report }, 200, { "Cache-Control": "no-store" });
+  }
+
+  const valid = checked.filter((item) => !item.errors.length);
+  const idIndex = await loadRouteIdIndex(env, valid.map((item) => item.camp));
+  const written = await upsertRouteRowsBulk(
+    env,
+    valid.map((item) => ({
+      patch: item.patch,
+      existingId: idIndex.get(`${item.camp}\n${item.code}`) ?? null,
+      result: report[item.index],
+    })),
+    { action: "bulk", ctx }
+  );
+
+  const failed = report.filter((r) => r.status === "failed" || r.status === "not_saved").length;
+  return json(
+    { ok: failed === 0 && invalid.length === 0, written, invalid: invalid.length, failed, results: report },
+    200,
+    { "Cache-Control": "no-store" }
+  );
+}
+
+async function handleRouteExportGet(url, env) {
+  const camp = safeTrim(url.searchParams.get("camp"));
+  const format = safeTrim(url.searchParams.get("format") || "json").toLowerCase();
+
+  if (!camp) return json({ error: "camp is required" }, 400);
+  if (format !== "json" && format !== "csv") return json({ error: "format must be json or csv" }, 400);
+
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+
+  const pump = async () => {
+    let first = true;
+    try {
+      if (format === "csv") await writer.write(encoder.encode(`\uFEFF${ROUTE_EXPORT_COLUMNS.join(",")}\r\n`));
+      else await writer.write(encoder.encode(`{"camp":${JSON.stringify(camp)},"rows":[`));
+
+      for (let offset = 0; ; offset += ROUTE_EXPORT_PAGE_SIZE) {
+        const params = new URLSearchParams();
+        params.set("select", "*");
+        params.set("camp", `eq.${camp}`);
+        params.set("order", "full_code.asc,id.asc");
+        params.set("limit", String(ROUTE_EXPORT_PAGE_SIZE));
+        params.set("offset", String(offset));
+
+        const page = await supabaseFetch(env, `/rest/v1/${ROUTE_TABLE}?${params.toString()}`, { method: "GET" });
+        const rows = Array.isArray(page) ? page : [];
+        rows.forEach(applyRouteDerivedFields);
+
+        let chunk = "";
+        for (const row of rows) {
+          if (format === "csv") {
+            chunk += `${ROUTE_EXPORT_COLUMNS.map((k) => csvCell(row[k])).join(",")}\r\n`;
+          } else {
+            chunk += `${first ? "" : ","}${JSON.stringify(row)}`;
+            first = false;
+          }
+        }
+        if (chunk) await writer.write(encoder.encode(chunk));
+        if (rows.length < ROUTE_EXPORT_PAGE_SIZE) break;
+      }
+
+      if (format === "json") await writer.write(encoder.encode("]}"));
+      await writer.close();
+    } catch (e) {
+      console.warn("route export 실패:", e?.message || String(e));
+      await writer.abort(e);
+    }
+  };
+  pump();
+
+  const stamp = getKstYYYYMMDDHHMM();
+  const filename = `routes_${stamp}.${format}`;
+  return new Response(readable, {
+    status: 200,
+    headers: {
+      "Content-Type": format === "csv" ? "text/csv; charset=utf-8" : "application/json; charset=utf-8",
+      "Content-Disposition": `attachment; filename="${filename}"; filename*=UTF-8''${encodeURIComponent(`${camp}_${filename}`)}`,
+      "Cache-Control": "no-store",
+    },
+  });
+}
+
+// ---------- /route.geojson, /route.kml ----------
+async function fetchAllRouteRows(env, camp, select = "*") {
+  const params = new URLSearchParams();
+  params.set("select", select);
+  params.set("camp", `eq.${camp}`);
+  params.set("order", "full_code.asc,id.asc");
+  return await fetchAllRows(env, ROUTE_TABLE, params, ROUTE_EXPORT_PAGE_SIZE);
+}
+
+function closeRing(ring) {
+  const out = ring.filter(isRouteRingPoint).map((pt) => [pt[0], pt[1]]);
+  if (out.length < 3) return null;
+  const first = out[0];
+  const last = out[out.length - 1];
+  if (first[0] !== last[0] || first[1] !== last[1]) out.push([first[0], first[1]]);
+  return out;
+}
+
+function openRing(ring) {
+  const out = ring.filter(isRouteRingPoint).map((pt) => [pt[0], pt[1]]);
+  if (out.length >= 2) {
+    const first = out[0];
+    const last = out[out.length - 1];
+    if (first[0] === last[0] && first[1] === last[1]) out.pop();
+  }
+  return out.length >= 3 ? out : null;
+}
+
+// 저장 형식은 ring마다 독립된 면이므로 GeoJSON에서는 ring 1개 = Polygon 1개로 본다.
+function routeRingsToGeometry(polygonWgs84) {
+  const rings = (normalizeRouteRings(polygonWgs84) || []).map(closeRing).filter(Boolean);
+  if (rings.length === 0) return null;
+  if (rings.length === 1) return { type: "Polygon", coordinates: [rings[0]] };
+  return { type: "MultiPolygon", coordinates: rings.map((ring) => [ring]) };
+}
+
+// 구멍(inner ring)은 저장할 수 없으므로 외곽 ring만 가져온다.
+function geometryToRouteRings(geometry) {
+  if (!geometry || typeof geometry !== "object") return null;
+  let outers = [];
+  if (geometry.type === "Polygon" && Array.isArray(geometry.coordinates)) {
+    outers = [geometry.coordinates[0]];
+  } else if (geometry.type === "MultiPolygon" && Array.isArray(geometry.coordinates)) {
+    outers = geometry.coordinates.map((poly) => (Array.isArray(poly) ? poly[0] : null));
+  } else {
+    return null;
+  }
+  const rings = outers.filter(Array.isArray).map(openRing).filter(Boolean);
+  return rings.length ? rings : null;
+}
+
+function routeRowToFeature(row) {
+  return {
+    type: "Feature",
+    id: row.id ?? undefined,
+    geometry: routeRingsToGeometry(row.polygon_wgs84),
+    properties: {
+      id: row.id ?? null,
+      camp: row.camp ?? null,
+      full_code: row.full_code ?? null,
+      color: row.color ?? null,
+      vendor_name_1w: row.vendor_name_1w ?? null,
+      vendor_business_number_1w: row.vendor_business_number_1w ?? null,
+      vendor_name_2w: row.vendor_name_2w ?? null,
+      vendor_business_number_2w: row.vendor_business_number_2w ?? null,
+      delivery_location_name: row.delivery_location_name ?? null,
+      delivery_location_address: row.delivery_location_address ?? null,
+      delivery_location_lat: row.delivery_location_lat ?? null,
+      delivery_location_lng: row.delivery_location_lng ?? null,
+    },
+  };
+}
+
+async function loadRouteFeatureRows(url, env) {
+  const camp = safeTrim(url.searchParams.get("camp"));
+  const code = safeTrim(url.searchParams.get("code"));
+  const rows = (await fetchAllRouteRows(env, camp))
+    .filter((row) => !code || safeTrim(row.full_code).startsWith(code));
+
+  rows.forEach(applyRouteDerivedFields);
+  await enrichRouteRows(rows, env);
+  return rows;
+}
+
+async function handleRouteGeoJsonGet(url, env) {
+  const camp = safeTrim(url.searchParams.get("camp"));
+  if (!camp) return json({ error: "camp is required" }, 400);
+
+  const rows = await loadRouteFeatureRows(url, env);
+  const includeEmpty = ["1", "true"].includes(safeTrim(url.searchParams.get("include_empty")).toLowerCase());
+  const features = rows.map(routeRowToFeature).filter((f) => includeEmpty || f.geometry);
+
+  return json({ type: "FeatureCollection", name: camp, features }, 200, {
+    "Content-Type": "application/geo+json; charset=utf-8",
+    "Content-Disposition": `inline; filename*=UTF-8''${encodeURIComponent(`${camp}.geojson`)}`,
+    "Cache-Control": "no-store",
+  });
+}
+
+function escapeXml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// KML 색상은 aabbggrr 순서
+function hexToKmlColor(hex, alpha = "ff") {
+  const m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(safeTrim(hex));
+  if (!m) return `${alpha}ffffff`;
+  return `${alpha}${m[3]}${m[2]}${m[1]}`.toLowerCase();
+}
+
+function routeFeatureToKmlPlacemark(feature) {
+  const p = feature.properties || {};
+  const polygons = feature.geometry.type === "Polygon"
+    ? [feature.geometry.coordinates]
+    : feature.geometry.coordinates;
+  const polygonXml = polygons
+    .map((poly) => {
+      const coords = poly[0].map(([lng, lat]) => `${lng},${lat},0`).join(" ");
+      return `<Polygon><outerBoundaryIs><LinearRing><coordinates>${coords}</coordinates></LinearRing></outerBoundaryIs></Polygon>`;
+    })
+    .join("");
+  const data = Object.entries(p)
+    .filter(([, v]) => v != null && v !== "")
+    .map(([k, v]) => `<Data name="${escapeXml(k)}"><value>${escapeXml(v)}</value></Data>`)
+    .join("");
+
+  return [
+    "<Placemark>",
+    `<name>${escapeXml(p.full_code)}</name>`,
+    `<Style><LineStyle><color>${hexToKmlColor(p.color)}</color><width>2</width></LineStyle>`,
+    `<PolyStyle><color>${hexToKmlColor(p.color, "55")}</color></PolyStyle></Style>`,
+    `<ExtendedData>${data}</ExtendedData>`,
+    `<MultiGeometry>${polygonXml}</MultiGeometry>`,
+    "</Placemark>",
+  ].join("");
+}
+
+async function handleRouteKmlGet(url, env) {
+  const camp = safeTrim(url.searchParams.get("camp"));
+  if (!camp) return json({ error: "camp is required" }, 400);
+
+  const rows = await loadRouteFeatureRows(url, env);
+  const placemarks = rows
+    .map(routeRowToFeature)
+    .filter((f) => f.geometry)
+    .map(routeFeatureToKmlPlacemark)
+    .join("\n");
+
+  const kml = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<kml xmlns="http://www.opengis.net/kml/2.2">`,
+    `<Document><name>${escapeXml(camp)}</name>`,
+    placemarks,
+    `</Document></kml>`,
+  ].join("\n");
+
+  return new Response(kml, {
+    status: 200,
+    headers: {
+      "Content-Type": "application/vnd.google-earth.kml+xml; charset=utf-8",
+      "Content-Disposition": `attachment; filename*=UTF-8''${encodeURIComponent(`${camp}.kml`)}`,
+      "Cache-Control": "no-store",
+    },
+  });
+}
+
+async function handleRouteGeoJsonPost(request, url, env, ctx) {
+  const body = await readJson(request);
+  const campParam = safeTrim(url.searchParams.get("camp"));
+  const create = ["1", "true"].includes(safeTrim(url.searchParams.get("create")).toLowerCase());
+  const dryRun = ["1", "true"].includes(safeTrim(url.searchParams.get("dry_run")).toLowerCase());
+  const repair = ["1", "true"].includes(safeTrim(url.searchParams.get("repair")).toLowerCase());
+
+  const features = body?.type === "FeatureCollection" && Array.isArray(body.features)
+    ? body.features
+    : body?.type === "Feature" ? [body] : null;
+  if (!features) return json({ error: "body must be a GeoJSON FeatureCollection" }, 400);
+  if (features.length > ROUTE_BULK_MAX_ROWS) {
+    return json({ error: `too many features (max ${ROUTE_BULK_MAX_ROWS})` }, 400);
+  }
+
+  const items = features.map((f, index) => {
+    const props = f?.properties || {};
+    const camp = campParam || safeTrim(props.camp);
+    const code = safeTrim(props.full_code ?? props.code ?? props.name);
+    let rings = geometryToRouteRings(f?.geometry);
+    const errors = [];
+    if (!camp) errors.push("camp is required (query or properties.camp)");
+    if (!code) errors.push("properties.full_code is required");
+    if (!rings) {
+      errors.push("geometry must be a Polygon or MultiPolygon");
+    } else {
+      const checked = validateRouteRings(rings, { repair });
+      if (!checked.rings) errors.push(`invalid geometry: ${formatRingErrors(checked.errors)}`);
+      rings = checked.rings;
+    }
+    return { index, camp, code, rings, errors };
+  });
+
+  const seen = new Map();
+  for (const it of items) {
+    if (it.errors.length) continue;
+    const key = `${it.camp}\n${it.code}`;
+    if (seen.has(key)) it.errors.push(`duplicate of feature ${seen.get(key)}`);
+    else seen.set(key, it.index);
+  }
+
+  const idIndex = await loadRouteIdIndex(env, items.filter((it) => !it.errors.length).map((it) => it.camp));
+  const results = [];
+  const writes = [];
+
+  for (const it of items) {
+    const result = { index: it.index, camp: it.camp, code: it.code, status: "", errors: it.errors };
+    results.push(result);
+    if (it.errors.length) {
+      result.status = "invalid";
+      continue;
+    }
+
+    const existingId = idIndex.get(`${it.camp}\n${it.code}`);
+    if (existingId == null && !create) {
+      result.status = "not_found";
+      continue;
+    }
+    if (dryRun) {
+      result.status = existingId != null ? "would_update" : "would_insert";
+      continue;
+    }
+
+    const patch = { camp: it.camp, code: it.code, full_code: it.code, polygon_wgs84: it.rings };
+    writes.push({ patch, existingId: existingId ?? null, result });
+  }
+
+  const written = writes.length ? await upsertRouteRowsBulk(env, writes, { action: "geojson_import", ctx }) : 0;
+
+  // 매칭되지 않았거나(not_found) 저장되지 않은 feature 가 하나라도 있으면 일부만 가져온 것이다.
+  const count = (...statuses) => results.filter((r) => statuses.includes(r.status)).length;
+  const summary = {
+    invalid: count("invalid"),
+    not_found: count("not_found"),
+    failed: count("failed", "not_saved"),
+  };
+  const ok = summary.invalid + summary.not_found + summary.failed === 0;
+  return json({ ok, partial: !ok && written > 0, dry_run: dryRun, written, ...summary, results }, 200, {
+    "Cache-Control": "no-store",
+  });
+}
+
+// ---------- /vendors ----------
+function scoreVendorSearch(row, qLower) {
+  const name = safeTrim(row?.name).toLowerCase();
+  const bn = safeTrim(row?.business_number).toLowerCase();
+  if (!qLower) return 0;
+  if (name === qLower) return 120;
+  if (bn === qLower) return 115;
+  if (name.startsWith(qLower)) return 100;
+  if (bn.startsWith(qLower)) return 95;
+  if (name.includes(qLower)) return 80;
+  if (bn.includes(qLower)) return 75;
+  return 0;
+}
+
+function vendorDedupeKey(row) {
+  if (row?.id != null) return `id:${row.id}`;
+  return `key:${safeTrim(row?.business_number)}|${safeTrim(row?.name)}`;
+}
+
+async function handleVendorsGet(url, env) {
+  const q = safeTrim(url.searchParams.get("q"));
+
+  if (!q) {
+    const page = readPageParams(url);
+    const params = new URLSearchParams();
+    params.set("select", "*");
+    params.set("order", "created_at.desc,id.desc");
+    params.set("limit", String(page.limit));
+    params.set("offset", String(page.offset));
+    const { rows, count } = await supabaseFetchWithCount(env, `/rest/v1/${VENDORS_TABLE}?${params.toString()}`);
+    return pageResponse(rows.map(withBusinessNumberCheck), { ...page, total: count }, { "Cache-Control": "no-store" });
+  }
+
+  // 검색은 페이지와 상관없이 같은 후보를 점수순으로 정렬해 자른다 (searchPageResponse).
+  const page = readPageParams(url, { maxLimit: 200 });
+  const wildcard = `*${q}*`;
+  const base = new URLSearchParams();
+  base.set("select", "*");
+  base.set("order", "created_at.desc,id.desc");
+  base.set("limit", String(SEARCH_MAX_ROWS));
+
+  const queries = [
+    ["name", `eq.${q}`],
+    ["business_number", `eq.${q}`],
+    ["name", `ilike.${wildcard}`],
+    ["business_number", `ilike.${wildcard}`],
+  ];
+
+  // 전체 건수: 부분 일치 결과가 정확 일치를 포함하므로 두 ilike 의 합집합만 센다.
+  const countParams = new URLSearchParams();
+  countParams.set("select", "id");
+  countParams.set("or", `(name.ilike.${quoteInValue(wildcard)},business_number.ilike.${quoteInValue(wildcard)})`);
+  countParams.set("limit", "1");
+
+  // 검색 쿼리들은 서로 독립이라 병렬로 보내고, 결과는 정확 일치 → 부분 일치 순서로 합친다.
+  const timings = createServerTimings();
+  const counting = supabaseFetchWithCount(env, `/rest/v1/${VENDORS_TABLE}?${countParams.toString()}`)
+    .then((r) => r.count)
+    .catch(() => null);
+  const results = await timings.measure("vendors", () => Promise.all(queries.map(async ([field, value]) => {
+    try {
+      const p = new URLSearchParams(base.toString());
+      p.set(field, value);
+      const rows = await supabaseFetch(env, `/rest/v1/${VENDORS_TABLE}?${p.toString()}`, { method: "GET" });
+      return Array.isArray(rows) ? rows : [];
+    } catch (e) {
+      console.warn("vendors 검색 쿼리 실패:", e?.message || String(e));
+      return [];
+    }
+  })));
+
+  const merged = new Map();
+  for (const rows of results) {
+    for (const row of rows) {
+      const key = vendorDedupeKey(row);
+      if (!merged.has(key)) merged.set(key, row);
+    }
+  }
+
+  const qLower = q.toLowerCase();
+  const matchCount = await counting;
+
+  // 사업자번호처럼 보이는 검색어는 검증 결과도 같이 준다 (신규 등록 전 경고용).
+  const extra = /^[\d\s-]+$/.test(q)
+    ? { query_business_number: { value: normalizeBusinessNumber(q), ...validateBusinessNumber(q) } }
+    : {};
+
+  return searchPageResponse(
+    Array.from(merged.values()),
+    (row) => scoreVendorSearch(row, qLower),
+    page,
+    { matchCount, map: withBusinessNumberCheck, extra },
+    timings.headers({ "Cache-Control": "no-store" })
+  );
+}
+
+async function handleVendorCreate(request, env, ctx) {
+  const body = await readJson(request);
+  const name = safeTrim(body.name ?? body.vendor_name);
+  const rawBusinessNumber = safeTrim(body.business_number ?? body.vendor_business_number);
+  const businessNumber = normalizeBusinessNumber(rawBusinessNumber);
+  const vendorCodeInput = safeTrim(body.vendor_code);
+
+  if (!name) return json({ error: "name is required" }, 400);
+  if (!digitsOnly(businessNumber)) return json({ error: "business_number is required" }, 400);
+  const check = validateBusinessNumber(businessNumber);
+  if (!check.valid && body.allow_invalid_business_number !== true) {
+    const reason = check.reason === "length" ? "must be 10 digits" : "checksum mismatch";
+    return json(
+      { error: `invalid business_number: ${reason}`, code: "invalid_business_number", business_number_check: check },
+      400
+    );
+  }
+  const vendorCode = buildVendorCodeFromBusinessNumber(businessNumber) || vendorCodeInput || null;
+
+  const tryFindByBusinessNumber = async (bn) => {
+    const q = new URLSearchParams();
+    q.set("select", "*");
+    q.set("business_number", `eq.${bn}`);
+    q.set("limit", "1");
+    const rows = await supabaseFetch(env, `/rest/v1/${VENDORS_TABLE}?${q.toString()}`, { method: "GET" });
+    return Array.isArray(rows) ? rows : [];
+  };
+
+  let existing = await tryFindByBusinessNumber(businessNumber);
+  if ((!existing || existing.length === 0) && rawBusinessNumber && rawBusinessNumber !== businessNumber) {
+    existing = await tryFindByBusinessNumber(rawBusinessNumber);
+  }
+
+  const patch = { name, business_number: businessNumber };
+  if (vendorCode || Object.prototype.hasOwnProperty.call(body, "vendor_code")) {
+    patch.vendor_code = vendorCode;
+  }
+
+  let row = null;
+  if (Array.isArray(existing) && existing.length > 0 && existing[0]?.id != null) {
+    const params = new URLSearchParams();
+    params.set("id", `eq.${existing[0].id}`);
+    params.set("select", "*");
+
+    const updated = await supabaseFetch(env, `/rest/v1/${VENDORS_TABLE}?${params.toString()}`, {
+      method: "PATCH",
+      headers: { Prefer: "return=representation" },
+      body: JSON.stringify(patch),
+    });
+    row = Array.isArray(updated) ? updated[0] : updated;
+  } else {
+    const params = new URLSearchParams();
+    params.set("select", "*");
+
+    const inserted = await supabaseFetch(env, `/rest/v1/${VENDORS_TABLE}?${params.toString()}`, {
+      method: "POST",
+      headers: { Prefer: "return=representation" },
+      body: JSON.stringify(patch),
+    });
+    row = Array.isArray(inserted) ? inserted[0] : inserted;
+  }
+
+  const before = Array.isArray(existing) && existing[0]?.id != null ? existing[0] : null;
+  await recordAudit(env, ctx, { table: VENDORS_TABLE, action: before ? "update" : "insert", before, after: row });
+
+  return json({ row: withBusinessNumberCheck(row) }, 200, { "Cache-Control": "no-store" });
+}
+
+// ---------- /vendors/:id ----------
+const VENDOR_HISTORY_DEFAULT_LIMIT = 20;
+
+// key는 vendors.id 또는 사업자번호(하이픈 유무 무관). 둘 다 아니면 null(404).
+async function findVendorByKey(env, key) {
+  const raw = safeTrim(key);
+  const params = new URLSearchParams();
+  params.set("select", "*");
+  params.set("limit", "1");
+  if (digitsOnly(raw).length === 10 && /^[\d-]+$/.test(raw)) {
+    params.set("business_number", `in.(${businessNumberVariants(raw).map(quoteInValue).join(",")})`);
+  } else if (/^\d{1,15}$/.test(raw)) {
+    params.set("id", `eq.${raw}`);
+  } else {
+    return null;
+  }
+  const rows = await supabaseFetch(env, `/rest/v1/${VENDORS_TABLE}?${params.toString()}`, { method: "GET" });
+  return Array.isArray(rows) && rows[0] ? rows[0] : null;
+}
+
+function groupVendorRoutesByCamp(routes, bnSet) {
+  const byCamp = new Map();
+  for (const row of routes) {
+    const waves = [];
+    if (bnSet.has(safeTrim(row.vendor_business_number_1w))) waves.push("1W");
+    if (bnSet.has(safeTrim(row.vendor_business_number_2w))) waves.push("2W");
+    if (waves.length === 0) continue;
+
+    const camp = safeTrim(row.camp);
+    if (!byCamp.has(camp)) byCamp.set(camp, []);
+    const fullCode = safeTrim(row.full_code);
+    byCamp.get(camp).push({
+      id: row.id,
+      full_code: fullCode,
+      waves,
+      delivery_location_name: safeTrim(row.delivery_location_name) || null,
+      color: generateColor(fullCode),
+    });
+  }
+
+  return Array.from(byCamp, ([camp, rows]) => ({
+    camp,
+    route_count: rows.length,
+    routes: rows.sort((a, b) => a.full_code.localeCompare(b.full_code, "ko", { numeric: true })),
+  })).sort((a, b) => a.camp.localeCompare(b.camp, "ko"));
+}
+
+// week 는 "2025-9W" 처럼 0 채움이 없는 텍스트라 DB 정렬로는 9W 가 10W 보다 뒤에 온다.
+// cleansing_history_worker 의 parseWeek 처럼 연도/주차를 숫자로 읽어 최신순으로 정렬한다.
+function parseHistoryWeek(week) {
+  const raw = safeTrim(week).toUpperCase();
+  const yearMatch = raw.match(/^\s*(20\d{2})/);
+  const weekMatch = raw.match(/(\d{1,2})\s*W\b/);
+  return { year: yearMatch ? Number(yearMatch[1]) : 0, weekNo: weekMatch ? Number(weekMatch[1]) : 0 };
+}
+
+function compareHistoryDesc(a, b) {
+  const aw = parseHistoryWeek(a?.week);
+  const bw = parseHistoryWeek(b?.week);
+  return (bw.year - aw.year) || (bw.weekNo - aw.weekNo) || (Number(b?.id) || 0) - (Number(a?.id) || 0);
+}
+
+async function handleVendorDetailGet(url, env, key) {
+  const historyParam = url.searchParams.get("history_limit");
+  const historyRaw = historyParam == null || historyParam === "" ? NaN : Number(historyParam);
+  const historyLimit = Number.isFinite(historyRaw) && historyRaw >= 0
+    ? Math.min(Math.floor(historyRaw), 200)
+    : VENDOR_HISTORY_DEFAULT_LIMIT;
+
+  const vendor = await findVendorByKey(env, key);
+  if (!vendor) return json({ error: "vendor not found" }, 404);
+
+  const bns = businessNumberVariants(vendor.business_number);
+  const hp = new URLSearchParams();
+  hp.set("select", "*");
+  hp.set("business_number", `in.(${bns.map(quoteInValue).join(",")})`);
+  hp.set("order", "id.desc");
+
+  const timings = createServerTimings();
+  const [routes, history] = bns.length
+    ? await Promise.all([
+      timings.measure("routes", () =>
+        loadRoutesReferencingBns(
+          env,
+          bns,
+          "id,camp,full_code,delivery_location_name,vendor_business_number_1w,vendor_business_number_2w",
+          VENDOR_ROUTE_BN_COLUMNS.slice(0, 2)
+        )
+      ),
+      historyLimit > 0
+        ? timings.measure("history", async () =>
+          (await fetchAllRows(env, CLEANSING_HISTORY_TABLE, hp)).sort(compareHistoryDesc).slice(0, historyLimit)
+        ).catch((e) => {
+          console.warn("cleansing_history 조회 실패:", e?.message || String(e));
+          return [];
+        })
+        : [],
+    ])
+    : [[], []];
+
+  const camps = groupVendorRoutesByCamp(routes, new Set(bns));
+  const waveCount = (wave) => camps.reduce((sum, c) => sum + c.routes.filter((r) => r.waves.includes(wave)).length, 0);
+
+  return json(
+    {
+      vendor: withBusinessNumberCheck(vendor),
+      summary: {
+        camps: camps.length,
+        routes: camps.reduce((sum, c) => sum + c.route_count, 0),
+        routes_1w: waveCount("1W"),
+        routes_2w: waveCount("2W"),
+      },
+      camps,
+      history: Array.isArray(history) ? history : [],
+    },
+    200,
+    timings.headers({ "Cache-Control": "no-store" })
+  );
+}
+
+// ---------- /vendors/duplicates, /vendors/merge ----------
+const VENDOR_DUPLICATE_DEFAULT_THRESHOLD = 0.88;
+const VENDOR_ROUTE_BN_COLUMNS = ["vendor_business_number_1w", "vendor_business_number_2w", "vendor_business_number"];
+
+// 법인 표기, 공백, 구두점을 떼어낸 비교용 이름. "(주) 마루 웰" == "마루웰주식회사"
+function normalizeVendorName(v) {
+  return safeTrim(v)
+    .toLowerCase()
+    .replace(/주식회사|유한회사|합자회사|합명회사|\(주\)|\(유\)|㈜|㈲|co\.?,?\s*ltd\.?|inc\.?|corp\.?/g, "")
+    .replace(/[\s\-_.,·'"()[\]{}/&]+/g, "");
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function nameSimilarity(a, b) {
+  const maxLen = Math.max(a.length, b.length);
+  return maxLen ? 1 - levenshtein(a, b) / maxLen : 1;
+}
+
+function createUnionFind(n) {
+  const parent = Array.from({ length: n }, (_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  return {
+    find,
+    union(a, b) {
+      const ra = find(a);
+      const rb = find(b);
+      if (ra !== rb) parent[Math.max(ra, rb)] = Math.min(ra, rb);
+    },
+  };
+}
+
+// 사업자번호 숫자가 같거나, 정규화한 이름이 같거나, 이름 유사도가 threshold 이상이면 같은 묶음으로 본다.
+function clusterVendorDuplicates(vendors, threshold) {
+  const uf = createUnionFind(vendors.length);
+  const reasons = new Map(); // "i|j" -> Set(reason)
+  const link = (i, j, reason) => {
+    uf.union(i, j);
+    const key = i < j ? `${i}|${j}` : `${j}|${i}`;
+    if (!reasons.has(key)) reasons.set(key, new Set());
+    reasons.get(key).add(reason);
+  };
+
+  const byDigits = new Map();
+  const byName = new Map();
+  const byFirstChar = new Map();
+  vendors.forEach((v, i) => {
+    const d = digitsOnly(v.business_number);
+    if (d) {
+      if (byDigits.has(d)) link(byDigits.get(d), i, "business_number");
+      else byDigits.set(d, i);
+    }
+
+    const name = normalizeVendorName(v.name);
+    if (!name) return;
+    if (byName.has(name)) {
+      link(byName.get(name), i, "name");
+      return;
+    }
+    byName.set(name, i);
+    if (!byFirstChar.has(name[0])) byFirstChar.set(name[0], []);
+    byFirstChar.get(name[0]).push([name, i]);
+  });
+
+  // 첫 글자가 같고 길이 차이가 허용 범위 안인 이름끼리만 비교해 O(n²)을 피한다.
+  for (const group of byFirstChar.values()) {
+    for (let a = 0; a < group.length; a++) {
+      const [nameA, i] = group[a];
+      for (let b = a + 1; b < group.length; b++) {
+        const [nameB, j] = group[b];
+        const maxLen = Math.max(nameA.length, nameB.length);
+        if (maxLen < 3 || Math.abs(nameA.length - nameB.length) > maxLen * (1 - threshold)) continue;
+        if (nameSimilarity(nameA, nameB) >= threshold) link(i, j, "fuzzy_name");
+      }
+    }
+  }
+
+  const groups = new Map();
+  vendors.forEach((_, i) => {
+    const root = uf.find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(i);
+  });
+
+  const clusters = [];
+  for (const members of groups.values()) {
+    if (members.length < 2) continue;
+    const memberSet = new Set(members);
+    const why = new Set();
+    for (const [key, set] of reasons) {
+      const [i] = key.split("|").map(Number);
+      if (memberSet.has(i)) set.forEach((r) => why.add(r));
+    }
+    clusters.push({ members: members.map((i) => vendors[i]), reasons: Array.from(why) });
+  }
+  return clusters;
+}
+
+function vendorBnVariantList(vendors) {
+  const set = new Set();
+  for (const v of vendors) businessNumberVariants(v?.business_number).forEach((bn) => set.add(bn));
+  return Array.from(set);
+}
+
+// 예전 vendor_business_number 컬럼만 가진 라우트도 병합·중복 집계에 잡히도록 기본은 세 컬럼 모두 본다.
+function routeBnOrFilter(bns, columns = VENDOR_ROUTE_BN_COLUMNS) {
+  const list = bns.map(quoteInValue).join(",");
+  return `(${columns.map((c) => `${c}.in.(${list})`).join(",")})`;
+}
+
+async function loadRoutesReferencingBns(env, bns, select = "*", columns = VENDOR_ROUTE_BN_COLUMNS) {
+  const out = new Map();
+  for (const chunk of chunkArray(bns, VENDOR_IN_CHUNK)) {
+    const params = new URLSearchParams();
+    params.set("select", select);
+    params.set("or", routeBnOrFilter(chunk, columns));
+    params.set("order", "id.asc");
+    for (const row of await fetchAllRows(env, ROUTE_TABLE, params)) out.set(row.id, row);
+  }
+  return Array.from(out.values());
+}
+
+async function loadHistoryBns(env, bns) {
+  const out = [];
+  for (const chunk of chunkArray(bns, VENDOR_IN_CHUNK)) {
+    const params = new URLSearchParams();
+    params.set("select", "business_number");
+    params.set("business_number", `in.(${chunk.map(quoteInValue).join(",")})`);
+    params.set("order", "id.asc");
+    out.push(...(await fetchAllRows(env, CLEANSING_HISTORY_TABLE, params)));
+  }
+  return out;
+}
+
+// 행 단위로 센다. 1W 와 예전 vendor_business_number 에 같은 번호가 있어도 라우트 하나로 본다.
+function countBnRefs(rows, columns) {
+  const counts = new Map();
+  for (const row of rows) {
+    const bns = new Set(columns.map((col) => digitsOnly(row?.[col])).filter(Boolean));
+    for (const d of bns) counts.set(d, (counts.get(d) || 0) + 1);
+  }
+  return counts;
+}
+
+// 참조가 가장 많은 업체 → 하이픈 표기 사업자번호 → 먼저 만든 업체 순으로 남길 업체를 고른다.
+function pickSurvivorVendor(vendors) {
+  return vendors.slice().sort((a, b) => {
+    const refs = (b.route_refs + b.history_refs) - (a.route_refs + a.history_refs);
+    if (refs) return refs;
+    const canonA = normalizeBusinessNumber(a.business_number) === safeTrim(a.business_number) ? 1 : 0;
+    const canonB = normalizeBusinessNumber(b.business_number) === safeTrim(b.business_number) ? 1 : 0;
+    if (canonA !== canonB) return canonB - canonA;
+    return Number(a.id) - Number(b.id);
+  })[0];
+}
+
+async function handleVendorDuplicatesGet(url, env) {
+  const thresholdRaw = Number(url.searchParams.get("threshold"));
+  const threshold = Number.isFinite(thresholdRaw) && thresholdRaw > 0
+    ? Math.min(Math.max(thresholdRaw, 0.5), 1)
+    : VENDOR_DUPLICATE_DEFAULT_THRESHOLD;
+  const includeRefs = url.searchParams.get("refs") !== "0";
+
+  const params = new URLSearchParams();
+  params.set("select", "id,name,business_number,vendor_code,created_at");
+  params.set("order", "id.asc");
+  const vendors = await fetchAllRows(env, VENDORS_TABLE, params);
+  const clusters = clusterVendorDuplicates(vendors, threshold);
+
+  let routeRefs = new Map();
+  let historyRefs = new Map();
+  if (includeRefs && clusters.length > 0) {
+    const bns = vendorBnVariantList(clusters.flatMap((c) => c.members));
+    const [routes, history] = await Promise.all([
+      loadRoutesReferencingBns(env, bns, `id,${VENDOR_ROUTE_BN_COLUMNS.join(",")}`),
+      loadHistoryBns(env, bns),
+    ]);
+    routeRefs = countBnRefs(routes, VENDOR_ROUTE_BN_COLUMNS);
+    historyRefs = countBnRefs(history, ["business_number"]);
+  }
+
+  const out = clusters.map(({ members, reasons }) => {
+    const rows = members.map((v) => {
+      const d = digitsOnly(v.business_number);
+      return {
+        ...v,
+        business_number_check: validateBusinessNumber(v.business_number),
+        route_refs: routeRefs.get(d) || 0,
+        history_refs: historyRefs.get(d) || 0,
+      };
+    });
+    const survivor = pickSurvivorVendor(rows);
+    return {
+      reasons,
+      suggested_survivor_id: survivor?.id ?? null,
+      merge_ids: rows.filter((v) => v.id !== survivor?.id).map((v) => v.id),
+      vendors: rows,
+    };
+  });
+
+  return json(
+    {
+      threshold,
+      summary: {
+        vendors: vendors.length,
+        clusters: out.length,
+        duplicate_vendors: out.reduce((sum, c) => sum + c.merge_ids.length, 0),
+      },
+      clusters: out,
+    },
+    200,
+    { "Cache-Control": "no-store" }
+  );
+}
+
+// 합칠 업체들의 사업자번호(원본/하이픈/숫자 표기)를 쓰는 라우트 1W/2W 와 클렌징 이력을 남길 업체로 옮긴다.
+// 같은 사업자번호를 다른 표기로 쓰던 행도 남길 업체 표기로 맞춘다.
+// 병합으로 바뀐 기간은 라우트별로 한 건씩 수정 이력에 남긴다. 라우트 컬럼 값이 아니므로 복원 대상은 아니다.
+function buildVendorPeriodRevisions(periods, targetBn, actor) {
+  const byRoute = new Map();
+  for (const p of periods) {
+    if (!byRoute.has(p.route_id)) byRoute.set(p.route_id, []);
+    byRoute.get(p.route_id).push(p);
+  }
+  const pick = (p, bn) => ({ id: p.id, wave: p.wave, business_number: bn, valid_from: p.valid_from, valid_to: p.valid_to });
+  return Array.from(byRoute, ([routeId, list]) => ({
+    route_id: routeId,
+    camp: safeTrim(list[0].camp) || null,
+    full_code: safeTrim(list[0].full_code) || null,
+    action: "vendor_merge_periods",
+    actor,
+    restored_from: null,
+    before: { vendor_periods: list.map((p) => pick(p, p.business_number)) },
+    after: { vendor_periods: list.map((p) => pick(p, targetBn)) },
+  }));
+}
+
+async function handleVendorMerge(request, env, ctx) {
+  const body = await readJson(request);
+  const survivorId = body.survivor_id;
+  const mergeIds = Array.from(new Set((Array.isArray(body.merge_ids) ? body.merge_ids : []).filter((id) => id != null)));
+  const dryRun = body.dry_run === true;
+  const deleteMerged = body.delete_merged !== false;
+
+  if (survivorId == null) return json({ error: "survivor_id is required" }, 400);
+  if (mergeIds.length === 0) return json({ error: "merge_ids is required" }, 400);
+  if (mergeIds.some((id) => String(id) === String(survivorId))) {
+    return json({ error: "merge_ids must not include survivor_id" }, 400);
+  }
+
+  const vp = new URLSearchParams();
+  vp.set("select", "*");
+  vp.set("id", `in.(${[survivorId, ...mergeIds].map(quoteInValue).join(",")})`);
+  const vendorRows = await supabaseFetch(env, `/rest/v1/${VENDORS_TABLE}?${vp.toString()}`, { method: "GET" });
+  const byId = new Map((Array.isArray(vendorRows) ? vendorRows : []).map((v) => [String(v.id), v]));
+
+  const survivor = byId.get(String(survivorId));
+  if (!survivor) return json({ error: "survivor vendor not found" }, 404);
+  const missing = mergeIds.filter((id) => !byId.has(String(id)));
+  if (missing.length) return json({ error: "merge vendor not found", missing }, 404);
+  const losers = mergeIds.map((id) => byId.get(String(id)));
+
+  const targetBn = safeTrim(survivor.business_number);
+  const fromBns = vendorBnVariantList([survivor, ...losers]).filter((bn) => bn !== targetBn);
+  const fromSet = new Set(fromBns);
+
+  const routes = fromBns.length ? await loadRoutesReferencingBns(env, fromBns) : [];
+  const routeChanges = [];
+  for (const row of routes) {
+    const patch = {};
+    for (const col of VENDOR_ROUTE_BN_COLUMNS) {
+      if (Object.prototype.hasOwnProperty.call(row, col) && fromSet.has(safeTrim(row[col]))) patch[col] = targetBn;
+    }
+    if (Object.keys(patch).length) routeChanges.push({ before: row, patch });
+  }
+
+  // 기간별 배정도 옮겨야 /route/vendors?date= 와 예약 반영 cron 이 지워진 업체를 되살리지 않는다.
+  const periods = [];
+  for (const chunk of chunkArray(fromBns, VENDOR_IN_CHUNK)) {
+    periods.push(...(await loadVendorPeriods(env, { business_number: `in.(${chunk.map(quoteInValue).join(",")})` })));
+  }
+
+  const hp = new URLSearchParams();
+  hp.set("business_number", `in.(${fromBns.map(quoteInValue).join(",")})`);
+
+  const summary = {
+    survivor: { id: survivor.id, name: survivor.name, business_number: targetBn },
+    merged: losers.map((v) => ({ id: v.id, name: v.name, business_number: v.business_number })),
+    from_business_numbers: fromBns,
+    routes: routeChanges.map(({ before, patch }) => ({
+      id: before.id,
+      camp: before.camp,
+      full_code: before.full_code,
+      columns: Object.keys(patch),
+    })),
+    period_rows: periods.length,
+  };
+
+  if (dryRun) {
+    let historyRows = 0;
+    if (fromBns.length) {
+      const cp = new URLSearchParams(hp.toString());
+      cp.set("select", "id");
+      cp.set("limit", "1");
+      historyRows = (await supabaseFetchWithCount(env, `/rest/v1/${CLEANSING_HISTORY_TABLE}?${cp.toString()}`)).count ?? 0;
+    }
+    return json({ ok: true, dry_run: true, ...summary, history_rows: historyRows }, 200, { "Cache-Control": "no-store" });
+  }
+
+  // 라우트: 컬럼마다 in.(...) PATCH 한 번씩. 이력/감사 로그도 한 번에 넣는다.
+  for (const col of VENDOR_ROUTE_BN_COLUMNS) {
+    const ids = routeChanges.filter((c) => c.patch[col] !== undefined).map((c) => c.before.id);
+    await patchRoutesByIds(env, ids, { [col]: targetBn });
+  }
+  const routeAfter = routeChanges.map(({ before, patch }) => ({ before, after: { ...before, ...patch } }));
+  await insertRouteRevisions(
+    env,
+    routeAfter.map(({ before, after }) => buildRouteRevision(before, after, { action: "vendor_merge", actor: ctx?.actor }))
+  );
+  await recordAudit(env, ctx, routeAfter.map(({ before, after }) => ({ table: ROUTE_TABLE, action: "vendor_merge", before, after })));
+  await purgeCampCache(routeChanges.map((c) => c.before.camp), ctx);
+
+  if (periods.length) {
+    for (const chunk of chunkArray(fromBns, VENDOR_IN_CHUNK)) {
+      await supabaseFetch(env, `/rest/v1/${ROUTE_VENDOR_PERIOD_TABLE}?business_number=in.(${chunk.map(quoteInValue).join(",")})`, {
+        method: "PATCH",
+        headers: { Prefer: "return=minimal" },
+        body: JSON.stringify({ business_number: targetBn }),
+      });
+    }
+    await insertRouteRevisions(env, buildVendorPeriodRevisions(periods, targetBn, ctx?.actor ?? null));
+    await recordAudit(
+      env,
+      ctx,
+      periods.map((p) => ({ table: ROUTE_VENDOR_PERIOD_TABLE, action: "vendor_merge", before: p, after: { ...p, business_number: targetBn } }))
+    );
+  }
+
+  let historyRows = 0;
+  if (fromBns.length) {
+    const { res } = await supabaseRequest(env, `/rest/v1/${CLEANSING_HISTORY_TABLE}?${hp.toString()}`, {
+      method: "PATCH",
+      headers: { Prefer: "return=minimal,count=exact" },
+      body: JSON.stringify({ business_number: targetBn, vendor_name: safeTrim(survivor.name) || null }),
+    });
+    historyRows = parseContentRangeCount(res.headers.get("Content-Range")) ?? 0;
+    await recordAudit(env, ctx, {
+      table: CLEANSING_HISTORY_TABLE,
+      action: "vendor_merge",
+      before: { business_number: fromBns },
+      after: { business_number: targetBn, vendor_name: survivor.name, rows: historyRows },
+    });
+  }
+
+  let deleted = [];
+  let deleteError = null;
+  if (deleteMerged) {
+    try {
+      const dp = new URLSearchParams();
+      dp.set("id", `in.(${losers.map((v) => quoteInValue(v.id)).join(",")})`);
+      const removed = await supabaseFetch(env, `/rest/v1/${VENDORS_TABLE}?${dp.toString()}`, {
+        method: "DELETE",
+        headers: { Prefer: "return=representation" },
+      });
+      deleted = (Array.isArray(removed) ? removed : []).map((v) => v.id);
+      await recordAudit(env, ctx, losers.map((v) => ({ table: VENDORS_TABLE, action: "merge", before: v, after: null })));
+    } catch (e) {
+      // 다른 테이블(배차 등)이 vendors.id 를 참조하면 삭제가 막힌다. 재지정은 이미 끝났으므로 오류만 알려준다.
+      deleteError = e?.message || String(e);
+    }
+  }
+
+  return json(
+    { ok: true, dry_run: false, ...summary, history_rows: historyRows, deleted, delete_error: deleteError },
+    200,
+    { "Cache-Control": "no-store" }
+  );
+}
+
+// ---------- /locate ----------
+// 좌표(또는 주소) 하나로 그 점을 포함하는 라우트 폴리곤과 가까운 입차지를 찾는다.
+const LOCATE_CAMPS_DEFAULT_LIMIT = 5;
+const LOCATE_CAMPS_MAX_LIMIT = 50;
+// address= 는 공개 요청이 지오코더 할당량을 쓰므로 IP 당 분당 횟수를 제한한다.
+const LOCATE_ADDRESS_RATE_LIMIT = 30;
+const LOCATE_ROUTE_SELECT = [
+  "id",
+  "camp",
+  "full_code",
+  "polygon_wgs84",
+  ...VENDOR_ROUTE_BN_COLUMNS,
+  "vendor_name_1w",
+  "vendor_name_2w",
+  "delivery_location_name",
+  "delivery_location_lat",
+  "delivery_location_lng",
+].join(",");
+
+function haversineMeters([lng1, lat1], [lng2, lat2]) {
+  const rad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * rad;
+  const dLng = (lng2 - lng1) * rad;
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// 저장 형식은 ring마다 독립된 면이라 어느 ring 안에든 들어가면 포함으로 본다.
+function routeContainsPoint(row, pt) {
+  for (const ring of normalizeRouteRings(row?.polygon_wgs84) || []) {
+    const open = openRing(ring);
+    if (!open) continue;
+    const [minX, minY, maxX, maxY] = ringBBox(open);
+    if (pt[0] < minX || pt[0] > maxX || pt[1] < minY || pt[1] > maxY) continue;
+    if (pointInRing(pt, open)) return true;
+  }
+  return false;
+}
+
+// LOCATE_RATE_LIMITER(Workers rate limiting 바인딩)가 있으면 그걸 쓰고, 없으면 Cache API 에 1분 단위 횟수를 둔다.
+// Cache API 는 데이터센터별이라 대략적인 제한이다.
+async function checkLocateRateLimit(request, env) {
+  const ip = safeTrim(request.headers.get("CF-Connecting-IP")) || "unknown";
+  const limiter = env.LOCATE_RATE_LIMITER;
+  if (limiter && typeof limiter.limit === "function") {
+    const { success } = await limiter.limit({ key: `locate:${ip}` });
+    if (!success) throw httpError(429, "too many address lookups (잠시 후 다시 시도하거나 lat/lng 로 조회하세요)");
+    return;
+  }
+
+  const cache = edgeCache();
+  if (!cache) return;
+  const windowId = Math.floor(Date.now() / 60000);
+  const key = new Request(`${EDGE_CACHE_ORIGIN}/__ratelimit/locate/${encodeURIComponent(ip)}/${windowId}`);
+  const hit = await cache.match(key);
+  const count = hit ? Number(await hit.text()) || 0 : 0;
+  if (count >= LOCATE_ADDRESS_RATE_LIMIT) {
+    throw httpError(429, "too many address lookups (잠시 후 다시 시도하거나 lat/lng 로 조회하세요)");
+  }
+  await cache.put(key, new Response(String(count + 1), { headers: { "Cache-Control": "public, max-age=60" } }));
+}
+
+async function resolveLocatePoint(request, url, env) {
+  const lat = parseMaybeNumber(url.searchParams.get("lat"));
+  const lng = parseMaybeNumber(url.searchParams.get("lng"));
+  if (lat != null && lng != null) {
+    if (!isRouteRingPoint([lng, lat])) throw httpError(400, "lat/lng out of range");
+    return { point: [lng, lat], geocode: null };
+  }
+
+  const address = safeTrim(url.searchParams.get("address"));
+  if (!address) throw httpError(400, "lat + lng OR address is required");
+  const geocoder = createGeocoder(env);
+  if (!geocoder) throw httpError(503, "address lookup is not configured (lat/lng 로 조회하세요)");
+
+  await checkLocateRateLimit(request, env);
+  const found = await geocoder.geocode(address);
+  if (!found) throw httpError(404, "address not found");
+  return {
+    point: [found.longitude, found.latitude],
+    geocode: { address, matched_address: found.matched_address, confidence: found.confidence, source: geocoder.name },
+  };
+}
+
+async function handleLocateGet(request, url, env) {
+  const { point, geocode } = await resolveLocatePoint(request, url, env);
+  const camp = safeTrim(url.searchParams.get("camp"));
+  const withPolygon = truthy(url.searchParams.get("polygon"));
+  const limitRaw = parseMaybeNumber(url.searchParams.get("camps_limit"));
+  const campsLimit = limitRaw != null && limitRaw >= 0
+    ? Math.min(Math.floor(limitRaw), LOCATE_CAMPS_MAX_LIMIT)
+    : LOCATE_CAMPS_DEFAULT_LIMIT;
+
+  const data = createRequestData(env);
+
+  const campParams = new URLSearchParams();
+  campParams.set("select", CAMP_INDEX_SELECT);
+  campParams.set("latitude", "not.is.null");
+  campParams.set("longitude", "not.is.null");
+  if (camp) campParams.set("camp", `eq.${camp}`);
+
+  const loadCamps = () => data.timings.measure("camps", async () => (await fetchCampRows(env, campParams))
+    .map(normalizeCampRow)
+    .filter((c) => c && c.latitude != null && c.longitude != null)
+    .map((c) => ({ ...c, distance_m: Math.round(haversineMeters(point, [c.longitude, c.latitude])) }))
+    .sort((a, b) => a.distance_m - b.distance_m));
+
+  // camp 없이 물으면 폴리곤이 있는 라우트 전체를 본다. 폴리곤은 JSON 이라 DB 에서 bbox 로 못 거르므로
+  // routeContainsPoint 가 ring 마다 bbox 로 먼저 거른 뒤 점 포함을 확인한다.
+  const loadRoutes = () => {
+    const routeParams = new URLSearchParams();
+    routeParams.set("select", LOCATE_ROUTE_SELECT);
+    routeParams.set("polygon_wgs84", "not.is.null");
+    if (camp) routeParams.set("camp", `eq.${camp}`);
+    routeParams.set("order", "camp.asc,full_code.asc,id.asc");
+    return data.timings.measure("routes", () => fetchAllRows(env, ROUTE_TABLE, routeParams, ROUTE_EXPORT_PAGE_SIZE));
+  };
+
+  const [routeRows, campRows] = await Promise.all([loadRoutes(), campsLimit > 0 ? loadCamps() : []]);
+
+  const routes = routeRows.filter((row) => routeContainsPoint(row, point));
+  routes.forEach(applyRouteDerivedFields);
+  await enrichRouteRows(routes, env, data);
+  for (const row of routes) {
+    const lat = parseMaybeNumber(row.delivery_location_lat);
+    const lng = parseMaybeNumber(row.delivery_location_lng);
+    row.delivery_distance_m = lat != null && lng != null ? Math.round(haversineMeters(point, [lng, lat])) : null;
+    if (!withPolygon) delete row.polygon_wgs84;
+  }
+
+  const camps = campRows.slice(0, campsLimit);
+
+  return json(
+    { point: { lat: point[1], lng: point[0] }, geocode, searched_camps: camp ? [camp] : null, routes, camps },
+    200,
+    data.timings.headers({ "Cache-Control": "no-store" })
+  );
+}
+
+// ---------- /addresses ----------
+async function handleAddressesGet(url, env) {
+  const camp = safeTrim(url.searchParams.get("camp"));
+  const code = safeTrim(url.searchParams.get("code"));
+
+  if (!camp) return json({ error: "camp is required" }, 400);
+
+  const params = new URLSearchParams();
+  params.set("select", "*");
+  params.set("camp", `eq.${camp}`);
+  params.set("order", "full_code.asc,address.asc");
+  if (code) params.set("full_code", `like.${code}%`);
+
+  try {
+    const rows = await supabaseFetch(env, `/rest/v1/${ADDRESS_TABLE}?${params.toString()}`, { method: "GET" });
+    const out = Array.isArray(rows) ? rows : [];
+
+    out.forEach((row) => {
+      if (row && typeof row.center_wgs84 === "string") {
+        row.center_wgs84 = parseMaybeJson(row.center_wgs84, null);
+      }
+    });
+
+    return json({ rows: out }, 200, { "Cache-Control": "no-store" });
+  } catch (e) {
+    console.warn("addresses 조회 실패:", e?.message || String(e));
+    return json({ rows: [], error: e?.message || String(e) }, 200, { "Cache-Control": "no-store" });
+  }
+}
+
+// ---------- /addresses/mismatches, /addresses/reassign ----------
+// 경계를 고친 뒤 addresses.full_code 가 실제 폴리곤과 어긋난 주소를 찾는다.
+// status: ok | moved(다른 라우트 하나 안) | ambiguous(겹친 여러 라우트 안) | outside(어느 폴리곤에도 없음) | no_point
+const ADDRESS_MISMATCH_STATUSES = ["moved", "ambiguous", "outside"];
+
+// center_wgs84 는 [lng, lat] 배열 또는 {lng, lat} 객체로 들어온다.
+function addressCenterPoint(v) {
+  const c = parseMaybeJson(v, null);
+  let pt = null;
+  if (Array.isArray(c)) pt = [parseMaybeNumber(c[0]), parseMaybeNumber(c[1])];
+  else if (c && typeof c === "object") {
+    pt = [parseMaybeNumber(c.lng ?? c.longitude ?? c.x), parseMaybeNumber(c.lat ?? c.latitude ?? c.y)];
+  }
+  return pt && isRouteRingPoint(pt) ? pt : null;
+}
+
+function classifyAddressRow(row, routes) {
+  const current = safeTrim(row.full_code);
+  const pt = addressCenterPoint(row.center_wgs84);
+  const base = { id: row.id, address: row.address ?? null, zipcode: row.zipcode ?? null, full_code: current || null };
+  if (!pt) return { ...base, status: "no_point", containing: [], suggested_full_code: null };
+
+  const containing = routes.filter((r) => routeContainsPoint(r, pt)).map((r) => safeTrim(r.full_code));
+  let status = "outside";
+  if (current && containing.includes(current)) status = "ok";
+  else if (containing.length === 1) status = "moved";
+  else if (containing.length > 1) status = "ambiguous";
+
+  return {
+    ...base,
+    center_wgs84: pt,
+    status,
+    containing,
+    suggested_full_code: status === "moved" ? containing[0] : null,
+  };
+}
+
+async function checkCampAddresses(env, camp, code = "") {
+  const ap = new URLSearchParams();
+  ap.set("select", "*");
+  ap.set("camp", `eq.${camp}`);
+  if (code) ap.set("full_code", `like.${code}%`);
+  ap.set("order", "full_code.asc,id.asc");
+
+  const [addresses, routes] = await Promise.all([
+    fetchAllRows(env, ADDRESS_TABLE, ap),
+    fetchAllRouteRows(env, camp, "id,camp,full_code,polygon_wgs84"),
+  ]);
+  const polygons = routes.filter((r) => normalizeRouteRings(r.polygon_wgs84));
+  return { addresses, checked: addresses.map((row) => classifyAddressRow(row, polygons)) };
+}
+
+async function handleAddressMismatchesGet(url, env) {
+  const camp = safeTrim(url.searchParams.get("camp"));
+  const code = safeTrim(url.searchParams.get("code"));
+  const statusFilter = safeTrim(url.searchParams.get("status"));
+  if (!camp) return json({ error: "camp is required" }, 400);
+
+  const { checked } = await checkCampAddresses(env, camp, code);
+  const summary = { addresses: checked.length, ok: 0, moved: 0, ambiguous: 0, outside: 0, no_point: 0 };
+  for (const r of checked) summary[r.status] += 1;
+
+  const wanted = statusFilter ? statusFilter.split(",").map(safeTrim) : ADDRESS_MISMATCH_STATUSES;
+  const rows = checked.filter((r) => wanted.includes(r.status));
+  return json({ camp, code: code || null, summary, rows }, 200, { "Cache-Control": "no-store" });
+}
+
+// 서버에서 다시 판정해 moved 인 주소만 옮긴다. ids 를 주면 그 주소만, 없으면 캠프(+code) 전체.
+async function handleAddressReassign(request, env, ctx) {
+  const body = await readJson(request);
+  const camp = safeTrim(body.camp);
+  const code = safeTrim(body.code);
+  const dryRun = body.dry_run === true;
+  const ids = Array.isArray(body.ids) ? new Set(body.ids.map(String)) : null;
+  if (!camp) return json({ error: "camp is required" }, 400);
+
+  const { addresses, checked } = await checkCampAddresses(env, camp, code);
+  const byId = new Map(addresses.map((a) => [String(a.id), a]));
+  const moves = checked.filter((r) => r.status === "moved" && (!ids || ids.has(String(r.id))));
+  const skipped = ids
+    ? checked.filter((r) => ids.has(String(r.id)) && r.status !== "moved").map((r) => ({ id: r.id, status: r.status }))
+    : [];
+
+  const summary = {
+    camp,
+    moved: moves.map((r) => ({ id: r.id, address: r.address, from: r.full_code, to: r.suggested_full_code })),
+    skipped,
+  };
+  if (dryRun) return json({ ok: true, dry_run: true, ...summary }, 200, { "Cache-Control": "no-store" });
+
+  // 같은 목적지끼리 묶어 id=in.(...) PATCH 한 번씩.
+  const byTarget = new Map();
+  for (const r of moves) {
+    if (!byTarget.has(r.suggested_full_code)) byTarget.set(r.suggested_full_code, []);
+    byTarget.get(r.suggested_full_code).push(r.id);
+  }
+  for (const [target, targetIds] of byTarget) {
+    for (const chunk of chunkArray(targetIds, PAGE_MAX_LIMIT)) {
+      const params = new URLSearchParams();
+      params.set("id", `in.(${chunk.map(quoteInValue).join(",")})`);
+      await supabaseFetch(env, `/rest/v1/${ADDRESS_TABLE}?${params.toString()}`, {
+        method: "PATCH",
+        headers: { Prefer: "return=minimal" },
+        body: JSON.stringify({ full_code: target }),
+      });
+    }
+  }
+
+  await recordAudit(
+    env,
+    ctx,
+    moves.map((r) => {
+      const before = byId.get(String(r.id));
+      return { table: ADDRESS_TABLE, action: "reassign", before, after: { ...before, full_code: r.suggested_full_code } };
+    })
+  );
+  if (moves.length) await purgeCampCache([camp], ctx);
+
+  return json({ ok: true, dry_run: false, ...summary }, 200, { "Cache-Control": "no-store" });
+}
+
+// ---------- geocoding ----------
+// 입차지 주소 → 좌표. 지오코더는 { name, geocode(address) } 모양이면 무엇이든 된다.
+// - env.GEOCODER = "local": env.GEOCODER_LOCAL_TABLE ({"주소": [lat, lng]}) 만 보는 로컬 대역 (테스트/개발용)
+// - env.KAKAO_REST_API_KEY 가 있으면 카카오 로컬 주소 검색
+// - 둘 다 없으면 지오코딩을 건너뛴다 (좌표는 클라이언트가 준 값만 저장)
+const GEOCODE_BACKFILL_DEFAULT_LIMIT = 50;
+const GEOCODE_BACKFILL_MAX_LIMIT = 200;
+const GEOCODE_SOURCE_MANUAL = "manual";
+const GEOCODE_SOURCE_FAILED = "failed";
+const GEOCODE_TIMEOUT_MS = 5000;
+
+// 괄호 안 상세, 쉼표를 뺀 주소로 한 번씩 더 찾는다 (coupang_camp_map 의 addressCandidates 와 같은 규칙).
+function geocodeAddressCandidates(address) {
+  const original = safeTrim(address);
+  if (!original) return [];
+  return Array.from(new Set([
+    original,
+    original.replace(/\([^)]*\)/g, " ").replace(/\s+/g, " ").trim(),
+    original.replace(/[，,]/g, " ").replace(/\s+/g, " ").trim(),
+  ].filter(Boolean)));
+}
+
+function roundConfidence(v) {
+  return Math.round(Math.max(0, Math.min(1, v)) * 100) / 100;
+}
+
+function createLocalGeocoder(table = {}) {
+  const byKey = new Map(Object.entries(table || {}).map(([k, v]) => [normalizeCampKey(k), v]));
+  return {
+    name: "local",
+    async geocode(address) {
+      const candidates = geocodeAddressCandidates(address);
+      for (let i = 0; i < candidates.length; i++) {
+        const hit = byKey.get(normalizeCampKey(candidates[i]));
+        const [lat, lng] = Array.isArray(hit) ? hit : [hit?.latitude, hit?.longitude];
+        const latitude = parseMaybeNumber(lat);
+        const longitude = parseMaybeNumber(lng);
+        if (latitude == null || longitude == null) continue;
+        return { latitude, longitude, confidence: i === 0 ? 1 : 0.9, matched_address: candidates[i] };
+      }
+      return null;
+    },
+  };
+}
+
+// 카카오 address_type: *_ADDR 는 번지/건물번호까지 맞은 것, REGION/ROAD 는 동·도로명까지만 맞은 것.
+function kakaoGeocodeConfidence(doc, totalCount, candidateIndex) {
+  const exact = doc?.address_type === "ROAD_ADDR" || doc?.address_type === "REGION_ADDR";
+  let confidence = exact ? 1 : 0.4;
+  if (totalCount > 1) confidence *= 0.8;
+  if (candidateIndex > 0) confidence *= 0.9;
+  return roundConfidence(confidence);
+}
+
+function createKakaoGeocoder(apiKey) {
+  return {
+    name: "kakao",
+    async geocode(address) {
+      const candidates = geocodeAddressCandidates(address);
+      for (let i = 0; i < candidates.length; i++) {
+        const u = new URL("https://dapi.kakao.com/v2/local/search/address.json");
+        u.searchParams.set("query", candidates[i]);
+        const res = await fetch(u.toString(), {
+          headers: { Authorization: `KakaoAK ${apiKey}` },
+          signal: AbortSignal.timeout(GEOCODE_TIMEOUT_MS),
+        });
+        if (!res.ok) throw new Error(`kakao geocode HTTP ${res.status}`);
+        const data = await res.json();
+        const doc = Array.isArray(data?.documents) ? data.documents[0] : null;
+        const latitude = parseMaybeNumber(doc?.y);
+        const longitude = parseMaybeNumber(doc?.x);
+        if (latitude == null || longitude == null) continue;
+        return {
+          latitude,
+          longitude,
+          confidence: kakaoGeocodeConfidence(doc, Number(data?.meta?.total_count) || 1, i),
+          matched_address: safeTrim(doc.address_name) || candidates[i],
+        };
+      }
+      return null;
+    },
+  };
+}
+
+function createGeocoder(env) {
+  if (safeTrim(env.GEOCODER).toLowerCase() === "local") {
+    return createLocalGeocoder(parseMaybeJson(env.GEOCODER_LOCAL_TABLE, {}));
+  }
+  const kakaoKey = safeTrim(env.KAKAO_REST_API_KEY);
+  if (kakaoKey) return createKakaoGeocoder(kakaoKey);
+  return null;
+}
+
+// camps 행에 넣을 좌표/신뢰도 컬럼 { fields, warning }.
+// 주소를 못 찾은 경우만 failed 로 기록해 백필이 같은 주소를 매번 다시 찾지 않게 한다.
+// 지오코더 오류(401, 429, 5xx, 시간 초과)는 fields: null 로 돌려줘 지오코딩 컬럼을 건드리지 않고 다음에 다시 찾게 한다.
+async function geocodeCampFields(geocoder, address) {
+  const geocodedAt = new Date().toISOString();
+  let found = null;
+  try {
+    found = await geocoder.geocode(address);
+  } catch (e) {
+    const message = e?.message || String(e);
+    console.warn("지오코딩 오류:", address, message);
+    return { fields: null, warning: `geocoder error: ${message}` };
+  }
+  if (!found) {
+    return { fields: { geocode_confidence: 0, geocode_source: GEOCODE_SOURCE_FAILED, geocoded_at: geocodedAt }, warning: null };
+  }
+  return {
+    fields: {
+      latitude: found.latitude,
+      longitude: found.longitude,
+      geocode_confidence: found.confidence,
+      geocode_source: geocoder.name,
+      geocoded_at: geocodedAt,
+    },
+    warning: null,
+  };
+}
+
+// 좌표가 없는 camps 행을 채운다. /camps/geocode 와 cron 이 같이 쓴다.
+async function backfillCampGeocodes(env, { camp = "", limit = GEOCODE_BACKFILL_DEFAULT_LIMIT, retryFailed = false, dryRun = false, ctx = null } = {}) {
+  const geocoder = createGeocoder(env);
+  if (!geocoder) throw httpError(503, "geocoder is not configured (KAKAO_REST_API_KEY 또는 GEOCODER=local)");
+
+  const params = new URLSearchParams();
+  params.set("select", "id,camp,mb_camp,address,latitude,longitude,geocode_source");
+  params.set("address", "not.is.null");
+  const missing = "or(latitude.is.null,longitude.is.null)";
+  params.set(
+    "and",
+    retryFailed ? `(${missing})` : `(${missing},or(geocode_source.is.null,geocode_source.neq.${GEOCODE_SOURCE_FAILED}))`
+  );
+  if (camp) params.set("camp", `eq.${camp}`);
+  params.set("order", "id.asc");
+  params.set("limit", String(limit));
+  const rows = await supabaseFetch(env, `/rest/v1/${CAMPS_TABLE}?${params.toString()}`, { method: "GET" });
+  const targets = (Array.isArray(rows) ? rows : []).filter((r) => safeTrim(r.address));
+
+  if (dryRun) {
+    return { geocoder: geocoder.name, dry_run: true, checked: targets.length, rows: targets.map(normalizeCampRow) };
+  }
+
+  const results = [];
+  for (const row of targets) {
+    const { fields, warning } = await geocodeCampFields(geocoder, row.address);
+    const base = { id: row.id, camp: row.camp, mb_camp: row.mb_camp, address: row.address };
+    if (!fields) {
+      results.push({ ...base, warning });
+      continue;
+    }
+    await supabaseFetch(env, `/rest/v1/${CAMPS_TABLE}?id=eq.${row.id}`, {
+      method: "PATCH",
+      headers: { Prefer: "return=minimal" },
+      body: JSON.stringify(fields),
+    });
+    results.push({ ...base, ...fields });
+  }
+
+  const resolved = results.filter((r) => r.geocode_source && r.geocode_source !== GEOCODE_SOURCE_FAILED);
+  const errored = results.filter((r) => r.warning);
+  await purgeCampCache(resolved.map((r) => r.camp), ctx);
+  return {
+    geocoder: geocoder.name,
+    dry_run: false,
+    checked: results.length,
+    resolved: resolved.length,
+    failed: results.length - resolved.length - errored.length,
+    errors: errored.length,
+    rows: results,
+  };
+}
+
+async function handleCampGeocodeBackfill(request, env, ctx) {
+  const body = await readJson(request);
+  const limitRaw = Number(body.limit);
+  const limit = Number.isFinite(limitRaw) && limitRaw > 0
+    ? Math.min(Math.floor(limitRaw), GEOCODE_BACKFILL_MAX_LIMIT)
+    : GEOCODE_BACKFILL_DEFAULT_LIMIT;
+
+  const result = await backfillCampGeocodes(env, {
+    camp: safeTrim(body.camp),
+    limit,
+    retryFailed: body.retry_failed === true,
+    dryRun: body.dry_run === true,
+    ctx,
+  });
+  if (!result.dry_run && result.checked > 0) {
+    await recordAudit(env, ctx, {
+      table: CAMPS_TABLE,
+      action: "geocode",
+      before: null,
+      after: { camp: safeTrim(body.camp) || null, geocoder: result.geocoder, resolved: result.resolved, failed: result.failed, errors: result.errors },
+    });
+  }
+  return json({ ok: true, ...result }, 200, { "Cache-Control": "no-store" });
+}
+
+// ---------- /camps ----------
+function normalizeCampRow(row) {
+  if (!row || typeof row !== "object") return null;
+  const out = { ...row };
+  out.camp = safeTrim(out.camp);
+  out.code = safeTrim(out.code);
+  out.mb_camp = safeTrim(out.mb_camp);
+  out.address = safeTrim(out.address);
+  out.latitude = parseMaybeNumber(out.latitude);
+  out.longitude = parseMaybeNumber(out.longitude);
+  if (Object.prototype.hasOwnProperty.call(out, "geocode_confidence")) {
+    out.geocode_confidence = parseMaybeNumber(out.geocode_confidence);
+  }
+  return out;
+}
+
+function scoreCampSearchMatch(row, qLower) {
+  const mb = safeTrim(row?.mb_camp).toLowerCase();
+  const camp = safeTrim(row?.camp).toLowerCase();
+
+  if (!qLower) return 0;
+  if (mb === qLower) return 120;
+  if (camp === qLower) return 115;
+  if (mb.startsWith(qLower)) return 100;
+  if (camp.startsWith(qLower)) return 95;
+  if (mb.includes(qLower)) return 80;
+  if (camp.includes(qLower)) return 75;
+  return 0;
+}
+
+function campRowDedupeKey(row) {
+  if (row?.id != null) return `id:${row.id}`;
+  return `key:${safeTrim(row?.camp)}|${safeTrim(row?.mb_camp)}|${safeTrim(row?.code)}`;
+}
+
+async function handleCampsGet(url, env) {
+  const q = safeTrim(url.searchParams.get("q"));
+  const camp = safeTrim(url.searchParams.get("camp"));
+  const mbCamp = safeTrim(
+    url.searchParams.get("mb_camp") ||
+    url.searchParams.get("orbm_camp") ||
+    url.searchParams.get("ormb_camp")
+  );
+
+  if (!q) {
+    const page = readPageParams(url);
+    const params = new URLSearchParams();
+    params.set("select", "*");
+    params.set("order", "updated_at.desc,created_at.desc,id.desc");
+    params.set("limit", String(page.limit));
+    params.set("offset", String(page.offset));
+    if (camp) params.set("camp", `eq.${camp}`);
+    if (mbCamp) params.set("mb_camp", `eq.${mbCamp}`);
+
+    const { rows, count } = await supabaseFetchWithCount(env, `/rest/v1/${CAMPS_TABLE}?${params.toString()}`);
+    const out = rows.map(normalizeCampRow).filter(Boolean);
+    return pageResponse(out, { ...page, total: count }, { "Cache-Control": "no-store" });
+  }
+
+  const page = readPageParams(url, { maxLimit: 200 });
+  const qLower = q.toLowerCase();
+  const base = new URLSearchParams();
+  base.set("select", "*");
+  base.set("order", "updated_at.desc,created_at.desc,id.desc");
+  base.set("limit", String(SEARCH_MAX_ROWS));
+  if (camp) base.set("camp", `eq.${camp}`);
+  if (mbCamp) base.set("mb_camp", `eq.${mbCamp}`);
+
+  const wildcard = `*${q}*`;
+  const likeFields = ["mb_camp", "camp"];
+  const eqFields = ["mb_camp", "camp"];
+
+  const queries = [
+    ...eqFields.map((field) => {
+      const p = new URLSearchParams(base.toString());
+      p.set(field, `eq.${q}`);
+      return p;
+    }),
+    ...likeFields.map((field) => {
+      const p = new URLSearchParams(base.toString());
+      p.set(field, `ilike.${wildcard}`);
+      return p;
+    }),
+  ];
+
+  const countParams = new URLSearchParams();
+  countParams.set("select", "id");
+  countParams.set("or", `(mb_camp.ilike.${quoteInValue(wildcard)},camp.ilike.${quoteInValue(wildcard)})`);
+  if (camp) countParams.set("camp", `eq.${camp}`);
+  if (mbCamp) countParams.set("mb_camp", `eq.${mbCamp}`);
+  countParams.set("limit", "1");
+
+  const timings = createServerTimings();
+  const counting = supabaseFetchWithCount(env, `/rest/v1/${CAMPS_TABLE}?${countParams.toString()}`)
+    .then((r) => r.count)
+    .catch(() => null);
+  const results = await timings.measure("camps", () => Promise.all(queries.map(async (p) => {
+    try {
+      const rows = await supabaseFetch(env, `/rest/v1/${CAMPS_TABLE}?${p.toString()}`, { method: "GET" });
+      return Array.isArray(rows) ? rows : [];
+    } catch (e) {
+      console.warn("camps 검색 쿼리 실패:", e?.message || String(e));
+      return [];
+    }
+  })));
+
+  const mergedMap = new Map();
+  for (const arr of results) {
+    for (const row of arr) {
+      const normalized = normalizeCampRow(row);
+      if (!normalized) continue;
+      const key = campRowDedupeKey(normalized);
+      if (!mergedMap.has(key)) mergedMap.set(key, normalized);
+    }
+  }
+
+  let out = Array.from(mergedMap.values());
+  let matchCount = await counting;
+
+  if (out.length === 0) {
+    try {
+      const p = new URLSearchParams();
+      p.set("select", "*");
+      p.set("order", "updated_at.desc,created_at.desc,id.desc");
+      p.set("limit", String(SEARCH_MAX_ROWS));
+      if (camp) p.set("camp", `eq.${camp}`);
+      if (mbCamp) p.set("mb_camp", `eq.${mbCamp}`);
+
+      const broad = await timings.measure("camps_fallback", () =>
+        supabaseFetch(env, `/rest/v1/${CAMPS_TABLE}?${p.toString()}`, { method: "GET" })
+      );
+      out = (Array.isArray(broad) ? broad : [])
+        .map(normalizeCampRow)
+        .filter(Boolean)
+        .filter((row) => {
+          const hay = `${safeTrim(row.mb_camp)}\n${safeTrim(row.camp)}`.toLowerCase();
+          return hay.includes(qLower);
+        });
+      matchCount = null;
+    } catch (e) {
+      console.warn("camps fallback 검색 실패:", e?.message || String(e));
+    }
+  }
+
+  return searchPageResponse(
+    out,
+    (row) => scoreCampSearchMatch(row, qLower),
+    page,
+    { matchCount },
+    timings.headers({ "Cache-Control": "no-store" })
+  );
+}
+
+async function handleCampsPost(request, env, ctx) {
+  const body = await readJson(request);
+
+  const camp = safeTrim(body.camp);
+  const mbCamp = safeTrim(body.mb_camp ?? body.delivery_location_name ?? body.name);
+  const address = safeTrim(body.address);
+  const code = safeTrim(body.code);
+  const latitude = parseMaybeNumber(body.latitude);
+  const longitude = parseMaybeNumber(body.longitude);
+
+  if (!camp) return json({ error: "camp is required" }, 400);
+  if (!mbCamp) return json({ error: "mb_camp is required" }, 400);
+  if (!address) return json({ error: "address is required" }, 400);
+
+  const patch = {
+    camp,
+    mb_camp: mbCamp,
+    address,
+  };
+  if (code || Object.prototype.hasOwnProperty.call(body, "code")) {
+    patch.code = code || null;
+  }
+  if (latitude != null || Object.prototype.hasOwnProperty.call(body, "latitude")) {
+    patch.latitude = latitude;
+  }
+  if (longitude != null || Object.prototype.hasOwnProperty.call(body, "longitude")) {
+    patch.longitude = longitude;
+  }
+
+  const q = new URLSearchParams();
+  q.set("select", "*");
+  q.set("camp", `eq.${camp}`);
+  q.set("mb_camp", `eq.${mbCamp}`);
+  q.set("limit", "1");
+  const existing = await supabaseFetch(env, `/rest/v1/${CAMPS_TABLE}?${q.toString()}`, { method: "GET" });
+  const before = Array.isArray(existing) && typeof existing[0]?.id === "number" ? existing[0] : null;
+
+  // 좌표를 직접 주면 그대로(manual) 저장하고, 아니면 새 주소이거나 좌표가 비어 있을 때만 서버에서 지오코딩한다.
+  let geocode = null;
+  let warning = null;
+  if (latitude != null && longitude != null) {
+    Object.assign(patch, { geocode_confidence: 1, geocode_source: GEOCODE_SOURCE_MANUAL, geocoded_at: new Date().toISOString() });
+  } else {
+    const addressChanged = !before || safeTrim(before.address) !== address;
+    const hasCoords = parseMaybeNumber(before?.latitude) != null && parseMaybeNumber(before?.longitude) != null;
+    // 주소가 바뀌면 옛 주소의 좌표부터 비운다. 지오코더 오류나 미설정으로 새 좌표를 못 받아도
+    // 좌표가 빈(geocode_source 도 없는) 행으로 남아 백필이 다시 찾는다.
+    if (addressChanged && before) {
+      Object.assign(patch, { latitude: null, longitude: null, geocode_confidence: null, geocode_source: null, geocoded_at: null });
+    }
+    const geocoder = addressChanged || !hasCoords ? createGeocoder(env) : null;
+    if (geocoder) {
+      const result = await geocodeCampFields(geocoder, address);
+      const fields = result.fields;
+      warning = result.warning;
+      if (fields) {
+        Object.assign(patch, fields);
+        geocode = { source: fields.geocode_source, confidence: fields.geocode_confidence };
+      }
+    }
+  }
+
+  let row = null;
+  if (Array.isArray(existing) && existing.length > 0 && typeof existing[0]?.id === "number") {
+    const params = new URLSearchParams();
+    params.set("id", `eq.${existing[0].id}`);
+    params.set("select", "*");
+
+    const updated = await supabaseFetch(env, `/rest/v1/${CAMPS_TABLE}?${params.toString()}`, {
+      method: "PATCH",
+      headers: { Prefer: "return=representation" },
+      body: JSON.stringify(patch),
+    });
+    row = Array.isArray(updated) ? updated[0] : updated;
+  } else {
+    const params = new URLSearchParams();
+    params.set("select", "*");
+
+    const inserted = await supabaseFetch(env, `/rest/v1/${CAMPS_TABLE}?${params.toString()}`, {
+      method: "POST",
+      headers: { Prefer: "return=representation" },
+      body: JSON.stringify(patch),
+    });
+    row = Array.isArray(inserted) ? inserted[0] : inserted;
+  }
+
+  await recordAudit(env, ctx, { table: CAMPS_TABLE, action: before ? "update" : "insert", before, after: row });
+  await purgeCampCache([camp, before?.camp], ctx);
+
+  return json({ row: normalizeCampRow(row), geocode, warning }, 200, { "Cache-Control": "no-store" });
+}
+
+// ---------- /camps 삭제·이름 변경·병합 ----------
+// 라우트는 camps.id 가 아니라 (camp, delivery_location_name ≒ mb_camp) 로 입차지를 찾는다(hydrateRouteRowsWithCamps).
+// 그래서 mb_camp 를 바꾸거나 지우면 같은 캠프 라우트의 delivery_location_name 도 같이 고친다.
+async function findCampRow(env, body) {
+  const id = parseMaybeNumber(body?.id);
+  const camp = safeTrim(body?.camp);
+  const mbCamp = safeTrim(body?.mb_camp);
+  if (id == null && (!camp || !mbCamp)) throw httpError(400, "id OR (camp + mb_camp) is required");
+
+  const q = new URLSearchParams();
+  q.set("select", "*");
+  if (id != null) {
+    q.set("id", `eq.${id}`);
+  } else {
+    q.set("camp", `eq.${camp}`);
+    q.set("mb_camp", `eq.${mbCamp}`);
+  }
+  q.set("limit", "1");
+  const rows = await supabaseFetch(env, `/rest/v1/${CAMPS_TABLE}?${q.toString()}`, { method: "GET" });
+  const row = Array.isArray(rows) ? rows[0] : null;
+  if (!row) throw httpError(404, "camp not found");
+  return row;
+}
+
+async function loadRoutesForMbCamps(env, camp, mbCamps) {
+  const keys = new Set(mbCamps.map(normalizeCampKey).filter(Boolean));
+  if (!safeTrim(camp) || keys.size === 0) return [];
+
+  const params = new URLSearchParams();
+  params.set("select", "*");
+  params.set("camp", `eq.${safeTrim(camp)}`);
+  params.set("delivery_location_name", "not.is.null");
+  params.set("order", "full_code.asc,id.asc");
+  const rows = await fetchAllRows(env, ROUTE_TABLE, params);
+  return rows.filter((r) => keys.has(normalizeCampKey(r.delivery_location_name)));
+}
+
+function summarizeCampRoutes(routes) {
+  return routes.map((r) => ({
+    id: r.id,
+    camp: r.camp,
+    full_code: r.full_code,
+    delivery_location_name: r.delivery_location_name ?? null,
+  }));
+}
+
+// 라우트 delivery_location_* 를 한 번에 바꾸고 수정 이력/감사 로그/캐시 무효화까지 처리한다.
+async function repointCampRoutes(env, ctx, routes, patch, action) {
+  if (routes.length === 0) return;
+  await patchRoutesByIds(env, routes.map((r) => r.id), patch);
+
+  const changes = routes.map((before) => ({ before, after: { ...before, ...patch } }));
+  await insertRouteRevisions(
+    env,
+    changes.map(({ before, after }) => buildRouteRevision(before, after, { action, actor: ctx?.actor }))
+  );
+  await recordAudit(env, ctx, changes.map(({ before, after }) => ({ table: ROUTE_TABLE, action, before, after })));
+}
+
+async function handleCampsDelete(request, env, ctx) {
+  const body = await readJson(request);
+  const row = await findCampRow(env, body);
+  const dryRun = body.dry_run === true;
+  const detachRoutes = body.detach_routes === true;
+
+  const routes = await loadRoutesForMbCamps(env, row.camp, [row.mb_camp]);
+  const summary = { camp: normalizeCampRow(row), routes: summarizeCampRoutes(routes) };
+
+  if (dryRun) return json({ ok: true, dry_run: true, ...summary }, 200, { "Cache-Control": "no-store" });
+  if (routes.length > 0 && !detachRoutes) {
+    return json(
+      { error: "camp is used by routes (detach_routes: true 로 라우트 입차지를 비우고 삭제)", code: "camp_in_use", ...summary },
+      409
+    );
+  }
+
+  await repointCampRoutes(
+    env,
+    ctx,
+    routes,
+    { delivery_location_name: null, delivery_location_lat: null, delivery_location_lng: null },
+    "camp_delete"
+  );
+  await supabaseFetch(env, `/rest/v1/${CAMPS_TABLE}?id=eq.${row.id}`, {
+    method: "DELETE",
+    headers: { Prefer: "return=minimal" },
+  });
+  await recordAudit(env, ctx, { table: CAMPS_TABLE, action: "delete", before: row, after: null });
+  await purgeCampCache([row.camp], ctx);
+
+  return json({ ok: true, dry_run: false, ...summary }, 200, { "Cache-Control": "no-store" });
+}
+
+async function handleCampRename(request, env, ctx) {
+  const body = await readJson(request);
+  const row = await findCampRow(env, body);
+  const newMbCamp = safeTrim(body.new_mb_camp);
+  const dryRun = body.dry_run === true;
+
+  if (!newMbCamp) return json({ error: "new_mb_camp is required" }, 400);
+  if (newMbCamp === safeTrim(row.mb_camp)) return json({ error: "new_mb_camp is the same as mb_camp" }, 400);
+
+  // 같은 캠프에 이미 그 이름이 있으면 이름 변경이 아니라 병합이다.
+  const index = await loadCampIndex(env, row.camp);
+  const clash = index.get(normalizeCampKey(newMbCamp));
+  if (clash && clash.id !== row.id) {
+    return json(
+      { error: "mb_camp already exists in this camp (/camps/merge 로 합치세요)", code: "camp_exists", existing: normalizeCampRow(clash) },
+      409
+    );
+  }
+
+  const routes = await loadRoutesForMbCamps(env, row.camp, [row.mb_camp]);
+  const summary = {
+    camp: normalizeCampRow(row),
+    new_mb_camp: newMbCamp,
+    routes: summarizeCampRoutes(routes),
+  };
+  if (dryRun) return json({ ok: true, dry_run: true, ...summary }, 200, { "Cache-Control": "no-store" });
+
+  const updated = await supabaseFetch(env, `/rest/v1/${CAMPS_TABLE}?id=eq.${row.id}&select=*`, {
+    method: "PATCH",
+    headers: { Prefer: "return=representation" },
+    body: JSON.stringify({ mb_camp: newMbCamp }),
+  });
+  const after = Array.isArray(updated) ? updated[0] : updated;
+  await recordAudit(env, ctx, { table: CAMPS_TABLE, action: "rename", before: row, after });
+  await repointCampRoutes(env, ctx, routes, { delivery_location_name: newMbCamp }, "camp_rename");
+  await purgeCampCache([row.camp], ctx);
+
+  return json({ ok: true, dry_run: false, ...summary, row: normalizeCampRow(after) }, 200, { "Cache-Control": "no-store" });
+}
+
+async function handleCampMerge(request, env, ctx) {
+  const body = await readJson(request);
+  const survivorId = parseMaybeNumber(body.survivor_id);
+  const mergeIds = Array.from(
+    new Set((Array.isArray(body.merge_ids) ? body.merge_ids : []).map(parseMaybeNumber).filter((id) => id != null))
+  );
+  const dryRun = body.dry_run === true;
+  const deleteMerged = body.delete_merged !== false;
+
+  if (survivorId == null) return json({ error: "survivor_id is required" }, 400);
+  if (mergeIds.length === 0) return json({ error: "merge_ids is required" }, 400);
+  if (mergeIds.includes(survivorId)) return json({ error: "merge_ids must not include survivor_id" }, 400);
+
+  const cp = new URLSearchParams();
+  cp.set("select", "*");
+  cp.set("id", `in.(${[survivorId, ...mergeIds].join(",")})`);
+  const campRows = await supabaseFetch(env, `/rest/v1/${CAMPS_TABLE}?${cp.toString()}`, { method: "GET" });
+  const byId = new Map((Array.isArray(campRows) ? campRows : []).map((c) => [c.id, c]));
+
+  const survivor = byId.get(survivorId);
+  if (!survivor) return json({ error: "survivor camp not found" }, 404);
+  const missing = mergeIds.filter((id) => !byId.has(id));
+  if (missing.length) return json({ error: "merge camp not found", missing }, 404);
+  const losers = mergeIds.map((id) => byId.get(id));
+
+  // 라우트는 같은 캠프 안에서만 입차지를 찾으므로, 다른 캠프 입차지끼리는 합칠 수 없다.
+  const otherCamp = losers.filter((c) => safeTrim(c.camp) !== safeTrim(survivor.camp));
+  if (otherCamp.length) {
+    return json({ error: "merge camps must belong to the survivor's camp", ids: otherCamp.map((c) => c.id) }, 400);
+  }
+
+  const survivorKey = normalizeCampKey(survivor.mb_camp);
+  const routes = await loadRoutesForMbCamps(env, survivor.camp, losers.map((c) => c.mb_camp))
+    .then((rows) => rows.filter((r) => normalizeCampKey(r.delivery_location_name) !== survivorKey));
+
+  const summary = {
+    survivor: normalizeCampRow(survivor),
+    merged: losers.map(normalizeCampRow),
+    routes: summarizeCampRoutes(routes),
+  };
+  if (dryRun) return json({ ok: true, dry_run: true, ...summary }, 200, { "Cache-Control": "no-store" });
+
+  const patch = { delivery_location_name: safeTrim(survivor.mb_camp) };
+  const lat = parseMaybeNumber(survivor.latitude);
+  const lng = parseMaybeNumber(survivor.longitude);
+  if (lat != null && lng != null) {
+    patch.delivery_location_lat = lat;
+    patch.delivery_location_lng = lng;
+  }
+  await repointCampRoutes(env, ctx, routes, patch, "camp_merge");
+
+  let deleted = [];
+  if (deleteMerged) {
+    const dp = new URLSearchParams();
+    dp.set("id", `in.(${mergeIds.join(",")})`);
+    const removed = await supabaseFetch(env, `/rest/v1/${CAMPS_TABLE}?${dp.toString()}`, {
+      method: "DELETE",
+      headers: { Prefer: "return=representation" },
+    });
+    deleted = (Array.isArray(removed) ? removed : []).map((c) => c.id);
+    await recordAudit(env, ctx, losers.map((c) => ({ table: CAMPS_TABLE, action: "merge", before: c, after: null })));
+  }
+  await purgeCampCache([survivor.camp], ctx);
+
+  return json({ ok: true, dry_run: false, ...summary, deleted }, 200, { "Cache-Control": "no-store" });
+}
+
+// ---------- /share ----------
+// 공유 페이지 HTML 은 정적 자산(public/share.html, public/zipcode_share.html)을 ASSETS 바인딩으로 읽는다.
+// 자산은 워커와 함께 배포되므로 배포본과 public/ 이 어긋나지 않는다. 버전은 파일 내용의 SHA-256 앞 12자리.
+// 템플릿의 <!-- mw:seo --> ... <!-- /mw:seo --> 구간(정적 사이트용 기본 메타)을 요청마다 만든 블록으로 바꾼다.
+const SHARE_TEMPLATES = {
+  share: "/share.html",
+  zipcode_share: "/zipcode_share.html",
+};
+const SHARE_TEMPLATE_SEO_START = "<!-- mw:seo -->";
+const SHARE_TEMPLATE_SEO_END = "<!-- /mw:seo -->";
+
+// 같은 배포 안에서는 자산이 바뀌지 않으므로 isolate 단위로 기억해 둔다.
+const shareTemplateMemo = new Map();
+
+const SHARE_ASSET_FILES = ["/favicon.ico"];
+const SHARE_ASSET_PREFIXES = ["/assets/"];
+
+function isShareAssetPath(path) {
+  if (path.split("/").some((seg) => seg.startsWith("."))) return false;
+  return SHARE_ASSET_FILES.includes(path) || SHARE_ASSET_PREFIXES.some((prefix) => path.startsWith(prefix));
+}
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+async function loadShareTemplate(request, env, name) {
+  const path = SHARE_TEMPLATES[name];
+  if (!path) throw new Error(`Unknown share template: ${name}`);
+  if (shareTemplateMemo.has(name)) return shareTemplateMemo.get(name);
+
+  if (!env.ASSETS || typeof env.ASSETS.fetch !== "function") {
+    throw new Error("ASSETS binding missing (deploy with Wrangler assets).");
+  }
+  const res = await env.ASSETS.fetch(new Request(new URL(path, request.url).toString()));
+  if (!res.ok) throw new Error(`Share template ${path} not found (${res.status})`);
+  const html = await res.text();
+
+  const start = html.indexOf(SHARE_TEMPLATE_SEO_START);
+  const end = html.indexOf(SHARE_TEMPLATE_SEO_END);
+  if (start < 0 || end < start || html.indexOf(SHARE_TEMPLATE_SEO_START, start + 1) >= 0) {
+    throw new Error(`Share template ${path} must contain one ${SHARE_TEMPLATE_SEO_START} ... ${SHARE_TEMPLATE_SEO_END} block`);
+  }
+
+  const template = { name, path, html, version: (await sha256Hex(html)).slice(0, 12) };
+  shareTemplateMemo.set(name, template);
+  return template;
+}
+
+function renderShareTemplate(template, seoLines) {
+  const { html } = template;
+  const start = html.indexOf(SHARE_TEMPLATE_SEO_START);
+  const end = html.indexOf(SHARE_TEMPLATE_SEO_END) + SHARE_TEMPLATE_SEO_END.length;
+  return `${html.slice(0, start)}${seoLines.join("\n").trimStart()}${html.slice(end)}`;
+}
+
+function shareTemplateResponse(template, seoLines) {
+  return new Response(renderShareTemplate(template, seoLines), {
+    status: 200,
+    headers: {
+      "Content-Type": "text/html; charset=utf-8",
+      "Cache-Control": "no-store",
+      "Access-Control-Allow-Origin": "*",
+      "X-Template-Version": `${template.name}@${template.version}`,
+    },
+  });
+}
+
+// 정적 사이트 메타와 같은 모양의 SEO/OG 블록
+function buildSeoBlock({ title, description, url, image, robots }) {
+  const safeTitle = escapeHtmlAttr(title);
+  const safeDesc = escapeHtmlAttr(description);
+  const safeUrl = escapeHtmlAttr(url);
+  const safeImg = escapeHtmlAttr(image);
+  const safeFav = escapeHtmlAttr(FAVICON_URL);
+  return [
+    `  <title>${safeTitle}</title>`,
+    `  <meta name="description" content="${safeDesc}" />`,
+    `  <meta name="robots" content="${robots}" />`,
+    ``,
+    `  <meta property="og:type" content="website" />`,
+    `  <meta property="og:site_name" content="Maroowell" />`,
+    `  <meta property="og:locale" content="ko_KR" />`,
+    `  <meta property="og:title" content="${safeTitle}" />`,
+    `  <meta property="og:description" content="${safeDesc}" />`,
+    `  <meta property="og:url" content="${safeUrl}" />`,
+    `  <meta property="og:image" content="${safeImg}" />`,
+    `  <meta property="og:image:url" content="${safeImg}" />`,
+    `  <meta property="og:image:secure_url" content="${safeImg}" />`,
+    `  <meta property="og:image:type" content="image/png" />`,
+    `  <meta property="og:image:width" content="1200" />`,
+    `  <meta property="og:image:height" content="630" />`,
+    `  <meta property="og:image:alt" content="${safeTitle}" />`,
+    ``,
+    `  <meta name="twitter:card" content="summary_large_image" />`,
+    `  <meta name="twitter:title" content="${safeTitle}" />`,
+    `  <meta name="twitter:description" content="${safeDesc}" />`,
+    `  <meta name="twitter:url" content="${safeUrl}" />`,
+    `  <meta name="twitter:image" content="${safeImg}" />`,
+    `  <meta name="twitter:image:alt" content="${safeTitle}" />`,
+    ``,
+    `  <link rel="canonical" href="${safeUrl}" />`,
+    `  <link rel="icon" type="image/x-icon" href="${safeFav}" />`,
+    `  <link rel="shortcut icon" href="${safeFav}" />`,
+    `  <link rel="apple-touch-icon" href="${safeFav}" />`,
+    ``,
+    // 템플릿 스크립트가 클라이언트에서 메타를 다시 쓸 때도 같은 이미지를 쓰게 한다.
+    `  <script>window.__MW_OG_IMAGE__ = ${JSON.stringify(String(image)).replace(/</g, "\\u003c")};</script>`,
+  ];
+}
 
-  if (!qLower) return 0;
-  if (mb === qLower) return 120;
-  if (camp === qLower) return 115;
-  if (mb.startsWith(qLower)) return 100;
-  if (camp.startsWith(qLower)) return 95;
-  if (mb.includes(qLower)) return 80;
-  if (camp.includes(qLower)) return 75;
-  return 0;
+// 배포된 템플릿 버전. check_share_templates.js --deployed 가 public/ 과 비교한다.
+async function handleShareTemplatesGet(request, env) {
+  const templates = [];
+  for (const name of Object.keys(SHARE_TEMPLATES)) {
+    const t = await loadShareTemplate(request, env, name);
+    templates.push({ name: t.name, path: t.path, version: t.version });
+  }
+  return json({ templates }, 200, { "Cache-Control": "no-store" });
 }
 
-function campRowDedupeKey(row) {
-  if (row?.id != null) return `id:${row.id}`;
-  return `key:${safeTrim(row?.camp)}|${safeTrim(row?.mb_camp)}|${safeTrim(row?.code)}`;
+// 우편번호 공유는 서명된 토큰(s, sig)으로 열리므로 내용은 브라우저에서 검증하고, 여기서는 기본 메타만 넣는다.
+async function handleZipcodeShareHtml(request, url, env) {
+  const template = await loadShareTemplate(request, env, "zipcode_share");
+  return shareTemplateResponse(template, buildSeoBlock({
+    title: "우편번호 지도 공유",
+    description: "공유된 우편번호 배송 구역을 확인하세요",
+    url: url.toString(),
+    image: OG_IMAGE_URL,
+    robots: "noindex,nofollow",
+  }));
 }
 
-async function handleCampsGet(url, env) {
-  const q = safeTrim(url.searchParams.get("q"));
+async function handleShareHtml(request, url, env) {
+  const v = safeTrim(url.searchParams.get("v"));
+  if (!/^\d{12}$/.test(v)) {
+    const next = new URL(url.toString());
+    next.searchParams.set("v", getKstYYYYMMDDHHMM());
+    return new Response(null, {
+      status: 302,
+      headers: {
+        Location: next.toString(),
+        "Cache-Control": "no-store",
+      },
+    });
+  }
+
   const camp = safeTrim(url.searchParams.get("camp"));
-  const mbCamp = safeTrim(
-    url.searchParams.get("mb_camp") ||
-    url.searchParams.get("orbm_camp") ||
-    url.searchParams.get("ormb_camp")
-  );
-  const limitRaw = Number(url.searchParams.get("limit"));
-  const limit = Number.isFinite(limitRaw) && limitRaw > 0 ? Math.min(Math.floor(limitRaw), 200) : 50;
+  const code = safeTrim(url.searchParams.get("code"));
+  return await renderSharePage(request, url, env, { camp, code, v });
+}
 
-  if (!q) {
-    const params = new URLSearchParams();
-    params.set("select", "*");
-    params.set("order", "updated_at.desc,created_at.desc,id.desc");
-    params.set("limit", String(limit));
-    if (camp) params.set("camp", `eq.${camp}`);
-    if (mbCamp) params.set("mb_camp", `eq.${mbCamp}`);
+// share = /s/:id 로 열린 공유 링크 스냅샷. 있으면 템플릿이 location.search 대신 이 값을 쓴다.
+async function renderSharePage(request, url, env, { camp, code, v, share = null }) {
+  let ogTitle = "배송 지도 공유";
+  let ogDescription = "배송 구역 및 경로를 확인하세요";
 
-    const rows = await supabaseFetch(env, `/rest/v1/${CAMPS_TABLE}?${params.toString()}`, { method: "GET" });
-    const out = (Array.isArray(rows) ? rows : []).map(normalizeCampRow).filter(Boolean);
-    return json({ rows: out }, 200, { "Cache-Control": "no-store" });
+  if (camp) {
+    try {
+      const q = new URLSearchParams();
+      q.set("select", "camp,full_code,delivery_location_name,delivery_location_address");
+      q.set("camp", `eq.${camp}`);
+      if (code) q.set("full_code", `like.${code}%`);
+      q.set("order", "full_code.asc");
+      q.set("limit", "1");
+
+      const rows = await supabaseFetch(env, `/rest/v1/${ROUTE_TABLE}?${q.toString()}`, { method: "GET" });
+      const out = Array.isArray(rows) ? rows : [];
+      await hydrateRouteRowsWithCamps(out, env);
+      const row = out[0];
+
+      if (row) {
+        const locationAddr = safeTrim(row.delivery_location_address);
+        const fullCode = safeTrim(code || row.full_code);
+
+        ogTitle = fullCode ? `${camp} ${fullCode}`.trim() : `${camp} 배송지도`.trim();
+        ogDescription = fullCode
+          ? `${camp} ${fullCode} 배송 구역을 확인하세요`.trim()
+          : `${camp} 배송 구역을 확인하세요`.trim();
+
+        if (locationAddr) ogDescription = `${locationAddr} · ${ogDescription}`;
+      } else if (code) {
+        ogTitle = `${camp} ${code}`.trim();
+        ogDescription = `${camp} ${code} 배송 구역을 확인하세요`.trim();
+      } else {
+        ogTitle = `${camp} 배송지도`.trim();
+        ogDescription = `${camp} 배송 구역을 확인하세요`.trim();
+      }
+    } catch {
+      ogTitle = code ? `${camp} ${code}`.trim() : `${camp} 배송지도`.trim();
+      ogDescription = code
+        ? `${camp} ${code} 배송 구역을 확인하세요`.trim()
+        : `${camp} 배송 구역을 확인하세요`.trim();
+    }
   }
+  if (share?.note) ogDescription = safeTrim(share.note);
 
-  const qLower = q.toLowerCase();
-  const base = new URLSearchParams();
-  base.set("select", "*");
-  base.set("order", "updated_at.desc,created_at.desc,id.desc");
-  base.set("limit", String(Math.min(limit * 2, 200)));
-  if (camp) base.set("camp", `eq.${camp}`);
-  if (mbCamp) base.set("mb_camp", `eq.${mbCamp}`);
+  const template = await loadShareTemplate(request, env, "share");
 
-  const wildcard = `*${q}*`;
-  const likeFields = ["mb_camp", "camp"];
-  const eqFields = ["mb_camp", "camp"];
+  // 캠프가 정해진 공유는 라우트를 그린 미리보기 이미지를, 아니면 기본 이미지를 쓴다.
+  const seoBlock = buildSeoBlock({
+    title: ogTitle,
+    description: ogDescription,
+    url: url.toString(),
+    image: camp ? ogImageUrl(url, camp, code, v) : buildVersionedAssetUrl(OG_IMAGE_URL, v),
+    robots: share ? "noindex,nofollow" : "index,follow,max-image-preview:large",
+  });
+  if (share) {
+    // </script> 가 메모에 들어 있어도 블록이 끊기지 않게 < 를 이스케이프한다.
+    const payload = JSON.stringify({
+      id: share.id,
+      camp: share.camp,
+      codes: share.codes || [],
+      view: share.view || null,
+      note: share.note || null,
+      expires_at: share.expires_at || null,
+    }).replace(/</g, "\\u003c");
+    seoBlock.push(`  <script>window.__MW_SHARE__ = ${payload};</script>`);
+  }
 
-  const queries = [
-    ...eqFields.map((field) => {
-      const p = new URLSearchParams(base.toString());
-      p.set(field, `eq.${q}`);
-      return p;
-    }),
-    ...likeFields.map((field) => {
-      const p = new URLSearchParams(base.toString());
-      p.set(field, `ilike.${wildcard}`);
-      return p;
-    }),
-  ];
+  return shareTemplateResponse(template, seoBlock);
+}
 
-  const results = [];
-  for (const p of queries) {
+// ---------- /share-link, /s/:id ----------
+// 공유 링크는 만들 때의 camp/codes/지도 화면/메모를 share_links 에 스냅샷으로 남기고 짧은 id 로 연다.
+const SHARE_LINK_ID_LENGTH = 8;
+const SHARE_LINK_ID_ALPHABET = "23456789abcdefghijkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ";
+const SHARE_LINK_DEFAULT_DAYS = 30;
+const SHARE_LINK_MAX_DAYS = 365;
+const SHARE_LINK_MAX_CODES = 50;
+const SHARE_LINK_NOTE_MAX = 500;
+
+function generateShareLinkId() {
+  const bytes = crypto.getRandomValues(new Uint8Array(SHARE_LINK_ID_LENGTH));
+  return Array.from(bytes, (b) => SHARE_LINK_ID_ALPHABET[b % SHARE_LINK_ID_ALPHABET.length]).join("");
+}
+
+function normalizeShareCodes(body) {
+  const raw = Array.isArray(body.codes) ? body.codes : safeTrim(body.code).split(/[,\s]+/);
+  return Array.from(new Set(raw.map(safeTrim).filter(Boolean)));
+}
+
+// 카카오맵 화면: 중심 좌표 + 레벨(1~14)
+function normalizeShareView(v) {
+  const lat = parseMaybeNumber(v?.lat);
+  const lng = parseMaybeNumber(v?.lng);
+  if (lat == null || lng == null || !isRouteRingPoint([lng, lat])) return null;
+  const level = parseMaybeNumber(v?.level);
+  return { lat, lng, level: level != null && level >= 1 && level <= 14 ? Math.round(level) : null };
+}
+
+function shareLinkState(row, now = Date.now()) {
+  if (row.revoked_at) return "revoked";
+  if (row.expires_at && Date.parse(row.expires_at) <= now) return "expired";
+  return "active";
+}
+
+function publicShareLink(row, url) {
+  return { ...row, url: `${url.origin}/s/${row.id}`, state: shareLinkState(row) };
+}
+
+async function handleShareLinkCreate(request, url, env, ctx) {
+  const body = await readJson(request);
+  const camp = safeTrim(body.camp);
+  const codes = normalizeShareCodes(body);
+  const note = safeTrim(body.note).slice(0, SHARE_LINK_NOTE_MAX) || null;
+  if (!camp) return json({ error: "camp is required" }, 400);
+  if (codes.length > SHARE_LINK_MAX_CODES) return json({ error: `codes must be ${SHARE_LINK_MAX_CODES} or fewer` }, 400);
+
+  // expires_in_days: 0 이면 만료 없음, 없으면 기본 30일.
+  const daysRaw = body.expires_in_days == null ? SHARE_LINK_DEFAULT_DAYS : Number(body.expires_in_days);
+  if (!Number.isFinite(daysRaw) || daysRaw < 0 || daysRaw > SHARE_LINK_MAX_DAYS) {
+    return json({ error: `expires_in_days must be between 0 and ${SHARE_LINK_MAX_DAYS}` }, 400);
+  }
+  const expiresAt = daysRaw > 0 ? new Date(Date.now() + daysRaw * 24 * 60 * 60 * 1000).toISOString() : null;
+
+  const base = {
+    camp,
+    codes,
+    view: normalizeShareView(body.view),
+    note,
+    expires_at: expiresAt,
+    created_by: ctx?.actor ?? null,
+    created_by_id: ctx?.actor_id ?? null,
+  };
+
+  // 짧은 id 가 겹치면(PK 충돌) 새 id 로 몇 번 더 시도한다.
+  let row = null;
+  let lastError = null;
+  for (let attempt = 0; attempt < 3 && !row; attempt++) {
     try {
-      const rows = await supabaseFetch(env, `/rest/v1/${CAMPS_TABLE}?${p.toString()}`, { method: "GET" });
-      results.push(Array.isArray(rows) ? rows : []);
+      const inserted = await supabaseFetch(env, `/rest/v1/${SHARE_LINK_TABLE}?select=*`, {
+        method: "POST",
+        headers: { Prefer: "return=representation" },
+        body: JSON.stringify({ ...base, id: generateShareLinkId() }),
+      });
+      row = Array.isArray(inserted) ? inserted[0] : inserted;
     } catch (e) {
-      console.warn("camps 검색 쿼리 실패:", e?.message || String(e));
+      lastError = e;
+      if (!/duplicate key/i.test(e?.message || "")) throw e;
     }
   }
+  if (!row) throw lastError;
 
-  const mergedMap = new Map();
-  for (const arr of results) {
-    for (const row of arr) {
-      const normalized = normalizeCampRow(row);
-      if (!normalized) continue;
-      const key = campRowDedupeKey(normalized);
-      if (!mergedMap.has(key)) mergedMap.set(key, normalized);
+  await recordAudit(env, ctx, { table: SHARE_LINK_TABLE, action: "insert", before: null, after: row });
+  const link = publicShareLink(row, url);
+  return json({ ok: true, id: row.id, url: link.url, expires_at: row.expires_at, row: link }, 200, { "Cache-Control": "no-store" });
+}
+
+// 내가 만든 링크 목록. 관리자는 all=1 로 전체를 본다.
+async function handleShareLinksGet(request, url, env) {
+  const ctx = buildWriteContext(request, url, await requireRouteEditor(request, env));
+  const camp = safeTrim(url.searchParams.get("camp"));
+  const limitRaw = Number(url.searchParams.get("limit"));
+  const limit = Number.isFinite(limitRaw) && limitRaw > 0 ? Math.min(Math.floor(limitRaw), 200) : 50;
+
+  const params = new URLSearchParams();
+  params.set("select", "*");
+  if (!(ctx.is_admin && truthy(url.searchParams.get("all")))) params.set("created_by_id", `eq.${ctx.actor_id}`);
+  if (camp) params.set("camp", `eq.${camp}`);
+  params.set("order", "created_at.desc");
+  params.set("limit", String(limit));
+
+  const rows = await supabaseFetch(env, `/rest/v1/${SHARE_LINK_TABLE}?${params.toString()}`, { method: "GET" });
+  return json(
+    { rows: (Array.isArray(rows) ? rows : []).map((r) => publicShareLink(r, url)) },
+    200,
+    { "Cache-Control": "no-store" }
+  );
+}
+
+async function findShareLink(env, id) {
+  if (!/^[A-Za-z0-9]{4,32}$/.test(id)) return null;
+  const rows = await supabaseFetch(env, `/rest/v1/${SHARE_LINK_TABLE}?id=eq.${id}&select=*&limit=1`, { method: "GET" });
+  return Array.isArray(rows) ? rows[0] || null : null;
+}
+
+// 만든 사람(또는 관리자)만 폐기할 수 있다. 행은 남겨 두고 revoked_at 만 찍는다.
+async function handleShareLinkRevoke(request, url, env, ctx) {
+  const body = await readJson(request);
+  const id = safeTrim(body.id);
+  if (!id) return json({ error: "id is required" }, 400);
+
+  const before = await findShareLink(env, id);
+  if (!before) return json({ error: "share link not found" }, 404);
+  if (before.created_by_id !== ctx.actor_id && !ctx.is_admin) {
+    return json({ error: "only the creator can revoke this link" }, 403);
+  }
+  if (before.revoked_at) return json({ ok: true, row: publicShareLink(before, url) }, 200, { "Cache-Control": "no-store" });
+
+  const updated = await supabaseFetch(env, `/rest/v1/${SHARE_LINK_TABLE}?id=eq.${id}&select=*`, {
+    method: "PATCH",
+    headers: { Prefer: "return=representation" },
+    body: JSON.stringify({ revoked_at: new Date().toISOString() }),
+  });
+  const row = Array.isArray(updated) ? updated[0] : updated;
+  await recordAudit(env, ctx, { table: SHARE_LINK_TABLE, action: "revoke", before, after: row });
+  return json({ ok: true, row: publicShareLink(row, url) }, 200, { "Cache-Control": "no-store" });
+}
+
+function shareLinkErrorPage(status, message) {
+  const html = `<!doctype html>
+<html lang="ko"><head><meta charset="utf-8" /><meta name="viewport" content="width=device-width,initial-scale=1" />
+<meta name="robots" content="noindex,nofollow" /><title>공유 링크</title>
+<link rel="icon" type="image/x-icon" href="${escapeHtmlAttr(FAVICON_URL)}" /></head>
+<body style="margin:0;min-height:100vh;display:flex;align-items:center;justify-content:center;background:#0b1220;color:#e6eefc;font-family:system-ui,sans-serif;">
+<div style="text-align:center;padding:24px;"><div style="font-size:20px;font-weight:800;margin-bottom:8px;">${escapeHtmlAttr(message)}</div>
+<div style="color:#93a4c7;font-size:14px;">링크를 보낸 분께 새 링크를 요청하세요.</div></div></body></html>`;
+  return new Response(html, {
+    status,
+    headers: { "Content-Type": "text/html; charset=utf-8", "Cache-Control": "no-store" },
+  });
+}
+
+async function handleShareLinkOpen(request, url, env, id) {
+  const row = await findShareLink(env, id);
+  if (!row) return shareLinkErrorPage(404, "존재하지 않는 공유 링크입니다.");
+  const state = shareLinkState(row);
+  if (state === "revoked") return shareLinkErrorPage(410, "공유가 중지된 링크입니다.");
+  if (state === "expired") return shareLinkErrorPage(410, "만료된 공유 링크입니다.");
+
+  // 조회수는 대략치면 충분하다. 실패해도 페이지는 연다.
+  try {
+    await supabaseFetch(env, `/rest/v1/${SHARE_LINK_TABLE}?id=eq.${row.id}`, {
+      method: "PATCH",
+      headers: { Prefer: "return=minimal" },
+      body: JSON.stringify({ view_count: (Number(row.view_count) || 0) + 1, last_viewed_at: new Date().toISOString() }),
+    });
+  } catch (e) {
+    console.warn("share link 조회수 기록 실패:", e?.message || String(e));
+  }
+
+  const codes = Array.isArray(row.codes) ? row.codes : parseMaybeJson(row.codes, []) || [];
+  // OG 이미지 버전은 링크를 만든 시각으로 고정해, 같은 링크는 메신저 미리보기 캐시를 그대로 쓴다.
+  const v = getKstYYYYMMDDHHMM(new Date(row.created_at || Date.now()));
+  return await renderSharePage(request, url, env, {
+    camp: safeTrim(row.camp),
+    code: codes.join(","),
+    v,
+    share: { ...row, codes, view: parseMaybeJson(row.view, null) },
+  });
+}
+
+// ---------- /og/route.png (공유 미리보기 이미지) ----------
+// 공유한 라우트 폴리곤을 1200×630 PNG 로 그린다. 외부 라이브러리 없이 스캔라인 채우기 + CompressionStream 으로 PNG 를 만든다.
+// 상단 제목(캠프 이름·코드)은 문경감홍체로, 폴리곤 라벨과 라우트 수는 내장 5×7 비트맵 글꼴로 그린다.
+const OG_WIDTH = 1200;
+const OG_HEIGHT = 630;
+const OG_TITLE_HEIGHT = 110;
+const OG_PADDING = 40;
+const OG_LABEL_MAX_ROUTES = 150;
+const OG_CACHE_CONTROL = "public, max-age=3600";
+
+// 행마다 5비트(왼쪽이 높은 비트) × 7행
+const OG_FONT_5X7 = {
+  "0": [0x0e, 0x11, 0x13, 0x15, 0x19, 0x11, 0x0e], "1": [0x04, 0x0c, 0x04, 0x04, 0x04, 0x04, 0x0e],
+  "2": [0x0e, 0x11, 0x01, 0x02, 0x04, 0x08, 0x1f], "3": [0x1f, 0x02, 0x04, 0x02, 0x01, 0x11, 0x0e],
+  "4": [0x02, 0x06, 0x0a, 0x12, 0x1f, 0x02, 0x02], "5": [0x1f, 0x10, 0x1e, 0x01, 0x01, 0x11, 0x0e],
+  "6": [0x06, 0x08, 0x10, 0x1e, 0x11, 0x11, 0x0e], "7": [0x1f, 0x01, 0x02, 0x04, 0x08, 0x08, 0x08],
+  "8": [0x0e, 0x11, 0x11, 0x0e, 0x11, 0x11, 0x0e], "9": [0x0e, 0x11, 0x11, 0x0f, 0x01, 0x02, 0x0c],
+  A: [0x0e, 0x11, 0x11, 0x11, 0x1f, 0x11, 0x11], B: [0x1e, 0x11, 0x11, 0x1e, 0x11, 0x11, 0x1e],
+  C: [0x0e, 0x11, 0x10, 0x10, 0x10, 0x11, 0x0e], D: [0x1c, 0x12, 0x11, 0x11, 0x11, 0x12, 0x1c],
+  E: [0x1f, 0x10, 0x10, 0x1e, 0x10, 0x10, 0x1f], F: [0x1f, 0x10, 0x10, 0x1e, 0x10, 0x10, 0x10],
+  G: [0x0e, 0x11, 0x10, 0x17, 0x11, 0x11, 0x0f], H: [0x11, 0x11, 0x11, 0x1f, 0x11, 0x11, 0x11],
+  I: [0x0e, 0x04, 0x04, 0x04, 0x04, 0x04, 0x0e], J: [0x07, 0x02, 0x02, 0x02, 0x02, 0x12, 0x0c],
+  K: [0x11, 0x12, 0x14, 0x18, 0x14, 0x12, 0x11], L: [0x10, 0x10, 0x10, 0x10, 0x10, 0x10, 0x1f],
+  M: [0x11, 0x1b, 0x15, 0x15, 0x11, 0x11, 0x11], N: [0x11, 0x11, 0x19, 0x15, 0x13, 0x11, 0x11],
+  O: [0x0e, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0e], P: [0x1e, 0x11, 0x11, 0x1e, 0x10, 0x10, 0x10],
+  Q: [0x0e, 0x11, 0x11, 0x11, 0x15, 0x12, 0x0d], R: [0x1e, 0x11, 0x11, 0x1e, 0x14, 0x12, 0x11],
+  S: [0x0f, 0x10, 0x10, 0x0e, 0x01, 0x01, 0x1e], T: [0x1f, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04],
+  U: [0x11, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0e], V: [0x11, 0x11, 0x11, 0x11, 0x11, 0x0a, 0x04],
+  W: [0x11, 0x11, 0x11, 0x15, 0x15, 0x15, 0x0a], X: [0x11, 0x11, 0x0a, 0x04, 0x0a, 0x11, 0x11],
+  Y: [0x11, 0x11, 0x11, 0x0a, 0x04, 0x04, 0x04], Z: [0x1f, 0x01, 0x02, 0x04, 0x08, 0x10, 0x1f],
+  "-": [0, 0, 0, 0x1f, 0, 0, 0], ".": [0, 0, 0, 0, 0, 0x0c, 0x0c], ",": [0, 0, 0, 0, 0x0c, 0x04, 0x08],
+  "/": [0, 0x01, 0x02, 0x04, 0x08, 0x10, 0], "_": [0, 0, 0, 0, 0, 0, 0x1f], "+": [0, 0x04, 0x04, 0x1f, 0x04, 0x04, 0],
+  " ": [0, 0, 0, 0, 0, 0, 0],
+};
+
+function ogRenderableText(text) {
+  return String(text || "").toUpperCase().split("").filter((ch) => OG_FONT_5X7[ch]).join("").replace(/\s+/g, " ").trim();
+}
+
+function hexToRgb(hex) {
+  const h = safeTrim(hex).replace(/^#/, "");
+  if (!/^[0-9a-f]{6}$/i.test(h)) return [0, 194, 255];
+  return [parseInt(h.slice(0, 2), 16), parseInt(h.slice(2, 4), 16), parseInt(h.slice(4, 6), 16)];
+}
+
+function createRaster(width, height, rgb) {
+  const px = new Uint8Array(width * height * 3);
+  for (let i = 0; i < px.length; i += 3) {
+    px[i] = rgb[0];
+    px[i + 1] = rgb[1];
+    px[i + 2] = rgb[2];
+  }
+  return { width, height, px };
+}
+
+function blendPixel(r, x, y, rgb, alpha) {
+  if (x < 0 || y < 0 || x >= r.width || y >= r.height) return;
+  const i = (y * r.width + x) * 3;
+  for (let c = 0; c < 3; c++) r.px[i + c] = Math.round(r.px[i + c] * (1 - alpha) + rgb[c] * alpha);
+}
+
+function fillRect(r, x0, y0, x1, y1, rgb, alpha = 1) {
+  for (let y = Math.max(0, Math.floor(y0)); y < Math.min(r.height, Math.ceil(y1)); y++) {
+    for (let x = Math.max(0, Math.floor(x0)); x < Math.min(r.width, Math.ceil(x1)); x++) blendPixel(r, x, y, rgb, alpha);
+  }
+}
+
+// 화면 좌표 ring 하나를 픽셀 중심 기준 스캔라인(even-odd)으로 채운다.
+function fillRing(r, ring, rgb, alpha) {
+  const [, minY, , maxY] = ringBBox(ring);
+  for (let y = Math.max(0, Math.floor(minY)); y <= Math.min(r.height - 1, Math.ceil(maxY)); y++) {
+    const cy = y + 0.5;
+    const xs = [];
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ((yi > cy) !== (yj > cy)) xs.push(xi + ((cy - yi) * (xj - xi)) / (yj - yi));
+    }
+    xs.sort((a, b) => a - b);
+    for (let k = 0; k + 1 < xs.length; k += 2) {
+      const from = Math.max(0, Math.ceil(xs[k] - 0.5));
+      const to = Math.min(r.width - 1, Math.floor(xs[k + 1] - 0.5));
+      for (let x = from; x <= to; x++) blendPixel(r, x, y, rgb, alpha);
+    }
+  }
+}
+
+function strokeRing(r, ring, rgb, width) {
+  const half = width / 2;
+  for (let i = 0; i < ring.length; i++) {
+    const [x0, y0] = ring[i];
+    const [x1, y1] = ring[(i + 1) % ring.length];
+    const steps = Math.max(1, Math.ceil(Math.hypot(x1 - x0, y1 - y0) * 2));
+    for (let s = 0; s <= steps; s++) {
+      const x = x0 + ((x1 - x0) * s) / steps;
+      const y = y0 + ((y1 - y0) * s) / steps;
+      for (let py = Math.round(y - half); py < Math.round(y + half); py++) {
+        for (let px = Math.round(x - half); px < Math.round(x + half); px++) blendPixel(r, px, py, rgb, 1);
+      }
+    }
+  }
+}
+
+function ogTextWidth(text, scale) {
+  return text.length ? text.length * 6 * scale - scale : 0;
+}
+
+function drawText(r, text, x, y, scale, rgb) {
+  let cx = Math.round(x);
+  for (const ch of text) {
+    const glyph = OG_FONT_5X7[ch] || OG_FONT_5X7[" "];
+    for (let row = 0; row < 7; row++) {
+      for (let col = 0; col < 5; col++) {
+        if (glyph[row] & (0x10 >> col)) fillRect(r, cx + col * scale, y + row * scale, cx + (col + 1) * scale, y + (row + 1) * scale, rgb);
+      }
+    }
+    cx += 6 * scale;
+  }
+}
+
+// 폴리곤 위 라벨은 어두운 테두리를 깔고 흰 글씨로 얹는다.
+function drawLabel(r, text, cx, cy, scale) {
+  const x = cx - ogTextWidth(text, scale) / 2;
+  const y = Math.round(cy - (7 * scale) / 2);
+  for (const [dx, dy] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) drawText(r, text, x + dx * scale, y + dy * scale, scale, [15, 23, 42]);
+  drawText(r, text, x, y, scale, [255, 255, 255]);
+}
+
+// 상단 띠의 캠프 이름(한글)과 코드는 공유 페이지와 같은 문경감홍체를 ASSETS 에서 읽어 TrueType 윤곽을 직접 채워 그린다.
+// WOFF 표는 zlib 이라 DecompressionStream("deflate") 로 풀린다. 글꼴은 배포와 함께 바뀌므로 읽은 표와 편 글자를 isolate 단위로 기억해 둔다.
+const OG_TITLE_FONT_PATH = "/assets/fonts/MungyeongGamhong.woff";
+const OG_TITLE_FONT_TABLES = ["head", "hhea", "hmtx", "cmap", "loca", "glyf"];
+const OG_TITLE_FONT_SIZE = 48;
+const OG_GLYPH_SUBSAMPLES = 4; // 글자 가장자리 안티에일리어싱용 세로 표본 수
+const ogFontMemo = new Map();
+
+async function inflateZlib(bytes) {
+  return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate"))).arrayBuffer());
+}
+
+async function parseWoffTables(buf) {
+  const view = new DataView(buf);
+  if (view.getUint32(0) !== 0x774f4646) throw new Error("OG title font must be WOFF 1.0");
+  const tables = {};
+  for (let i = 0; i < view.getUint16(12); i++) {
+    const p = 44 + i * 20;
+    const tag = String.fromCharCode(...new Uint8Array(buf, p, 4));
+    if (!OG_TITLE_FONT_TABLES.includes(tag)) continue;
+    const data = new Uint8Array(buf, view.getUint32(p + 4), view.getUint32(p + 8));
+    const bytes = data.length < view.getUint32(p + 12) ? await inflateZlib(data) : data.slice();
+    tables[tag] = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  }
+  const missing = OG_TITLE_FONT_TABLES.filter((tag) => !tables[tag]);
+  if (missing.length) throw new Error(`OG title font is missing tables: ${missing.join(", ")}`);
+  return tables;
+}
+
+// cmap 은 유니코드 BMP 서브테이블(format 4)만 읽는다.
+function findCmapFormat4(cmap) {
+  for (let i = 0; i < cmap.getUint16(2); i++) {
+    const platform = cmap.getUint16(4 + i * 8);
+    const encoding = cmap.getUint16(6 + i * 8);
+    const offset = cmap.getUint32(8 + i * 8);
+    if ((platform === 3 && encoding === 1) || platform === 0) {
+      if (cmap.getUint16(offset) === 4) return offset;
+    }
+  }
+  throw new Error("OG title font has no format 4 cmap");
+}
+
+function createTrueTypeFont(tables) {
+  const { head, hhea, hmtx, cmap, loca, glyf } = tables;
+  const longLoca = head.getInt16(50) === 1;
+  const numberOfHMetrics = hhea.getUint16(34);
+  const cmapOffset = findCmapFormat4(cmap);
+  const segCount = cmap.getUint16(cmapOffset + 6) / 2;
+  const endCodes = cmapOffset + 14;
+  const startCodes = endCodes + segCount * 2 + 2;
+  const idDeltas = startCodes + segCount * 2;
+  const idRangeOffsets = idDeltas + segCount * 2;
+
+  const glyphIndex = (code) => {
+    if (code > 0xffff) return 0;
+    for (let i = 0; i < segCount; i++) {
+      if (code > cmap.getUint16(endCodes + i * 2)) continue;
+      const start = cmap.getUint16(startCodes + i * 2);
+      if (code < start) return 0;
+      const delta = cmap.getUint16(idDeltas + i * 2);
+      const rangeOffset = cmap.getUint16(idRangeOffsets + i * 2);
+      if (rangeOffset === 0) return (code + delta) & 0xffff;
+      const gid = cmap.getUint16(idRangeOffsets + i * 2 + rangeOffset + (code - start) * 2);
+      return gid === 0 ? 0 : (gid + delta) & 0xffff;
+    }
+    return 0;
+  };
+  const advance = (gid) => hmtx.getUint16(Math.min(gid, numberOfHMetrics - 1) * 4);
+  const glyphRange = (gid) =>
+    longLoca ? [loca.getUint32(gid * 4), loca.getUint32(gid * 4 + 4)] : [loca.getUint16(gid * 2) * 2, loca.getUint16(gid * 2 + 2) * 2];
+
+  const outlineMemo = new Map();
+  const outline = (gid, depth = 0) => {
+    if (outlineMemo.has(gid)) return outlineMemo.get(gid);
+    const [start, end] = glyphRange(gid);
+    const contours = end > start && depth < 8 ? parseGlyphContours(glyf, start, (g) => outline(g, depth + 1)) : [];
+    outlineMemo.set(gid, contours);
+    return contours;
+  };
+
+  // 글자 크기별로 편 ring(원점·기준선 기준 픽셀 좌표)도 기억해 같은 글자를 다시 펴지 않는다.
+  const unitsPerEm = head.getUint16(18);
+  const ringMemo = new Map();
+  const rings = (gid, size) => {
+    const key = `${gid}@${size}`;
+    if (!ringMemo.has(key)) {
+      const k = size / unitsPerEm;
+      ringMemo.set(key, outline(gid).map((contour) => flattenContour(contour, (pt) => [pt.x * k, -pt.y * k])).filter(Boolean));
+    }
+    return ringMemo.get(key);
+  };
+
+  return { unitsPerEm, glyphIndex, advance, rings };
+}
+
+// 글리프 하나를 [{x, y, on}] 윤곽 배열로 읽는다. 합성 글리프는 구성 글리프를 옮기고 늘려 합친다.
+function parseGlyphContours(glyf, offset, componentOutline) {
+  const numberOfContours = glyf.getInt16(offset);
+  let p = offset + 10;
+
+  if (numberOfContours < 0) {
+    const contours = [];
+    let flags;
+    do {
+      flags = glyf.getUint16(p);
+      const gid = glyf.getUint16(p + 2);
+      p += 4;
+      let dx = 0;
+      let dy = 0;
+      if (flags & 0x0001) {
+        if (flags & 0x0002) [dx, dy] = [glyf.getInt16(p), glyf.getInt16(p + 2)];
+        p += 4;
+      } else {
+        if (flags & 0x0002) [dx, dy] = [glyf.getInt8(p), glyf.getInt8(p + 1)];
+        p += 2;
+      }
+      const f2dot14 = (at) => glyf.getInt16(at) / 16384;
+      let [a, b, c, d] = [1, 0, 0, 1];
+      if (flags & 0x0008) {
+        a = d = f2dot14(p);
+        p += 2;
+      } else if (flags & 0x0040) {
+        [a, d] = [f2dot14(p), f2dot14(p + 2)];
+        p += 4;
+      } else if (flags & 0x0080) {
+        [a, b, c, d] = [f2dot14(p), f2dot14(p + 2), f2dot14(p + 4), f2dot14(p + 6)];
+        p += 8;
+      }
+      for (const contour of componentOutline(gid)) {
+        contours.push(contour.map((pt) => ({ x: a * pt.x + c * pt.y + dx, y: b * pt.x + d * pt.y + dy, on: pt.on })));
+      }
+    } while (flags & 0x0020);
+    return contours;
+  }
+
+  const endPts = [];
+  for (let i = 0; i < numberOfContours; i++, p += 2) endPts.push(glyf.getUint16(p));
+  const pointCount = numberOfContours ? endPts[endPts.length - 1] + 1 : 0;
+  p += 2 + glyf.getUint16(p);
+
+  const flags = [];
+  while (flags.length < pointCount) {
+    const flag = glyf.getUint8(p++);
+    flags.push(flag);
+    if (flag & 0x08) {
+      for (let n = glyf.getUint8(p++); n > 0; n--) flags.push(flag);
+    }
+  }
+  const readCoords = (shortBit, sameBit) => {
+    const values = [];
+    let v = 0;
+    for (const flag of flags) {
+      if (flag & shortBit) {
+        const d = glyf.getUint8(p++);
+        v += flag & sameBit ? d : -d;
+      } else if (!(flag & sameBit)) {
+        v += glyf.getInt16(p);
+        p += 2;
+      }
+      values.push(v);
+    }
+    return values;
+  };
+  const xs = readCoords(0x02, 0x10);
+  const ys = readCoords(0x04, 0x20);
+
+  const contours = [];
+  let first = 0;
+  for (const last of endPts) {
+    const contour = [];
+    for (let i = first; i <= last; i++) contour.push({ x: xs[i], y: ys[i], on: (flags[i] & 0x01) !== 0 });
+    contours.push(contour);
+    first = last + 1;
+  }
+  return contours;
+}
+
+// 2차 베지어 윤곽을 꺾은선 ring 으로 편다. 연속한 곡선 제어점 사이에는 가운데 점이 숨어 있다.
+function flattenContour(contour, toScreen, steps = 6) {
+  if (contour.length < 2) return null;
+  const pts = [];
+  for (let i = 0; i < contour.length; i++) {
+    const cur = contour[i];
+    const next = contour[(i + 1) % contour.length];
+    pts.push(cur);
+    if (!cur.on && !next.on) pts.push({ x: (cur.x + next.x) / 2, y: (cur.y + next.y) / 2, on: true });
+  }
+  const startAt = pts.findIndex((pt) => pt.on);
+  if (startAt < 0) return null;
+  const ordered = pts.slice(startAt).concat(pts.slice(0, startAt));
+
+  const ring = [toScreen(ordered[0])];
+  for (let i = 1; i <= ordered.length; i++) {
+    const pt = ordered[i % ordered.length];
+    if (pt.on) {
+      ring.push(toScreen(pt));
+      continue;
+    }
+    const from = ordered[i - 1];
+    const to = ordered[(i + 1) % ordered.length];
+    for (let s = 1; s <= steps; s++) {
+      const t = s / steps;
+      const u = 1 - t;
+      ring.push(toScreen({ x: u * u * from.x + 2 * u * t * pt.x + t * t * to.x, y: u * u * from.y + 2 * u * t * pt.y + t * t * to.y }));
+    }
+    i++;
+  }
+  return ring;
+}
+
+// 겹친 윤곽이 있는 글리프를 위해 non-zero 규칙으로 채우고, 세로 표본 + 가로 구간 길이로 가장자리를 부드럽게 한다.
+function fillGlyphRings(r, rings, rgb) {
+  if (!rings.length) return;
+  const [minX, minY, maxX, maxY] = ringBBox(rings.flat());
+  const x0 = Math.max(0, Math.floor(minX));
+  const x1 = Math.min(r.width, Math.ceil(maxX));
+  const y0 = Math.max(0, Math.floor(minY));
+  const y1 = Math.min(r.height, Math.ceil(maxY));
+  if (x1 <= x0 || y1 <= y0) return;
+
+  const cover = new Float32Array(x1 - x0);
+  const weight = 1 / OG_GLYPH_SUBSAMPLES;
+  const addSpan = (a, b) => {
+    a = Math.max(0, a - x0);
+    b = Math.min(cover.length, b - x0);
+    if (b <= a) return;
+    const ia = Math.floor(a);
+    const ib = Math.floor(b);
+    if (ia === ib) {
+      cover[ia] += (b - a) * weight;
+      return;
+    }
+    cover[ia] += (ia + 1 - a) * weight;
+    for (let i = ia + 1; i < ib; i++) cover[i] += weight;
+    if (ib < cover.length) cover[ib] += (b - ib) * weight;
+  };
+
+  for (let y = y0; y < y1; y++) {
+    cover.fill(0);
+    for (let s = 0; s < OG_GLYPH_SUBSAMPLES; s++) {
+      const cy = y + (s + 0.5) * weight;
+      const crossings = [];
+      for (const ring of rings) {
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+          const [xi, yi] = ring[i];
+          const [xj, yj] = ring[j];
+          if ((yi > cy) !== (yj > cy)) crossings.push([xi + ((cy - yi) * (xj - xi)) / (yj - yi), yi > yj ? 1 : -1]);
+        }
+      }
+      crossings.sort((a, b) => a[0] - b[0]);
+      let winding = 0;
+      for (let k = 0; k + 1 < crossings.length; k++) {
+        winding += crossings[k][1];
+        if (winding !== 0) addSpan(crossings[k][0], crossings[k + 1][0]);
+      }
+    }
+    for (let x = 0; x < cover.length; x++) {
+      if (cover[x] > 0) blendPixel(r, x0 + x, y, rgb, Math.min(1, cover[x]));
     }
   }
+}
 
-  let out = Array.from(mergedMap.values());
+async function loadOgTitleFont(url, env) {
+  if (ogFontMemo.has(OG_TITLE_FONT_PATH)) return ogFontMemo.get(OG_TITLE_FONT_PATH);
+  if (!env.ASSETS || typeof env.ASSETS.fetch !== "function") {
+    throw new Error("ASSETS binding missing (deploy with Wrangler assets).");
+  }
+  const res = await env.ASSETS.fetch(new Request(new URL(OG_TITLE_FONT_PATH, url.origin).toString()));
+  if (!res.ok) throw new Error(`OG title font ${OG_TITLE_FONT_PATH} not found (${res.status})`);
+  const font = createTrueTypeFont(await parseWoffTables(await res.arrayBuffer()));
+  ogFontMemo.set(OG_TITLE_FONT_PATH, font);
+  return font;
+}
 
-  if (out.length === 0) {
-    try {
-      const p = new URLSearchParams();
-      p.set("select", "*");
-      p.set("order", "updated_at.desc,created_at.desc,id.desc");
-      p.set("limit", String(Math.min(Math.max(limit * 8, 200), 1000)));
-      if (camp) p.set("camp", `eq.${camp}`);
-      if (mbCamp) p.set("mb_camp", `eq.${mbCamp}`);
+function fontTextWidth(font, text, size) {
+  let units = 0;
+  for (const ch of text) units += font.advance(font.glyphIndex(ch.codePointAt(0)));
+  return (units * size) / font.unitsPerEm;
+}
 
-      const broad = await supabaseFetch(env, `/rest/v1/${CAMPS_TABLE}?${p.toString()}`, { method: "GET" });
-      out = (Array.isArray(broad) ? broad : [])
-        .map(normalizeCampRow)
-        .filter(Boolean)
-        .filter((row) => {
-          const hay = `${safeTrim(row.mb_camp)}\n${safeTrim(row.camp)}`.toLowerCase();
-          return hay.includes(qLower);
-        });
-    } catch (e) {
-      console.warn("camps fallback 검색 실패:", e?.message || String(e));
-    }
+// (x, baseline) 에서 시작해 글자마다 기억해 둔 ring 을 옮겨 그린다. 글꼴에 없는 글자는 .notdef 상자로 보인다.
+function drawFontText(r, font, text, x, baseline, size, rgb) {
+  const k = size / font.unitsPerEm;
+  let pen = x;
+  for (const ch of text) {
+    const gid = font.glyphIndex(ch.codePointAt(0));
+    fillGlyphRings(r, font.rings(gid, size).map((ring) => ring.map(([gx, gy]) => [pen + gx, baseline + gy])), rgb);
+    pen += font.advance(gid) * k;
   }
+}
 
-  out = out
-    .sort((a, b) => scoreCampSearchMatch(b, qLower) - scoreCampSearchMatch(a, qLower))
-    .slice(0, limit);
+function fitFontText(font, text, size, maxWidth) {
+  const chars = Array.from(text);
+  for (let n = chars.length; n > 0; n--) {
+    const out = n === chars.length ? text : `${chars.slice(0, n).join("").replace(/[\s,]+$/, "")}...`;
+    if (fontTextWidth(font, out, size) <= maxWidth) return out;
+  }
+  return "";
+}
 
-  return json({ rows: out }, 200, { "Cache-Control": "no-store" });
+function mercatorY(lat) {
+  const rad = (Math.max(-85, Math.min(85, lat)) * Math.PI) / 180;
+  return (Math.log(Math.tan(Math.PI / 4 + rad / 2)) * 180) / Math.PI;
 }
 
-async function handleCampsPost(request, env) {
-  const body = await readJson(request);
+const PNG_CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
 
-  const camp = safeTrim(body.camp);
-  const mbCamp = safeTrim(body.mb_camp ?? body.delivery_location_name ?? body.name);
-  const address = safeTrim(body.address);
-  const code = safeTrim(body.code);
-  const latitude = parseMaybeNumber(body.latitude);
-  const longitude = parseMaybeNumber(body.longitude);
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) c = PNG_CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
 
-  if (!camp) return json({ error: "camp is required" }, 400);
-  if (!mbCamp) return json({ error: "mb_camp is required" }, 400);
-  if (!address) return json({ error: "address is required" }, 400);
+function pngChunk(type, data) {
+  const out = new Uint8Array(12 + data.length);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+  out.set(data, 8);
+  view.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+  return out;
+}
 
-  const patch = {
-    camp,
-    mb_camp: mbCamp,
-    address,
-  };
-  if (code || Object.prototype.hasOwnProperty.call(body, "code")) {
-    patch.code = code || null;
-  }
-  if (latitude != null || Object.prototype.hasOwnProperty.call(body, "latitude")) {
-    patch.latitude = latitude;
+// CompressionStream("deflate") 는 zlib 형식이라 IDAT 에 그대로 넣을 수 있다.
+async function encodePng(r) {
+  const stride = r.width * 3;
+  const raw = new Uint8Array((stride + 1) * r.height);
+  for (let y = 0; y < r.height; y++) raw.set(r.px.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+  const deflated = new Uint8Array(
+    await new Response(new Blob([raw]).stream().pipeThrough(new CompressionStream("deflate"))).arrayBuffer()
+  );
+
+  const ihdr = new Uint8Array(13);
+  const view = new DataView(ihdr.buffer);
+  view.setUint32(0, r.width);
+  view.setUint32(4, r.height);
+  ihdr.set([8, 2, 0, 0, 0], 8); // 8bit, RGB
+
+  const parts = [
+    new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", ihdr),
+    pngChunk("IDAT", deflated),
+    pngChunk("IEND", new Uint8Array(0)),
+  ];
+  const png = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  for (const p of parts) {
+    png.set(p, offset);
+    offset += p.length;
   }
-  if (longitude != null || Object.prototype.hasOwnProperty.call(body, "longitude")) {
-    patch.longitude = longitude;
+  return png;
+}
+
+// codes 가 있으면 그 라우트만 색으로, 같은 캠프의 나머지는 옅은 회색 배경으로 그린다.
+function renderRouteOgImage(routes, codes, camp, font) {
+  const r = createRaster(OG_WIDTH, OG_HEIGHT, [238, 242, 247]);
+  const isSelected = (row) => codes.length === 0 || codes.some((c) => safeTrim(row.full_code).startsWith(c));
+  const shapes = routes
+    .map((row) => ({ row, rings: (normalizeRouteRings(row.polygon_wgs84) || []).map(openRing).filter(Boolean), selected: isSelected(row) }))
+    .filter((s) => s.rings.length > 0);
+  const selected = shapes.filter((s) => s.selected);
+
+  const fitTo = selected.length ? selected : shapes;
+  if (fitTo.length) {
+    const pts = fitTo.flatMap((s) => s.rings.flat()).map(([lng, lat]) => [lng, mercatorY(lat)]);
+    const [minX, minY, maxX, maxY] = ringBBox(pts);
+    const areaW = OG_WIDTH - OG_PADDING * 2;
+    const areaH = OG_HEIGHT - OG_TITLE_HEIGHT - OG_PADDING * 2;
+    const k = Math.min(areaW / Math.max(maxX - minX, 1e-9), areaH / Math.max(maxY - minY, 1e-9));
+    const offX = OG_PADDING + (areaW - (maxX - minX) * k) / 2;
+    const offY = OG_TITLE_HEIGHT + OG_PADDING + (areaH - (maxY - minY) * k) / 2;
+    const toScreen = ([lng, lat]) => [offX + (lng - minX) * k, offY + (maxY - mercatorY(lat)) * k];
+
+    for (const s of shapes.filter((s) => !s.selected)) {
+      for (const ring of s.rings.map((ring) => ring.map(toScreen))) {
+        fillRing(r, ring, [148, 163, 184], 0.25);
+        strokeRing(r, ring, [148, 163, 184], 1);
+      }
+    }
+    const labelScale = selected.length <= 30 ? 3 : 2;
+    for (const s of selected) {
+      const rgb = hexToRgb(s.row.color || generateColor(s.row.full_code));
+      const rings = s.rings.map((ring) => ring.map(toScreen));
+      for (const ring of rings) fillRing(r, ring, rgb, 0.4);
+      for (const ring of rings) strokeRing(r, ring, rgb, 3);
+    }
+    if (selected.length <= OG_LABEL_MAX_ROUTES) {
+      for (const s of selected) {
+        const label = ogRenderableText(s.row.full_code);
+        const largest = s.rings.map((ring) => ring.map(toScreen)).sort((a, b) => Math.abs(signedArea(b)) - Math.abs(signedArea(a)))[0];
+        const cx = largest.reduce((n, p) => n + p[0], 0) / largest.length;
+        const cy = largest.reduce((n, p) => n + p[1], 0) / largest.length;
+        if (label) drawLabel(r, label, cx, cy, labelScale);
+      }
+    }
   }
 
-  const q = new URLSearchParams();
-  q.set("select", "id");
-  q.set("camp", `eq.${camp}`);
-  q.set("mb_camp", `eq.${mbCamp}`);
-  q.set("limit", "1");
-  const existing = await supabaseFetch(env, `/rest/v1/${CAMPS_TABLE}?${q.toString()}`, { method: "GET" });
+  fillRect(r, 0, 0, OG_WIDTH, OG_TITLE_HEIGHT, [11, 18, 32]);
+  fillRect(r, 0, OG_TITLE_HEIGHT - 6, OG_WIDTH, OG_TITLE_HEIGHT, [0, 194, 255]);
+  const countText = ogRenderableText(`${selected.length} ROUTES`);
+  drawText(r, countText, OG_WIDTH - OG_PADDING - ogTextWidth(countText, 3), 34, 3, [147, 164, 199]);
+  drawText(r, "MAROOWELL", OG_WIDTH - OG_PADDING - ogTextWidth("MAROOWELL", 2), 70, 2, [0, 194, 255]);
+
+  // 캠프 이름은 흰색, 코드(없으면 "전체")는 강조색으로 이어 쓰고, 오른쪽 라우트 수와 겹치지 않게 코드 쪽을 줄인다.
+  const titleWidth = OG_WIDTH - OG_PADDING * 2 - Math.max(ogTextWidth(countText, 3), ogTextWidth("MAROOWELL", 2)) - 32;
+  const baseline = Math.round((OG_TITLE_HEIGHT - 6) / 2 + OG_TITLE_FONT_SIZE * 0.35);
+  const campText = fitFontText(font, camp, OG_TITLE_FONT_SIZE, titleWidth);
+  drawFontText(r, font, campText, OG_PADDING, baseline, OG_TITLE_FONT_SIZE, [255, 255, 255]);
+  const codeX = OG_PADDING + fontTextWidth(font, `${campText}  `, OG_TITLE_FONT_SIZE);
+  const codeText = fitFontText(font, codes.length ? codes.join(", ") : "전체", OG_TITLE_FONT_SIZE, titleWidth - (codeX - OG_PADDING));
+  if (campText === camp && codeText) drawFontText(r, font, codeText, codeX, baseline, OG_TITLE_FONT_SIZE, [0, 194, 255]);
+  return r;
+}
 
-  let row = null;
-  if (Array.isArray(existing) && existing.length > 0 && typeof existing[0]?.id === "number") {
-    const params = new URLSearchParams();
-    params.set("id", `eq.${existing[0].id}`);
-    params.set("select", "*");
+function ogImageUrl(url, camp, code, v) {
+  const u = new URL("/og/route.png", url.origin);
+  u.searchParams.set("camp", camp);
+  if (code) u.searchParams.set("code", code);
+  u.searchParams.set("v", v);
+  return u.toString();
+}
 
-    const updated = await supabaseFetch(env, `/rest/v1/${CAMPS_TABLE}?${params.toString()}`, {
-      method: "PATCH",
-      headers: { Prefer: "return=representation" },
-      body: JSON.stringify(patch),
-    });
-    row = Array.isArray(updated) ? updated[0] : updated;
-  } else {
-    const params = new URLSearchParams();
-    params.set("select", "*");
+// 그린 PNG 는 캠프·코드·라우트 폴리곤으로 만든 키로 Cache API(데이터센터별)와 OG_IMAGE_KV(선택)에 둔다.
+// 같은 공유를 다른 지역에서 열거나 엣지 캐시가 비워져도 폴리곤이 그대로면 글꼴을 읽거나 다시 그리지 않는다.
+// 폴리곤이 바뀌면 키가 달라져 새로 그린다.
+const OG_PNG_TTL_SECONDS = 30 * 24 * 60 * 60;
+const OG_RENDER_SCHEMA = 1; // 그림 모양(배치, 색, 글꼴)이 바뀌면 올린다.
 
-    const inserted = await supabaseFetch(env, `/rest/v1/${CAMPS_TABLE}?${params.toString()}`, {
-      method: "POST",
-      headers: { Prefer: "return=representation" },
-      body: JSON.stringify(patch),
-    });
-    row = Array.isArray(inserted) ? inserted[0] : inserted;
+async function ogImageCacheKey(camp, codes, routes) {
+  const source = JSON.stringify([OG_RENDER_SCHEMA, camp, codes, routes.map((row) => [row.id, row.full_code, row.polygon_wgs84])]);
+  return `og-route/${(await bodyEtag(source)).replace(/"/g, "")}`;
+}
+
+async function handleRouteOgImageGet(url, env, executionCtx = null) {
+  const camp = safeTrim(url.searchParams.get("camp"));
+  if (!camp) return json({ error: "camp is required" }, 400);
+  const codes = normalizeShareCodes({ code: url.searchParams.get("code") });
+
+  const routes = await fetchAllRouteRows(env, camp, "id,camp,full_code,polygon_wgs84");
+  const key = await ogImageCacheKey(camp, codes, routes);
+  const cache = edgeCache();
+  const cacheKey = new Request(`${EDGE_CACHE_ORIGIN}/${key}`);
+  const kv = env.OG_IMAGE_KV && typeof env.OG_IMAGE_KV.get === "function" ? env.OG_IMAGE_KV : null;
+  const pngResponse = (png, source) => new Response(png, { status: 200, headers: { "Content-Type": "image/png", "X-OG-Render": source } });
+
+  const hit = cache ? await cache.match(cacheKey) : null;
+  if (hit) return pngResponse(await hit.arrayBuffer(), "cache");
+  const stored = kv ? await kv.get(key, "arrayBuffer") : null;
+
+  let png = stored;
+  if (!png) {
+    const font = await loadOgTitleFont(url, env);
+    routes.forEach(applyRouteDerivedFields);
+    png = await encodePng(renderRouteOgImage(routes, codes, camp, font));
+    if (kv) await afterResponse(executionCtx, kv.put(key, png, { expirationTtl: OG_PNG_TTL_SECONDS }));
+  }
+  if (cache) {
+    await afterResponse(executionCtx, cache.put(cacheKey, new Response(png, {
+      headers: { "Content-Type": "image/png", "Cache-Control": `public, max-age=${OG_PNG_TTL_SECONDS}` },
+    })));
   }
+  return pngResponse(png, stored ? "kv" : "rendered");
+}
 
-  return json({ row: normalizeCampRow(row) }, 200, { "Cache-Control": "no-store" });
+// ---------- /osm ----------
+// Overpass 를 요청마다 부르지 않도록 bbox 를 고정 타일(z15, 약 1km)로 잘라 타일 단위로 캐시하고, 응답은 타일을 합쳐 만든다.
+// 타일은 Cache API(데이터센터별)에 며칠 두고, OSM_TILE_KV 바인딩이 있으면 KV 에도 넣어 다른 지역에서 재사용한다.
+const OSM_OVERPASS_URL = "https://overpass-api.de/api/interpreter";
+const OSM_TILE_ZOOM = 15;
+const OSM_MAX_TILES = 16;
+const OSM_TILE_TTL_SECONDS = 7 * 24 * 60 * 60;
+const OSM_TILE_SCHEMA = 2; // 타일에 저장하는 모양이 바뀌면 올린다.
+const OSM_FETCH_CONCURRENCY = 2; // Overpass 는 IP 당 동시 슬롯이 적다.
+const OSM_SIMPLIFY_PIXELS = 1;
+const OSM_LAYERS = ["roads", "buildings", "complexes"];
+
+function lngToTileX(lng, z) {
+  return Math.floor(((lng + 180) / 360) * 2 ** z);
 }
 
-// ---------- /share ----------
-const SHARE_TEMPLATE_B64 = "PCFkb2N0eXBlIGh0bWw+CjxodG1sIGxhbmc9ImtvIj4KPGhlYWQ+CiAgPG1ldGEgY2hhcnNldD0idXRmLTgiIC8+CiAgPG1ldGEgbmFtZT0idmlld3BvcnQiIGNvbnRlbnQ9IndpZHRoPWRldmljZS13aWR0aCxpbml0aWFsLXNjYWxlPTEsbWF4aW11bS1zY2FsZT0xLHVzZXItc2NhbGFibGU9bm8iIC8+CiAgPHRpdGxlPuuwsOyGoSDsp4Drj4Qg6rO17JygPC90aXRsZT4KICA8bWV0YSBuYW1lPSJkZXNjcmlwdGlvbiIgY29udGVudD0i67Cw7IahIOq1rOyXrSDrsI8g6rK966Gc66W8IO2ZleyduO2VmOyEuOyalCIgLz4KICA8bWV0YSBuYW1lPSJyb2JvdHMiIGNvbnRlbnQ9ImluZGV4LGZvbGxvdyxtYXgtaW1hZ2UtcHJldmlldzpsYXJnZSIgLz4KCiAgPCEtLSBPcGVuIEdyYXBoIC8g7Lm07Lm07JikIOunge2BrCDrr7jrpqzrs7TquLAgLS0+CiAgPG1ldGEgcHJvcGVydHk9Im9nOnR5cGUiIGNvbnRlbnQ9IndlYnNpdGUiIC8+CiAgPG1ldGEgcHJvcGVydHk9Im9nOnNpdGVfbmFtZSIgY29udGVudD0iTWFyb293ZWxsIiAvPgogIDxtZXRhIHByb3BlcnR5PSJvZzpsb2NhbGUiIGNvbnRlbnQ9ImtvX0tSIiAvPgogIDxtZXRhIHByb3BlcnR5PSJvZzp0aXRsZSIgY29udGVudD0i67Cw7IahIOyngOuPhCDqs7XsnKAiIC8+CiAgPG1ldGEgcHJvcGVydHk9Im9nOmRlc2NyaXB0aW9uIiBjb250ZW50PSLrsLDshqEg6rWs7JetIOuwjyDqsr3roZzrpbwg7ZmV7J247ZWY7IS47JqUIiAvPgogIDxtZXRhIHByb3BlcnR5PSJvZzp1cmwiIGNvbnRlbnQ9Imh0dHBzOi8vbWFyb293ZWxsLmNvbS9zaGFyZS5odG1sIiAvPgogIDxtZXRhIHByb3BlcnR5PSJvZzppbWFnZSIgY29udGVudD0iaHR0cHM6Ly9tYXJvb3dlbGwuY29tL2Fzc2V0cy9vZy9tYXJvb3dlbGwtMTIwMHg2MzAucG5nIiAvPgogIDxtZXRhIHByb3BlcnR5PSJvZzppbWFnZTp1cmwiIGNvbnRlbnQ9Imh0dHBzOi8vbWFyb293ZWxsLmNvbS9hc3NldHMvb2cvbWFyb293ZWxsLTEyMDB4NjMwLnBuZyIgLz4KICA8bWV0YSBwcm9wZXJ0eT0ib2c6aW1hZ2U6c2VjdXJlX3VybCIgY29udGVudD0iaHR0cHM6Ly9tYXJvb3dlbGwuY29tL2Fzc2V0cy9vZy9tYXJvb3dlbGwtMTIwMHg2MzAucG5nIiAvPgogIDxtZXRhIHByb3BlcnR5PSJvZzppbWFnZTp0eXBlIiBjb250ZW50PSJpbWFnZS9wbmciIC8+CiAgPG1ldGEgcHJvcGVydHk9Im9nOmltYWdlOndpZHRoIiBjb250ZW50PSIxMjAwIiAvPgogIDxtZXRhIHByb3BlcnR5PSJvZzppbWFnZTpoZWlnaHQiIGNvbnRlbnQ9IjYzMCIgLz4KICA8bWV0YSBwcm9wZXJ0eT0ib2c6aW1hZ2U6YWx0IiBjb250ZW50PSJNYXJvb3dlbGwg67Cw7IahIOyngOuPhCDqs7XsnKAiIC8+CgogIDxtZXRhIG5hbWU9InR3aXR0ZXI6Y2FyZCIgY29udGVudD0ic3VtbWFyeV9sYXJnZV9pbWFnZSIgLz4KICA8bWV0YSBuYW1lPSJ0d2l0dGVyOnRpdGxlIiBjb250ZW50PSLrsLDshqEg7KeA64+EIOqzteycoCIgLz4KICA8bWV0YSBuYW1lPSJ0d2l0dGVyOmRlc2NyaXB0aW9uIiBjb250ZW50PSLrsLDshqEg6rWs7JetIOuwjyDqsr3roZzrpbwg7ZmV7J247ZWY7IS47JqUIiAvPgogIDxtZXRhIG5hbWU9InR3aXR0ZXI6dXJsIiBjb250ZW50PSJodHRwczovL21hcm9vd2VsbC5jb20vc2hhcmUuaHRtbCIgLz4KICA8bWV0YSBuYW1lPSJ0d2l0dGVyOmltYWdlIiBjb250ZW50PSJodHRwczovL21hcm9vd2VsbC5jb20vYXNzZXRzL29nL21hcm9vd2VsbC0xMjAweDYzMC5wbmciIC8+CiAgPG1ldGEgbmFtZT0idHdpdHRlcjppbWFnZTphbHQiIGNvbnRlbnQ9Ik1hcm9vd2VsbCDrsLDshqEg7KeA64+EIOqzteycoCIgLz4KCiAgPGxpbmsgcmVsPSJjYW5vbmljYWwiIGhyZWY9Imh0dHBzOi8vbWFyb293ZWxsLmNvbS9zaGFyZS5odG1sIiAvPgoKICA8bGluayByZWw9Imljb24iIGhyZWY9Ii9mYXZpY29uLmljbz92PTIiIHNpemVzPSJhbnkiIC8+CiAgPGxpbmsgcmVsPSJpY29uIiB0eXBlPSJpbWFnZS9zdmcreG1sIiBocmVmPSIvZmF2aWNvbi5zdmc/dj0yIiAvPgogIDxsaW5rIHJlbD0iYXBwbGUtdG91Y2gtaWNvbiIgaHJlZj0iL2FwcGxlLXRvdWNoLWljb24ucG5nP3Y9MiIgLz4KCiAgPHN0eWxlPgogICAgOnJvb3R7CiAgICAgIC0tYmc6IzBiMTIyMDsKICAgICAgLS1wYW5lbDojMGYxYTJkOwogICAgICAtLXR4dDojZTZlZWZjOwogICAgICAtLW11dGVkOiM5M2E0Yzc7CiAgICAgIC0tbGluZTpyZ2JhKDI1NSwyNTUsMjU1LC4wOCk7CiAgICAgIC0tYnRuOiMxNjI3NDQ7CiAgICAgIC0tYnRuMjojMWEyZjU1OwogICAgfQogICAgKntib3gtc2l6aW5nOmJvcmRlci1ib3g7IG1hcmdpbjowOyBwYWRkaW5nOjA7fQogICAgaHRtbCxib2R5e2hlaWdodDoxMDAlOyBmb250LWZhbWlseTpzeXN0ZW0tdWksIC1hcHBsZS1zeXN0ZW0sICJOb3RvIFNhbnMgS1IiLCBzYW5zLXNlcmlmOyBiYWNrZ3JvdW5kOnZhcigtLWJnKTsgY29sb3I6dmFyKC0tdHh0KTt9CgogICAgLmNvbnRhaW5lcntkaXNwbGF5OmZsZXg7IGZsZXgtZGlyZWN0aW9uOmNvbHVtbjsgaGVpZ2h0OjEwMHZoO30KCiAgICAuaGVhZGVyewogICAgICBiYWNrZ3JvdW5kOmxpbmVhci1ncmFkaWVudCgxMzVkZWcsICMxYTJmNTUgMCUsICMwZjFhMmQgMTAwJSk7CiAgICAgIHBhZGRpbmc6MjBweDsKICAgICAgYm9yZGVyLWJvdHRvbToycHggc29saWQgdmFyKC0tbGluZSk7CiAgICAgIGJveC1zaGFkb3c6MCA0cHggMTJweCByZ2JhKDAsMCwwLC4zKTsKICAgICAgdGV4dC1hbGlnbjpjZW50ZXI7CiAgICB9CiAgICAuaGVhZGVyLWNvbnRlbnR7CiAgICAgIG1heC13aWR0aDo2MDBweDsKICAgICAgbWFyZ2luOjAgYXV0bzsKICAgIH0KICAgIC5jYW1wLWluZm97CiAgICAgIG1hcmdpbi1ib3R0b206MTZweDsKICAgIH0KICAgIC5jYW1wLW5hbWV7CiAgICAgIGZvbnQtc2l6ZToyNHB4OwogICAgICBmb250LXdlaWdodDo4MDA7CiAgICAgIG1hcmdpbi1ib3R0b206OHB4OwogICAgICBsZXR0ZXItc3BhY2luZzowLjNweDsKICAgICAgY29sb3I6IzAwQzJGRjsKICAgIH0KICAgIC5jYW1wLWFkZHJlc3N7CiAgICAgIGZvbnQtc2l6ZToxNHB4OwogICAgICBjb2xvcjp2YXIoLS1tdXRlZCk7CiAgICAgIGxpbmUtaGVpZ2h0OjEuNTsKICAgICAgbWFyZ2luLWJvdHRvbTo0cHg7CiAgICAgIGRpc3BsYXk6ZmxleDsKICAgICAgYWxpZ24taXRlbXM6Y2VudGVyOwogICAgICBqdXN0aWZ5LWNvbnRlbnQ6Y2VudGVyOwogICAgICBnYXA6OHB4OwogICAgfQogICAgLmNvcHktYnRuewogICAgICBiYWNrZ3JvdW5kOnJnYmEoMCwxOTQsMjU1LC4xNSk7CiAgICAgIGJvcmRlcjoxcHggc29saWQgcmdiYSgwLDE5NCwyNTUsLjMpOwogICAgICBjb2xvcjojMDBDMkZGOwogICAgICBwYWRkaW5nOjRweCA4cHg7CiAgICAgIGJvcmRlci1yYWRpdXM6NnB4OwogICAgICBjdXJzb3I6cG9pbnRlcjsKICAgICAgZm9udC1zaXplOjEycHg7CiAgICAgIHRyYW5zaXRpb246YWxsIDAuMnM7CiAgICAgIHdoaXRlLXNwYWNlOm5vd3JhcDsKICAgIH0KICAgIC5jb3B5LWJ0bjpob3ZlcnsKICAgICAgYmFja2dyb3VuZDpyZ2JhKDAsMTk0LDI1NSwuMjUpOwogICAgICBib3JkZXItY29sb3I6IzAwQzJGRjsKICAgIH0KCiAgICAubmF2aS1idXR0b25zewogICAgICBkaXNwbGF5OmZsZXg7CiAgICAgIGdhcDo4cHg7CiAgICAgIGZsZXgtZGlyZWN0aW9uOmNvbHVtbjsKICAgIH0KICAgIC5idG57CiAgICAgIHdpZHRoOjEwMCU7CiAgICAgIHBhZGRpbmc6MTRweCAyMHB4OwogICAgICBib3JkZXItcmFkaXVzOjEycHg7CiAgICAgIGJvcmRlcjoxcHggc29saWQgdmFyKC0tbGluZSk7CiAgICAgIGJhY2tncm91bmQ6dmFyKC0tYnRuKTsKICAgICAgY29sb3I6dmFyKC0tdHh0KTsKICAgICAgY3Vyc29yOnBvaW50ZXI7CiAgICAgIGZvbnQtd2VpZ2h0OjcwMDsKICAgICAgZm9udC1zaXplOjE1cHg7CiAgICAgIHdoaXRlLXNwYWNlOm5vd3JhcDsKICAgICAgdHJhbnNpdGlvbjphbGwgMC4yczsKICAgICAgZGlzcGxheTpmbGV4OwogICAgICBhbGlnbi1pdGVtczpjZW50ZXI7CiAgICAgIGp1c3RpZnktY29udGVudDpjZW50ZXI7CiAgICAgIGdhcDo4cHg7CiAgICB9CiAgICAuYnRuOmhvdmVye2JhY2tncm91bmQ6dmFyKC0tYnRuMik7IHRyYW5zZm9ybTp0cmFuc2xhdGVZKC0xcHgpO30KICAgIC5idG4ucHJpbWFyeXsKICAgICAgYmFja2dyb3VuZDpsaW5lYXItZ3JhZGllbnQoMTM1ZGVnLCAjMDBDMkZGIDAlLCAjMDA4OENDIDEwMCUpOwogICAgICBib3JkZXItY29sb3I6IzAwQzJGRjsKICAgICAgY29sb3I6I2ZmZjsKICAgICAgYm94LXNoYWRvdzowIDRweCAxMnB4IHJnYmEoMCwxOTQsMjU1LC4yNSk7CiAgICAgIGZvbnQtc2l6ZToxNnB4OwogICAgICBwYWRkaW5nOjE2cHggMjBweDsKICAgIH0KICAgIC5idG4ucHJpbWFyeTpob3ZlcnsKICAgICAgYm94LXNoYWRvdzowIDZweCAxNnB4IHJnYmEoMCwxOTQsMjU1LC4zNSk7CiAgICB9CgogICAgLm1hcC1jb250YWluZXJ7ZmxleDoxOyBwb3NpdGlvbjpyZWxhdGl2ZTt9CiAgICAjbWFwe3Bvc2l0aW9uOmFic29sdXRlOyBpbnNldDowO30KCiAgICAubWFwLXRvb2xiYXJ7CiAgICAgIHBvc2l0aW9uOmFic29sdXRlOwogICAgICB0b3A6MTJweDsKICAgICAgcmlnaHQ6MTJweDsKICAgICAgei1pbmRleDoyMDA7CiAgICAgIGRpc3BsYXk6ZmxleDsKICAgICAgZmxleC1kaXJlY3Rpb246Y29sdW1uOwogICAgICBnYXA6OHB4OwogICAgICBwb2ludGVyLWV2ZW50czphdXRvOwogICAgfQogICAgLnRvb2wtYnRuewogICAgICBwYWRkaW5nOjEwcHggMTJweDsKICAgICAgYm9yZGVyLXJhZGl1czoxMnB4OwogICAgICBib3JkZXI6MXB4IHNvbGlkIHJnYmEoMjU1LDI1NSwyNTUsLjEyKTsKICAgICAgYmFja2dyb3VuZDpyZ2JhKDE1LDI2LDQ1LC44OCk7CiAgICAgIGJhY2tkcm9wLWZpbHRlcjpibHVyKDEwcHgpOwogICAgICBjb2xvcjp2YXIoLS10eHQpOwogICAgICBjdXJzb3I6cG9pbnRlcjsKICAgICAgZm9udC13ZWlnaHQ6ODAwOwogICAgICBmb250LXNpemU6MTNweDsKICAgICAgYm94LXNoYWRvdzowIDhweCAxOHB4IHJnYmEoMCwwLDAsLjMwKTsKICAgICAgdHJhbnNpdGlvbjphbGwgLjE1cyBlYXNlOwogICAgICB3aGl0ZS1zcGFjZTpub3dyYXA7CiAgICB9CiAgICAudG9vbC1idG46aG92ZXJ7dHJhbnNmb3JtOnRyYW5zbGF0ZVkoLTFweCk7IGJvcmRlci1jb2xvcjpyZ2JhKDAsMTk0LDI1NSwuMzUpfQogICAgLnRvb2wtYnRuLm9uewogICAgICBib3JkZXItY29sb3I6cmdiYSgwLDE5NCwyNTUsLjU1KTsKICAgICAgYm94LXNoYWRvdzowIDEwcHggMjBweCByZ2JhKDAsMTk0LDI1NSwuMTUpOwogICAgfQoKICAgIC5yb2Fkdmlldy13cmFwewogICAgICBwb3NpdGlvbjphYnNvbHV0ZTsKICAgICAgbGVmdDoxMHB4OwogICAgICByaWdodDoxMHB4OwogICAgICBib3R0b206MTBweDsKICAgICAgaGVpZ2h0OjQydmg7CiAgICAgIG1pbi1oZWlnaHQ6MjYwcHg7CiAgICAgIGJhY2tncm91bmQ6cmdiYSgxNSwyNiw0NSwuOTYpOwogICAgICBiYWNrZHJvcC1maWx0ZXI6Ymx1cigxMHB4KTsKICAgICAgYm9yZGVyOjFweCBzb2xpZCByZ2JhKDI1NSwyNTUsMjU1LC4xMCk7CiAgICAgIGJvcmRlci1yYWRpdXM6MTZweDsKICAgICAgYm94LXNoYWRvdzowIDEycHggMjhweCByZ2JhKDAsMCwwLC40NSk7CiAgICAgIHotaW5kZXg6MzAwOwogICAgICBvdmVyZmxvdzpoaWRkZW47CiAgICAgIGRpc3BsYXk6bm9uZTsKICAgIH0KICAgIC5yb2Fkdmlldy13cmFwLnZpc2libGV7ZGlzcGxheTpibG9jazt9CiAgICAucm9hZHZpZXctaGVhZGVyewogICAgICBoZWlnaHQ6NDRweDsKICAgICAgZGlzcGxheTpmbGV4OwogICAgICBhbGlnbi1pdGVtczpjZW50ZXI7CiAgICAgIGp1c3RpZnktY29udGVudDpzcGFjZS1iZXR3ZWVuOwogICAgICBwYWRkaW5nOjAgMTJweCAwIDE0cHg7CiAgICAgIGJvcmRlci1ib3R0b206MXB4IHNvbGlkIHJnYmEoMjU1LDI1NSwyNTUsLjA4KTsKICAgICAgY29sb3I6dmFyKC0tdHh0KTsKICAgICAgZm9udC13ZWlnaHQ6ODAwOwogICAgICBmb250LXNpemU6MTNweDsKICAgICAgYmFja2dyb3VuZDpyZ2JhKDAsMCwwLC4xOCk7CiAgICB9CiAgICAucm9hZHZpZXctYWN0aW9uc3sKICAgICAgZGlzcGxheTpmbGV4OwogICAgICBnYXA6OHB4OwogICAgICBhbGlnbi1pdGVtczpjZW50ZXI7CiAgICB9CiAgICAucnYtbWluaS1idG57CiAgICAgIHBhZGRpbmc6OHB4IDEwcHg7CiAgICAgIGJvcmRlci1yYWRpdXM6MTBweDsKICAgICAgYm9yZGVyOjFweCBzb2xpZCByZ2JhKDI1NSwyNTUsMjU1LC4xMik7CiAgICAgIGJhY2tncm91bmQ6cmdiYSgwLDAsMCwuMTgpOwogICAgICBjb2xvcjp2YXIoLS10eHQpOwogICAgICBjdXJzb3I6cG9pbnRlcjsKICAgICAgZm9udC13ZWlnaHQ6ODAwOwogICAgICBmb250LXNpemU6MTJweDsKICAgIH0KICAgIC5ydi1taW5pLWJ0bjpob3Zlcntib3JkZXItY29sb3I6cmdiYSgwLDE5NCwyNTUsLjM1KX0KICAgICNyb2Fkdmlld3sKICAgICAgd2lkdGg6MTAwJTsKICAgICAgaGVpZ2h0OmNhbGMoMTAwJSAtIDQ0cHgpOwogICAgICBiYWNrZ3JvdW5kOiMwMDA7CiAgICB9CiAgICAucnYtaGludHsKICAgICAgcG9zaXRpb246YWJzb2x1dGU7CiAgICAgIGxlZnQ6MTZweDsKICAgICAgdG9wOjU4cHg7CiAgICAgIHotaW5kZXg6NDAwOwogICAgICBwYWRkaW5nOjhweCAxMHB4OwogICAgICBib3JkZXItcmFkaXVzOjEycHg7CiAgICAgIGJhY2tncm91bmQ6cmdiYSgwLDAsMCwuNTUpOwogICAgICBjb2xvcjojZmZmOwogICAgICBib3JkZXI6MXB4IHNvbGlkIHJnYmEoMjU1LDI1NSwyNTUsLjEyKTsKICAgICAgZm9udC1zaXplOjEycHg7CiAgICAgIGZvbnQtd2VpZ2h0OjcwMDsKICAgICAgZGlzcGxheTpub25lOwogICAgfQogICAgLnJ2LWhpbnQudmlzaWJsZXtkaXNwbGF5OmJsb2NrO30KCiAgICAuYWRkcmVzcy1wYW5lbHsKICAgICAgcG9zaXRpb246YWJzb2x1dGU7CiAgICAgIGJvdHRvbToyMHB4OwogICAgICBsZWZ0OjIwcHg7CiAgICAgIG1heC13aWR0aDozNjBweDsKICAgICAgbWF4LWhlaWdodDo2MHZoOwogICAgICBiYWNrZ3JvdW5kOnJnYmEoMTUsMjYsNDUsLjk1KTsKICAgICAgYmFja2Ryb3AtZmlsdGVyOmJsdXIoMTBweCk7CiAgICAgIGJvcmRlcjoxcHggc29saWQgdmFyKC0tbGluZSk7CiAgICAgIGJvcmRlci1yYWRpdXM6MTZweDsKICAgICAgYm94LXNoYWRvdzowIDhweCAyNHB4IHJnYmEoMCwwLDAsLjQpOwogICAgICBvdmVyZmxvdzpoaWRkZW47CiAgICAgIGRpc3BsYXk6bm9uZTsKICAgICAgei1pbmRleDoxNTA7CiAgICB9CiAgICAuYWRkcmVzcy1wYW5lbC52aXNpYmxle2Rpc3BsYXk6YmxvY2s7fQogICAgLnBhbmVsLWhlYWRlcnsKICAgICAgcGFkZGluZzoxNnB4IDE4cHg7CiAgICAgIGJvcmRlci1ib3R0b206MXB4IHNvbGlkIHZhcigtLWxpbmUpOwogICAgICBmb250LXdlaWdodDo3MDA7CiAgICAgIGZvbnQtc2l6ZToxNXB4OwogICAgICBiYWNrZ3JvdW5kOnJnYmEoMCwwLDAsLjIpOwogICAgfQogICAgLmFkZHJlc3MtbGlzdHsKICAgICAgbWF4LWhlaWdodDpjYWxjKDYwdmggLSA2MHB4KTsKICAgICAgb3ZlcmZsb3cteTphdXRvOwogICAgICBwYWRkaW5nOjEwcHg7CiAgICB9CiAgICAuYWRkcmVzcy1pdGVtewogICAgICBwYWRkaW5nOjE0cHggMTZweDsKICAgICAgbWFyZ2luLWJvdHRvbTo4cHg7CiAgICAgIGJhY2tncm91bmQ6cmdiYSgwLDAsMCwuMTUpOwogICAgICBib3JkZXI6MXB4IHNvbGlkIHZhcigtLWxpbmUpOwogICAgICBib3JkZXItcmFkaXVzOjEycHg7CiAgICAgIGZvbnQtc2l6ZToxM3B4OwogICAgICBkaXNwbGF5OmZsZXg7CiAgICAgIGZsZXgtZGlyZWN0aW9uOmNvbHVtbjsKICAgICAgZ2FwOjEwcHg7CiAgICAgIHRyYW5zaXRpb246YWxsIDAuMnM7CiAgICB9CiAgICAuYWRkcmVzcy1pdGVtOmhvdmVye2JhY2tncm91bmQ6cmdiYSgwLDAsMCwuMjUpOyBib3JkZXItY29sb3I6IzAwQzJGRjt9CiAgICAuYWRkcmVzcy1pbmZve2ZsZXg6MTsgbWluLXdpZHRoOjA7fQogICAgLmFkZHJlc3MtdGV4dHtmb250LXdlaWdodDo2MDA7IGNvbG9yOnZhcigtLXR4dCk7IG1hcmdpbi1ib3R0b206NHB4OyB3b3JkLWJyZWFrOmJyZWFrLWFsbDt9CiAgICAuYWRkcmVzcy1tZXRhe2NvbG9yOnZhcigtLW11dGVkKTsgZm9udC1zaXplOjEycHg7fQogICAgLmFkZHJlc3MtaXRlbSAuYnRuewogICAgICBwYWRkaW5nOjEwcHggMTZweDsKICAgICAgZm9udC1zaXplOjE0cHg7CiAgICAgIHdpZHRoOjEwMCU7CiAgICAgIGJvcmRlci1yYWRpdXM6OHB4OwogICAgfQoKICAgIC5sb2FkaW5newogICAgICBwb3NpdGlvbjphYnNvbHV0ZTsKICAgICAgaW5zZXQ6MDsKICAgICAgYmFja2dyb3VuZDpyZ2JhKDExLDE4LDMyLC44NSk7CiAgICAgIGRpc3BsYXk6ZmxleDsKICAgICAgYWxpZ24taXRlbXM6Y2VudGVyOwogICAgICBqdXN0aWZ5LWNvbnRlbnQ6Y2VudGVyOwogICAgICB6LWluZGV4OjEwMDsKICAgICAgZmxleC1kaXJlY3Rpb246Y29sdW1uOwogICAgICBnYXA6MTJweDsKICAgIH0KICAgIC5zcGlubmVyewogICAgICB3aWR0aDo0MHB4OwogICAgICBoZWlnaHQ6NDBweDsKICAgICAgYm9yZGVyOjRweCBzb2xpZCByZ2JhKDI1NSwyNTUsMjU1LC4xKTsKICAgICAgYm9yZGVyLXRvcC1jb2xvcjojMDBDMkZGOwogICAgICBib3JkZXItcmFkaXVzOjUwJTsKICAgICAgYW5pbWF0aW9uOnNwaW4gMC44cyBsaW5lYXIgaW5maW5pdGU7CiAgICB9CiAgICBAa2V5ZnJhbWVzIHNwaW57dG97dHJhbnNmb3JtOnJvdGF0ZSgzNjBkZWcpO319CiAgICAubG9hZGluZy10ZXh0e2ZvbnQtc2l6ZToxNHB4OyBjb2xvcjp2YXIoLS1tdXRlZCk7fQoKICAgIC5yb3V0ZS1sYWJlbHsKICAgICAgcGFkZGluZzo1cHggMTBweDsKICAgICAgYm9yZGVyLXJhZGl1czoxMnB4OwogICAgICBiYWNrZ3JvdW5kOnJnYmEoMCwwLDAsLjEwKTsKICAgICAgY29sb3I6I2ZmZjsKICAgICAgZm9udC1zaXplOjEycHg7CiAgICAgIGJvcmRlcjoycHggc29saWQgcmdiYSgyNTUsMjU1LDI1NSwuMjIpOwogICAgICB3aGl0ZS1zcGFjZTpub3dyYXA7CiAgICAgIGJveC1zaGFkb3c6MCAzcHggMTBweCByZ2JhKDAsMCwwLC4zNSk7CiAgICAgIGZvbnQtd2VpZ2h0OjgwMDsKICAgICAgbGV0dGVyLXNwYWNpbmc6MC4ycHg7CiAgICAgIGJhY2tkcm9wLWZpbHRlcjpibHVyKDRweCk7CiAgICB9CgogICAgLnJvdXRlLW1vZGFsewogICAgICBwb3NpdGlvbjpmaXhlZDsKICAgICAgaW5zZXQ6MDsKICAgICAgYmFja2dyb3VuZDpyZ2JhKDAsMCwwLC44KTsKICAgICAgYmFja2Ryb3AtZmlsdGVyOmJsdXIoOHB4KTsKICAgICAgei1pbmRleDoxMDAwOwogICAgICBkaXNwbGF5Om5vbmU7CiAgICAgIGFsaWduLWl0ZW1zOmNlbnRlcjsKICAgICAganVzdGlmeS1jb250ZW50OmNlbnRlcjsKICAgICAgcGFkZGluZzoyMHB4OwogICAgfQogICAgLnJvdXRlLW1vZGFsLnZpc2libGV7ZGlzcGxheTpmbGV4O30KICAgIC5yb3V0ZS1tb2RhbC1jb250ZW50ewogICAgICBiYWNrZ3JvdW5kOnZhcigtLXBhbmVsKTsKICAgICAgYm9yZGVyOjFweCBzb2xpZCB2YXIoLS1saW5lKTsKICAgICAgYm9yZGVyLXJhZGl1czoxNnB4OwogICAgICBwYWRkaW5nOjI0cHg7CiAgICAgIG1heC13aWR0aDo1MDBweDsKICAgICAgd2lkdGg6MTAwJTsKICAgICAgbWF4LWhlaWdodDo4MHZoOwogICAgICBvdmVyZmxvdy15OmF1dG87CiAgICB9CiAgICAucm91dGUtbW9kYWwtdGl0bGV7CiAgICAgIGZvbnQtc2l6ZToyMHB4OwogICAgICBmb250LXdlaWdodDo4MDA7CiAgICAgIG1hcmdpbi1ib3R0b206MTZweDsKICAgICAgdGV4dC1hbGlnbjpjZW50ZXI7CiAgICB9CiAgICAucm91dGUtaXRlbXsKICAgICAgcGFkZGluZzoxNnB4OwogICAgICBtYXJnaW4tYm90dG9tOjEycHg7CiAgICAgIGJhY2tncm91bmQ6cmdiYSgwLDAsMCwuMik7CiAgICAgIGJvcmRlcjoxcHggc29saWQgdmFyKC0tbGluZSk7CiAgICAgIGJvcmRlci1yYWRpdXM6MTJweDsKICAgICAgY3Vyc29yOnBvaW50ZXI7CiAgICAgIHRyYW5zaXRpb246YWxsIDAuMnM7CiAgICB9CiAgICAucm91dGUtaXRlbTpob3ZlcnsKICAgICAgYmFja2dyb3VuZDpyZ2JhKDAsMCwwLC4zKTsKICAgICAgYm9yZGVyLWNvbG9yOiMwMEMyRkY7CiAgICAgIHRyYW5zZm9ybTp0cmFuc2xhdGVZKC0ycHgpOwogICAgfQogICAgLnJvdXRlLWl0ZW0tY29kZXsKICAgICAgZm9udC1zaXplOjE4cHg7CiAgICAgIGZvbnQtd2VpZ2h0OjcwMDsKICAgICAgY29sb3I6IzAwQzJGRjsKICAgICAgbWFyZ2luLWJvdHRvbTo4cHg7CiAgICB9CiAgICAucm91dGUtaXRlbS1pbmZvewogICAgICBmb250LXNpemU6MTNweDsKICAgICAgY29sb3I6dmFyKC0tbXV0ZWQpOwogICAgfQoKICAgIEBtZWRpYSAobWF4LXdpZHRoOiA3NjhweCl7CiAgICAgIC5hZGRyZXNzLXBhbmVsewogICAgICAgIGxlZnQ6MTBweDsKICAgICAgICByaWdodDoxMHB4OwogICAgICAgIGJvdHRvbToxMHB4OwogICAgICAgIG1heC13aWR0aDpub25lOwogICAgICB9CiAgICAgIC5yb3V0ZS1tb2RhbC1jb250ZW50ewogICAgICAgIHBhZGRpbmc6MjBweDsKICAgICAgfQogICAgICAucm9hZHZpZXctd3JhcHsKICAgICAgICBsZWZ0OjEwcHg7CiAgICAgICAgcmlnaHQ6MTBweDsKICAgICAgICBib3R0b206MTBweDsKICAgICAgICBoZWlnaHQ6NDV2aDsKICAgICAgfQogICAgICAubWFwLXRvb2xiYXJ7CiAgICAgICAgcmlnaHQ6MTBweDsKICAgICAgICB0b3A6MTBweDsKICAgICAgfQogICAgfQogIDwvc3R5bGU+CgogIDxzY3JpcHQgc3JjPSJodHRwczovL2RhcGkua2FrYW8uY29tL3YyL21hcHMvc2RrLmpzP2FwcGtleT1hZGQ0Y2U5M2IzOGMwZmY5ZDliOTA1MzcyOGUwNjdiMyZhdXRvbG9hZD1mYWxzZSZsaWJyYXJpZXM9c2VydmljZXMiPjwvc2NyaXB0Pgo8L2hlYWQ+Cgo8Ym9keT4KPGRpdiBjbGFzcz0iY29udGFpbmVyIj4KICA8ZGl2IGNsYXNzPSJoZWFkZXIiPgogICAgPGRpdiBjbGFzcz0iaGVhZGVyLWNvbnRlbnQiPgogICAgICA8ZGl2IGNsYXNzPSJjYW1wLWluZm8iPgogICAgICAgIDxkaXYgY2xhc3M9ImNhbXAtbmFtZSIgaWQ9ImNhbXBOYW1lIj7wn5ONIOuwsOyGoSDqtazsl60g7JWI64K0PC9kaXY+CiAgICAgICAgPGRpdiBjbGFzcz0iY2FtcC1hZGRyZXNzIj4KICAgICAgICAgIDxzcGFuIGlkPSJjYW1wQWRkcmVzcyI+7KO87IaMIOygleuztCDroZzrlKkg7KSRLi4uPC9zcGFuPgogICAgICAgICAgPGJ1dHRvbiBjbGFzcz0iY29weS1idG4iIGlkPSJjb3B5QWRkcmVzc0J0biIgc3R5bGU9ImRpc3BsYXk6bm9uZTsiPvCfk4sg67O17IKsPC9idXR0b24+CiAgICAgICAgPC9kaXY+CiAgICAgIDwvZGl2PgoKICAgICAgPGRpdiBjbGFzcz0ibmF2aS1idXR0b25zIj4KICAgICAgICA8YnV0dG9uIGNsYXNzPSJidG4gcHJpbWFyeSIgaWQ9Im5hdmlUb0NhbXBCdG4iPgogICAgICAgICAg8J+nrSDtmITsnqzsnITsuZgg4oaSIOy6oO2UhOq5jOyngCDquLjssL7quLAKICAgICAgICA8L2J1dHRvbj4KCiAgICAgICAgPGJ1dHRvbiBjbGFzcz0iYnRuIiBpZD0ibmF2aVRvRGVsaXZlcnlCdG4iCiAgICAgICAgICBzdHlsZT0iYmFja2dyb3VuZDpsaW5lYXItZ3JhZGllbnQoMTM1ZGVnLCAjMjJDNTVFIDAlLCAjMTZBMzRBIDEwMCUpOyBib3JkZXItY29sb3I6IzIyQzU1RTsgY29sb3I6I2ZmZjsiPgogICAgICAgICAg7Lqg7ZSEIOKGkiDrsLDshqHsp4Ag7Lm07Lm07Jik7KeA64+EIOyXsOuPmeKZqgogICAgICAgIDwvYnV0dG9uPgogICAgICA8L2Rpdj4KICAgIDwvZGl2PgogIDwvZGl2PgoKICA8ZGl2IGNsYXNzPSJyb3V0ZS1tb2RhbCIgaWQ9InJvdXRlTW9kYWwiPgogICAgPGRpdiBjbGFzcz0icm91dGUtbW9kYWwtY29udGVudCI+CiAgICAgIDxkaXYgY2xhc3M9InJvdXRlLW1vZGFsLXRpdGxlIiBpZD0icm91dGVNb2RhbFRpdGxlIj7rsLDshqHsp4Ag7ISg7YOdPC9kaXY+CiAgICAgIDxkaXYgaWQ9InJvdXRlTGlzdCI+PC9kaXY+CiAgICA8L2Rpdj4KICA8L2Rpdj4KCiAgPGRpdiBjbGFzcz0ibWFwLWNvbnRhaW5lciI+CiAgICA8ZGl2IGlkPSJtYXAiPjwvZGl2PgoKICAgIDxkaXYgY2xhc3M9Im1hcC10b29sYmFyIj4KICAgICAgPGJ1dHRvbiBjbGFzcz0idG9vbC1idG4iIGlkPSJtYXBUeXBlQnRuIj7wn5uwIOychOyEsTwvYnV0dG9uPgogICAgICA8YnV0dG9uIGNsYXNzPSJ0b29sLWJ0biIgaWQ9InJvYWR2aWV3QnRuIj7wn6e/IOuhnOuTnOu3sDwvYnV0dG9uPgogICAgPC9kaXY+CgogICAgPGRpdiBjbGFzcz0icm9hZHZpZXctd3JhcCIgaWQ9InJvYWR2aWV3V3JhcCI+CiAgICAgIDxkaXYgY2xhc3M9InJvYWR2aWV3LWhlYWRlciI+CiAgICAgICAgPGRpdj7wn6e/IOuhnOuTnOu3sCAo7KeA64+EIO2BtOumreycvOuhnCDsnITsuZgg67OA6rK9KTwvZGl2PgogICAgICAgIDxkaXYgY2xhc3M9InJvYWR2aWV3LWFjdGlvbnMiPgogICAgICAgICAgPGJ1dHRvbiBjbGFzcz0icnYtbWluaS1idG4iIGlkPSJydlRvQ2VudGVyQnRuIj7wn5ONIOyngOuPhOykkeyLrDwvYnV0dG9uPgogICAgICAgICAgPGJ1dHRvbiBjbGFzcz0icnYtbWluaS1idG4iIGlkPSJydkNsb3NlQnRuIj7ri6vquLA8L2J1dHRvbj4KICAgICAgICA8L2Rpdj4KICAgICAgPC9kaXY+CiAgICAgIDxkaXYgY2xhc3M9InJ2LWhpbnQiIGlkPSJydkhpbnQiPuuhnOuTnOu3sOqwgCDsvJzsoLgg7J6I7Iq164uI64ukLiDsp4Drj4Tsl5DshJwg67O06rOgIOyLtuydgCDsp4DsoJDsnYQg7YOt7ZWY7IS47JqULjwvZGl2PgogICAgICA8ZGl2IGlkPSJyb2FkdmlldyI+PC9kaXY+CiAgICA8L2Rpdj4KCiAgICA8ZGl2IGNsYXNzPSJsb2FkaW5nIiBpZD0ibG9hZGluZyI+CiAgICAgIDxkaXYgY2xhc3M9InNwaW5uZXIiPjwvZGl2PgogICAgICA8ZGl2IGNsYXNzPSJsb2FkaW5nLXRleHQiPuyngOuPhCDrjbDsnbTthLAg66Gc65SpIOykkS4uLjwvZGl2PgogICAgPC9kaXY+CgogICAgPGRpdiBjbGFzcz0iYWRkcmVzcy1wYW5lbCIgaWQ9ImFkZHJlc3NQYW5lbCI+CiAgICAgIDxkaXYgY2xhc3M9InBhbmVsLWhlYWRlciI+8J+TpiDrsLDshqHsp4Ag66qp66GdPC9kaXY+CiAgICAgIDxkaXYgY2xhc3M9ImFkZHJlc3MtbGlzdCIgaWQ9ImFkZHJlc3NMaXN0Ij48L2Rpdj4KICAgIDwvZGl2PgogIDwvZGl2Pgo8L2Rpdj4KCjxzY3JpcHQ+CigoKSA9PiB7CiAgY29uc3QgQVBJX0JBU0UgPSAiaHR0cHM6Ly9yb3V0ZS5tYXJvb3dlbGwuY29tIjsKICBjb25zdCBST1VURV9FTkRQT0lOVCA9IGAke0FQSV9CQVNFfS9yb3V0ZWA7CiAgY29uc3QgQUREUkVTU19FTkRQT0lOVCA9IGAke0FQSV9CQVNFfS9hZGRyZXNzZXNgOwoKICBjb25zdCBCQVNFX1NIQVJFX1VSTCA9ICJodHRwczovL21hcm9vd2VsbC5jb20vc2hhcmUuaHRtbCI7CiAgY29uc3QgT0dfSU1BR0VfVVJMID0gImh0dHBzOi8vbWFyb293ZWxsLmNvbS9hc3NldHMvb2cvbWFyb293ZWxsLTEyMDB4NjMwLnBuZyI7CgogIGNvbnN0ICQgPSAoaWQpID0+IGRvY3VtZW50LmdldEVsZW1lbnRCeUlkKGlkKTsKCiAgZnVuY3Rpb24gc2V0TWV0YShzZWxlY3RvciwgYXR0ciwgdmFsdWUpIHsKICAgIGNvbnN0IGVsID0gZG9jdW1lbnQucXVlcnlTZWxlY3RvcihzZWxlY3Rvcik7CiAgICBpZiAoZWwpIGVsLnNldEF0dHJpYnV0ZShhdHRyLCB2YWx1ZSk7CiAgfQoKICBmdW5jdGlvbiBidWlsZFNoYXJlVXJsKCkgewogICAgY29uc3QgdXJsID0gbmV3IFVSTChsb2NhdGlvbi5ocmVmKTsKICAgIHVybC5oYXNoID0gIiI7CiAgICByZXR1cm4gdXJsLnRvU3RyaW5nKCk7CiAgfQoKICBmdW5jdGlvbiBidWlsZE1ldGFUaXRsZShjYW1wVmFsdWUsIGRpc3BsYXlOYW1lLCBkaXNwbGF5Q29kZSkgewogICAgbGV0IHRpdGxlID0gYCR7Y2FtcFZhbHVlfSAke2Rpc3BsYXlOYW1lfWAudHJpbSgpOwogICAgaWYgKGRpc3BsYXlDb2RlKSB0aXRsZSArPSBgICR7ZGlzcGxheUNvZGV9YDsKICAgIHJldHVybiB0aXRsZSB8fCAi67Cw7IahIOyngOuPhCDqs7XsnKAiOwogIH0KCiAgZnVuY3Rpb24gdXBkYXRlTWV0YVRhZ3ModGl0bGUsIGRlc2NyaXB0aW9uKSB7CiAgICBjb25zdCBzaGFyZVVybCA9IGJ1aWxkU2hhcmVVcmwoKTsKCiAgICBkb2N1bWVudC50aXRsZSA9IHRpdGxlOwoKICAgIHNldE1ldGEoJ21ldGFbbmFtZT0iZGVzY3JpcHRpb24iXScsICdjb250ZW50JywgZGVzY3JpcHRpb24pOwoKICAgIHNldE1ldGEoJ21ldGFbcHJvcGVydHk9Im9nOnR5cGUiXScsICdjb250ZW50JywgJ3dlYnNpdGUnKTsKICAgIHNldE1ldGEoJ21ldGFbcHJvcGVydHk9Im9nOnNpdGVfbmFtZSJdJywgJ2NvbnRlbnQnLCAnTWFyb293ZWxsJyk7CiAgICBzZXRNZXRhKCdtZXRhW3Byb3BlcnR5PSJvZzpsb2NhbGUiXScsICdjb250ZW50JywgJ2tvX0tSJyk7CiAgICBzZXRNZXRhKCdtZXRhW3Byb3BlcnR5PSJvZzp0aXRsZSJdJywgJ2NvbnRlbnQnLCB0aXRsZSk7CiAgICBzZXRNZXRhKCdtZXRhW3Byb3BlcnR5PSJvZzpkZXNjcmlwdGlvbiJdJywgJ2NvbnRlbnQnLCBkZXNjcmlwdGlvbik7CiAgICBzZXRNZXRhKCdtZXRhW3Byb3BlcnR5PSJvZzp1cmwiXScsICdjb250ZW50Jywgc2hhcmVVcmwpOwogICAgc2V0TWV0YSgnbWV0YVtwcm9wZXJ0eT0ib2c6aW1hZ2UiXScsICdjb250ZW50JywgT0dfSU1BR0VfVVJMKTsKICAgIHNldE1ldGEoJ21ldGFbcHJvcGVydHk9Im9nOmltYWdlOnVybCJdJywgJ2NvbnRlbnQnLCBPR19JTUFHRV9VUkwpOwogICAgc2V0TWV0YSgnbWV0YVtwcm9wZXJ0eT0ib2c6aW1hZ2U6c2VjdXJlX3VybCJdJywgJ2NvbnRlbnQnLCBPR19JTUFHRV9VUkwpOwogICAgc2V0TWV0YSgnbWV0YVtwcm9wZXJ0eT0ib2c6aW1hZ2U6dHlwZSJdJywgJ2NvbnRlbnQnLCAnaW1hZ2UvcG5nJyk7CiAgICBzZXRNZXRhKCdtZXRhW3Byb3BlcnR5PSJvZzppbWFnZTp3aWR0aCJdJywgJ2NvbnRlbnQnLCAnMTIwMCcpOwogICAgc2V0TWV0YSgnbWV0YVtwcm9wZXJ0eT0ib2c6aW1hZ2U6aGVpZ2h0Il0nLCAnY29udGVudCcsICc2MzAnKTsKICAgIHNldE1ldGEoJ21ldGFbcHJvcGVydHk9Im9nOmltYWdlOmFsdCJdJywgJ2NvbnRlbnQnLCB0aXRsZSk7CgogICAgc2V0TWV0YSgnbWV0YVtuYW1lPSJ0d2l0dGVyOmNhcmQiXScsICdjb250ZW50JywgJ3N1bW1hcnlfbGFyZ2VfaW1hZ2UnKTsKICAgIHNldE1ldGEoJ21ldGFbbmFtZT0idHdpdHRlcjp0aXRsZSJdJywgJ2NvbnRlbnQnLCB0aXRsZSk7CiAgICBzZXRNZXRhKCdtZXRhW25hbWU9InR3aXR0ZXI6ZGVzY3JpcHRpb24iXScsICdjb250ZW50JywgZGVzY3JpcHRpb24pOwogICAgc2V0TWV0YSgnbWV0YVtuYW1lPSJ0d2l0dGVyOnVybCJdJywgJ2NvbnRlbnQnLCBzaGFyZVVybCk7CiAgICBzZXRNZXRhKCdtZXRhW25hbWU9InR3aXR0ZXI6aW1hZ2UiXScsICdjb250ZW50JywgT0dfSU1BR0VfVVJMKTsKICAgIHNldE1ldGEoJ21ldGFbbmFtZT0idHdpdHRlcjppbWFnZTphbHQiXScsICdjb250ZW50JywgdGl0bGUpOwoKICAgIHNldE1ldGEoJ2xpbmtbcmVsPSJjYW5vbmljYWwiXScsICdocmVmJywgc2hhcmVVcmwpOwogIH0KCiAgY29uc3QgbG9hZGluZyA9ICQoImxvYWRpbmciKTsKICBjb25zdCBuYXZpVG9DYW1wQnRuID0gJCgibmF2aVRvQ2FtcEJ0biIpOwogIGNvbnN0IG5hdmlUb0RlbGl2ZXJ5QnRuID0gJCgibmF2aVRvRGVsaXZlcnlCdG4iKTsKICBjb25zdCBjYW1wTmFtZSA9ICQoImNhbXBOYW1lIik7CiAgY29uc3QgY2FtcEFkZHJlc3MgPSAkKCJjYW1wQWRkcmVzcyIpOwogIGNvbnN0IGNvcHlBZGRyZXNzQnRuID0gJCgiY29weUFkZHJlc3NCdG4iKTsKICBjb25zdCBhZGRyZXNzUGFuZWwgPSAkKCJhZGRyZXNzUGFuZWwiKTsKICBjb25zdCBhZGRyZXNzTGlzdCA9ICQoImFkZHJlc3NMaXN0Iik7CiAgY29uc3Qgcm91dGVNb2RhbCA9ICQoInJvdXRlTW9kYWwiKTsKICBjb25zdCByb3V0ZUxpc3QgPSAkKCJyb3V0ZUxpc3QiKTsKICBjb25zdCByb3V0ZU1vZGFsVGl0bGUgPSAkKCJyb3V0ZU1vZGFsVGl0bGUiKTsKCiAgY29uc3QgbWFwVHlwZUJ0biA9ICQoIm1hcFR5cGVCdG4iKTsKICBjb25zdCByb2Fkdmlld0J0biA9ICQoInJvYWR2aWV3QnRuIik7CiAgY29uc3Qgcm9hZHZpZXdXcmFwID0gJCgicm9hZHZpZXdXcmFwIik7CiAgY29uc3QgcnZDbG9zZUJ0biA9ICQoInJ2Q2xvc2VCdG4iKTsKICBjb25zdCBydlRvQ2VudGVyQnRuID0gJCgicnZUb0NlbnRlckJ0biIpOwogIGNvbnN0IHJ2SGludCA9ICQoInJ2SGludCIpOwoKICBsZXQgbWFwLCBnZW9jb2RlcjsKCiAgbGV0IHJvYWR2aWV3ID0gbnVsbDsKICBsZXQgcm9hZHZpZXdDbGllbnQgPSBudWxsOwogIGxldCByb2Fkdmlld1Zpc2libGUgPSBmYWxzZTsKICBsZXQgcm9hZHZpZXdNYXJrZXIgPSBudWxsOwogIGxldCBsYXN0Um9hZHZpZXdMYXRMbmcgPSBudWxsOwoKICBsZXQgaXNTYXRlbGxpdGUgPSBmYWxzZTsKCiAgbGV0IGFsbFJvdXRlcyA9IFtdOwogIGxldCByb3V0ZURhdGEgPSBudWxsOwogIGxldCBhZGRyZXNzUm93cyA9IFtdOwoKICBjb25zdCBwYXJhbXMgPSBuZXcgVVJMU2VhcmNoUGFyYW1zKGxvY2F0aW9uLnNlYXJjaCk7CiAgY29uc3QgY2FtcCA9IHBhcmFtcy5nZXQoImNhbXAiKSB8fCAiIjsKICBjb25zdCBjb2RlID0gKHBhcmFtcy5nZXQoImNvZGUiKSB8fCAiIikucmVwbGFjZSgvJi4qJC8sICIiKS50cmltKCk7CgogIGNvbnN0IENPTE9SX1BBTEVUVEUgPSBbCiAgICAiIzAwQzJGRiIsICIjRkY0RDZEIiwgIiNGRkQxNjYiLCAiIzA2RDZBMCIsICIjQTc4QkZBIiwKICAgICIjRjk3MzE2IiwgIiMyMkM1NUUiLCAiI0UxMUQ0OCIsICIjM0I4MkY2IiwgIiNGNTlFMEIiCiAgXTsKCiAgZnVuY3Rpb24gaGFzaENvZGUoc3RyKSB7CiAgICBsZXQgaCA9IDA7CiAgICBmb3IgKGxldCBpID0gMDsgaSA8IHN0ci5sZW5ndGg7IGkrKykgewogICAgICBoID0gKGggPDwgNSkgLSBoICsgc3RyLmNoYXJDb2RlQXQoaSk7CiAgICAgIGggfD0gMDsKICAgIH0KICAgIHJldHVybiBNYXRoLmFicyhoKTsKICB9CgogIGZ1bmN0aW9uIGNvbG9yRm9yKGNvZGUpIHsKICAgIHJldHVybiBDT0xPUl9QQUxFVFRFW2hhc2hDb2RlKGNvZGUpICUgQ09MT1JfUEFMRVRURS5sZW5ndGhdOwogIH0KCiAgYXN5bmMgZnVuY3Rpb24gYXBpR2V0KHVybCkgewogICAgY29uc3QgcmVzID0gYXdhaXQgZmV0Y2godXJsLCB7IG1ldGhvZDogIkdFVCIgfSk7CiAgICBjb25zdCB0ZXh0ID0gYXdhaXQgcmVzLnRleHQoKTsKICAgIGxldCBqc29uID0gbnVsbDsKICAgIHRyeSB7IGpzb24gPSB0ZXh0ID8gSlNPTi5wYXJzZSh0ZXh0KSA6IG51bGw7IH0gY2F0Y2gge30KICAgIGlmICghcmVzLm9rKSB7CiAgICAgIGNvbnN0IG1zZyA9IGpzb24/LmVycm9yIHx8IHRleHQgfHwgYEhUVFAgJHtyZXMuc3RhdHVzfWA7CiAgICAgIHRocm93IG5ldyBFcnJvcihtc2cpOwogICAgfQogICAgcmV0dXJuIGpzb247CiAgfQoKICBmdW5jdGlvbiBwYXJzZVBvbHlnb25XZ3M4NCh2KSB7CiAgICBpZiAoIXYpIHJldHVybiBudWxsOwogICAgaWYgKEFycmF5LmlzQXJyYXkodikpIHJldHVybiB2OwogICAgaWYgKHR5cGVvZiB2ID09PSAic3RyaW5nIikgewogICAgICB0cnkgewogICAgICAgIGNvbnN0IHAgPSBKU09OLnBhcnNlKHYpOwogICAgICAgIGlmIChBcnJheS5pc0FycmF5KHApKSByZXR1cm4gcDsKICAgICAgfSBjYXRjaCAoZSkge30KICAgIH0KICAgIHJldHVybiBudWxsOwogIH0KCiAgZnVuY3Rpb24gY2VudHJvaWRPZkxhdExuZ3MobGF0bG5ncykgewogICAgbGV0IGxhdFN1bSA9IDAsIGxuZ1N1bSA9IDA7CiAgICBmb3IgKGNvbnN0IGxsIG9mIGxhdGxuZ3MpIHsKICAgICAgbGF0U3VtICs9IGxsLmdldExhdCgpOwogICAgICBsbmdTdW0gKz0gbGwuZ2V0TG5nKCk7CiAgICB9CiAgICByZXR1cm4gbmV3IGtha2FvLm1hcHMuTGF0TG5nKGxhdFN1bSAvIGxhdGxuZ3MubGVuZ3RoLCBsbmdTdW0gLyBsYXRsbmdzLmxlbmd0aCk7CiAgfQoKICBmdW5jdGlvbiBjcmVhdGVMYWJlbCh0ZXh0LCBwb3NpdGlvbiwgY29sb3IpIHsKICAgIGNvbnN0IGVsID0gZG9jdW1lbnQuY3JlYXRlRWxlbWVudCgiZGl2Iik7CiAgICBlbC5jbGFzc05hbWUgPSAicm91dGUtbGFiZWwiOwogICAgZWwuc3R5bGUuYm9yZGVyQ29sb3IgPSBjb2xvcjsKICAgIGVsLnN0eWxlLmJhY2tncm91bmQgPSBgbGluZWFyLWdyYWRpZW50KDEzNWRlZywgJHtjb2xvcn0xNCwgJHtjb2xvcn0yNilgOwogICAgZWwuaW5uZXJIVE1MID0gYPCfk6YgJHt0ZXh0fWA7CgogICAgcmV0dXJuIG5ldyBrYWthby5tYXBzLkN1c3RvbU92ZXJsYXkoewogICAgICBwb3NpdGlvbiwKICAgICAgY29udGVudDogZWwsCiAgICAgIHlBbmNob3I6IDAuNSwKICAgICAgekluZGV4OiAxMAogICAgfSk7CiAgfQoKICBmdW5jdGlvbiBleHRyYWN0UmluZ0xhdExuZ3MocG9seSkgewogICAgaWYgKCFwb2x5KSByZXR1cm4gW107CiAgICBjb25zdCBmaXJzdCA9IHBvbHlbMF07CiAgICBsZXQgcmluZyA9IG51bGw7CgogICAgaWYgKGZpcnN0ICYmIHR5cGVvZiBmaXJzdCA9PT0gIm9iamVjdCIgJiYgImxhdCIgaW4gZmlyc3QgJiYgImxuZyIgaW4gZmlyc3QpIHsKICAgICAgcmluZyA9IHBvbHk7CiAgICB9IGVsc2UgaWYgKEFycmF5LmlzQXJyYXkoZmlyc3QpKSB7CiAgICAgIGNvbnN0IGZpcnN0T2ZGaXJzdCA9IGZpcnN0WzBdOwoKICAgICAgaWYgKGZpcnN0T2ZGaXJzdCAmJiB0eXBlb2YgZmlyc3RPZkZpcnN0ID09PSAib2JqZWN0IiAmJiAibGF0IiBpbiBmaXJzdE9mRmlyc3QgJiYgImxuZyIgaW4gZmlyc3RPZkZpcnN0KSB7CiAgICAgICAgcmluZyA9IGZpcnN0OwogICAgICB9IGVsc2UgaWYgKEFycmF5LmlzQXJyYXkoZmlyc3RPZkZpcnN0KSAmJiBmaXJzdE9mRmlyc3QubGVuZ3RoID49IDIpIHsKICAgICAgICByaW5nID0gZmlyc3Q7CiAgICAgIH0gZWxzZSBpZiAodHlwZW9mIGZpcnN0T2ZGaXJzdCA9PT0gIm51bWJlciIpIHsKICAgICAgICByaW5nID0gcG9seTsKICAgICAgfQogICAgfQoKICAgIGlmICghQXJyYXkuaXNBcnJheShyaW5nKSkgcmV0dXJuIFtdOwoKICAgIHJldHVybiByaW5nLm1hcChwdCA9PiB7CiAgICAgIGlmIChwdCAmJiB0eXBlb2YgcHQgPT09ICJvYmplY3QiICYmICJsYXQiIGluIHB0ICYmICJsbmciIGluIHB0KSB7CiAgICAgICAgcmV0dXJuIHsgbGF0OiBOdW1iZXIocHQubGF0KSwgbG5nOiBOdW1iZXIocHQubG5nKSB9OwogICAgICB9CiAgICAgIGlmIChBcnJheS5pc0FycmF5KHB0KSAmJiBwdC5sZW5ndGggPj0gMikgewogICAgICAgIHJldHVybiB7IGxhdDogTnVtYmVyKHB0WzFdKSwgbG5nOiBOdW1iZXIocHRbMF0pIH07CiAgICAgIH0KICAgICAgcmV0dXJuIG51bGw7CiAgICB9KS5maWx0ZXIodiA9PiB2ICYmIGlzRmluaXRlKHYubGF0KSAmJiBpc0Zpbml0ZSh2LmxuZykpOwogIH0KCiAgZnVuY3Rpb24gY2VudHJvaWRMYXRMbmdPZlBvbHlnb25XZ3M4NChwb2x5Z29uX3dnczg0KSB7CiAgICBjb25zdCBwb2x5ID0gcGFyc2VQb2x5Z29uV2dzODQocG9seWdvbl93Z3M4NCk7CiAgICBpZiAoIXBvbHkpIHJldHVybiBudWxsOwoKICAgIGNvbnN0IHJpbmcgPSBleHRyYWN0UmluZ0xhdExuZ3MocG9seSk7CiAgICBpZiAoIXJpbmcgfHwgcmluZy5sZW5ndGggPCAzKSByZXR1cm4gbnVsbDsKCiAgICBsZXQgbGF0U3VtID0gMCwgbG5nU3VtID0gMDsKICAgIGZvciAoY29uc3QgcCBvZiByaW5nKSB7CiAgICAgIGxhdFN1bSArPSBwLmxhdDsKICAgICAgbG5nU3VtICs9IHAubG5nOwogICAgfQogICAgcmV0dXJuIHsgbGF0OiBsYXRTdW0gLyByaW5nLmxlbmd0aCwgbG5nOiBsbmdTdW0gLyByaW5nLmxlbmd0aCB9OwogIH0KCiAgZnVuY3Rpb24gZHJhd1BvbHlnb25zKHJvd3MpIHsKICAgIGlmICghcm93cyB8fCByb3dzLmxlbmd0aCA9PT0gMCkgcmV0dXJuOwoKICAgIGNvbnN0IGJvdW5kcyA9IG5ldyBrYWthby5tYXBzLkxhdExuZ0JvdW5kcygpOwogICAgbGV0IGhhc1BvbHlnb24gPSBmYWxzZTsKCiAgICBmb3IgKGNvbnN0IHJvdyBvZiByb3dzKSB7CiAgICAgIGNvbnN0IGZ1bGxDb2RlID0gcm93LmZ1bGxfY29kZSB8fCByb3cuY29kZSB8fCAiIjsKICAgICAgY29uc3QgY29sb3IgPSByb3cuY29sb3IgfHwgY29sb3JGb3IoZnVsbENvZGUpOwogICAgICBjb25zdCBwb2x5ID0gcGFyc2VQb2x5Z29uV2dzODQocm93LnBvbHlnb25fd2dzODQpOwoKICAgICAgaWYgKCFwb2x5IHx8ICFBcnJheS5pc0FycmF5KHBvbHkpIHx8IHBvbHkubGVuZ3RoID09PSAwKSBjb250aW51ZTsKCiAgICAgIGxldCByaW5ncyA9IFtdOwogICAgICBjb25zdCBmaXJzdCA9IHBvbHlbMF07CgogICAgICBpZiAoZmlyc3QgJiYgdHlwZW9mIGZpcnN0ID09PSAib2JqZWN0IiAmJiAibGF0IiBpbiBmaXJzdCAmJiAibG5nIiBpbiBmaXJzdCkgewogICAgICAgIHJpbmdzID0gW3BvbHldOwogICAgICB9IGVsc2UgaWYgKEFycmF5LmlzQXJyYXkoZmlyc3QpKSB7CiAgICAgICAgY29uc3QgZmlyc3RPZkZpcnN0ID0gZmlyc3RbMF07CiAgICAgICAgaWYgKGZpcnN0T2ZGaXJzdCAmJiB0eXBlb2YgZmlyc3RPZkZpcnN0ID09PSAib2JqZWN0IiAmJiAibGF0IiBpbiBmaXJzdE9mRmlyc3QgJiYgImxuZyIgaW4gZmlyc3RPZkZpcnN0KSB7CiAgICAgICAgICByaW5ncyA9IHBvbHk7CiAgICAgICAgfSBlbHNlIGlmIChBcnJheS5pc0FycmF5KGZpcnN0T2ZGaXJzdCkgJiYgZmlyc3RPZkZpcnN0Lmxlbmd0aCA+PSAyKSB7CiAgICAgICAgICByaW5ncyA9IHBvbHk7CiAgICAgICAgfSBlbHNlIGlmICh0eXBlb2YgZmlyc3RPZkZpcnN0ID09PSAibnVtYmVyIikgewogICAgICAgICAgcmluZ3MgPSBbcG9seV07CiAgICAgICAgfQogICAgICB9CgogICAgICBmb3IgKGNvbnN0IHJpbmcgb2YgcmluZ3MpIHsKICAgICAgICBpZiAoIUFycmF5LmlzQXJyYXkocmluZykgfHwgcmluZy5sZW5ndGggPCAzKSBjb250aW51ZTsKCiAgICAgICAgY29uc3QgbGF0bG5ncyA9IHJpbmcubWFwKHB0ID0+IHsKICAgICAgICAgIGlmIChwdCAmJiB0eXBlb2YgcHQgPT09ICJvYmplY3QiICYmICJsYXQiIGluIHB0ICYmICJsbmciIGluIHB0KSB7CiAgICAgICAgICAgIHJldHVybiBuZXcga2FrYW8ubWFwcy5MYXRMbmcocHQubGF0LCBwdC5sbmcpOwogICAgICAgICAgfSBlbHNlIGlmIChBcnJheS5pc0FycmF5KHB0KSAmJiBwdC5sZW5ndGggPj0gMikgewogICAgICAgICAgICByZXR1cm4gbmV3IGtha2FvLm1hcHMuTGF0TG5nKHB0WzFdLCBwdFswXSk7CiAgICAgICAgICB9CiAgICAgICAgICByZXR1cm4gbnVsbDsKICAgICAgICB9KS5maWx0ZXIobGwgPT4gbGwgIT09IG51bGwpOwoKICAgICAgICBpZiAobGF0bG5ncy5sZW5ndGggPCAzKSBjb250aW51ZTsKCiAgICAgICAgY29uc3QgcG9seWdvbiA9IG5ldyBrYWthby5tYXBzLlBvbHlnb24oewogICAgICAgICAgcGF0aDogbGF0bG5ncywKICAgICAgICAgIHN0cm9rZVdlaWdodDogMiwKICAgICAgICAgIHN0cm9rZUNvbG9yOiBjb2xvciwKICAgICAgICAgIHN0cm9rZU9wYWNpdHk6IDEuMCwKICAgICAgICAgIHN0cm9rZVN0eWxlOiAic29saWQiLAogICAgICAgICAgZmlsbENvbG9yOiBjb2xvciwKICAgICAgICAgIGZpbGxPcGFjaXR5OiAwLjIwLAogICAgICAgICAgekluZGV4OiAxCiAgICAgICAgfSk7CiAgICAgICAgcG9seWdvbi5zZXRNYXAobWFwKTsKCiAgICAgICAgY29uc3QgY2VudGVyID0gY2VudHJvaWRPZkxhdExuZ3MobGF0bG5ncyk7CiAgICAgICAgY29uc3QgbGFiZWwgPSBjcmVhdGVMYWJlbChmdWxsQ29kZSwgY2VudGVyLCBjb2xvcik7CiAgICAgICAgbGFiZWwuc2V0TWFwKG1hcCk7CgogICAgICAgIGxhdGxuZ3MuZm9yRWFjaChsbCA9PiBib3VuZHMuZXh0ZW5kKGxsKSk7CiAgICAgICAgaGFzUG9seWdvbiA9IHRydWU7CiAgICAgIH0KICAgIH0KCiAgICBpZiAoaGFzUG9seWdvbikgewogICAgICBtYXAuc2V0Qm91bmRzKGJvdW5kcyk7CiAgICB9CiAgfQoKICBmdW5jdGlvbiByZW5kZXJBZGRyZXNzTGlzdCgpIHsKICAgIGlmICghYWRkcmVzc1Jvd3MgfHwgYWRkcmVzc1Jvd3MubGVuZ3RoID09PSAwKSB7CiAgICAgIGFkZHJlc3NQYW5lbC5jbGFzc0xpc3QucmVtb3ZlKCJ2aXNpYmxlIik7CiAgICAgIHJldHVybjsKICAgIH0KCiAgICBhZGRyZXNzUGFuZWwuY2xhc3NMaXN0LmFkZCgidmlzaWJsZSIpOwogICAgYWRkcmVzc0xpc3QuaW5uZXJIVE1MID0gIiI7CgogICAgYWRkcmVzc1Jvd3MuZm9yRWFjaCgoYWRkciwgaWR4KSA9PiB7CiAgICAgIGNvbnN0IGl0ZW0gPSBkb2N1bWVudC5jcmVhdGVFbGVtZW50KCJkaXYiKTsKICAgICAgaXRlbS5jbGFzc05hbWUgPSAiYWRkcmVzcy1pdGVtIjsKCiAgICAgIGNvbnN0IGFkZHJlc3NUZXh0ID0gYWRkci5hZGRyZXNzIHx8IGFkZHIuZnVsbF9hZGRyZXNzIHx8ICLso7zshowg7JeG7J2MIjsKICAgICAgY29uc3QgZG9uZyA9IGFkZHIuZG9uZyA/IGAoJHthZGRyLmRvbmd9KWAgOiAiIjsKICAgICAgY29uc3QgemlwY29kZSA9IGFkZHIuemlwY29kZSA/IGDsmrDtjrjrsojtmLg6ICR7YWRkci56aXBjb2RlfWAgOiAiIjsKCiAgICAgIGl0ZW0uaW5uZXJIVE1MID0gYAogICAgICAgIDxkaXYgY2xhc3M9ImFkZHJlc3MtaW5mbyI+CiAgICAgICAgICA8ZGl2IGNsYXNzPSJhZGRyZXNzLXRleHQiPiR7aWR4ICsgMX0uICR7YWRkcmVzc1RleHR9ICR7ZG9uZ308L2Rpdj4KICAgICAgICAgIDxkaXYgY2xhc3M9ImFkZHJlc3MtbWV0YSI+JHt6aXBjb2RlfTwvZGl2PgogICAgICAgIDwvZGl2PgogICAgICAgIDxidXR0b24gY2xhc3M9ImJ0biI+8J+alyDquLjssL7quLA8L2J1dHRvbj4KICAgICAgYDsKCiAgICAgIGNvbnN0IGJ0biA9IGl0ZW0ucXVlcnlTZWxlY3RvcigiYnV0dG9uIik7CiAgICAgIGJ0bi5vbmNsaWNrID0gKCkgPT4gb3Blbk5hdmlUb0FkZHJlc3MoYWRkcik7CgogICAgICBhZGRyZXNzTGlzdC5hcHBlbmRDaGlsZChpdGVtKTsKICAgIH0pOwogIH0KCiAgcm91dGVNb2RhbC5vbmNsaWNrID0gKGUpID0+IHsKICAgIGlmIChlLnRhcmdldCA9PT0gcm91dGVNb2RhbCkgewogICAgICByb3V0ZU1vZGFsLmNsYXNzTGlzdC5yZW1vdmUoInZpc2libGUiKTsKICAgIH0KICB9OwoKICBmdW5jdGlvbiBnZW9jb2RlQXN5bmMoYWRkcmVzcykgewogICAgcmV0dXJuIG5ldyBQcm9taXNlKChyZXNvbHZlLCByZWplY3QpID0+IHsKICAgICAgZ2VvY29kZXIuYWRkcmVzc1NlYXJjaChhZGRyZXNzLCAocmVzdWx0LCBzdGF0dXMpID0+IHsKICAgICAgICBpZiAoc3RhdHVzICE9PSBrYWthby5tYXBzLnNlcnZpY2VzLlN0YXR1cy5PSyB8fCAhcmVzdWx0Py5sZW5ndGgpIHsKICAgICAgICAgIHJlamVjdChuZXcgRXJyb3IoIuyjvOyGjOulvCDssL7snYQg7IiYIOyXhuyKteuLiOuLpC4iKSk7CiAgICAgICAgICByZXR1cm47CiAgICAgICAgfQogICAgICAgIHJlc29sdmUoeyBsYXQ6IE51bWJlcihyZXN1bHRbMF0ueSksIGxuZzogTnVtYmVyKHJlc3VsdFswXS54KSB9KTsKICAgICAgfSk7CiAgICB9KTsKICB9CgogIGFzeW5jIGZ1bmN0aW9uIGdldENhbXBMYXRMbmcoKSB7CiAgICBpZiAoIXJvdXRlRGF0YSkgdGhyb3cgbmV3IEVycm9yKCLsuqDtlIQg642w7J207YSw6rCAIOyXhuyKteuLiOuLpC4iKTsKCiAgICBjb25zdCBsYXQgPQogICAgICBOdW1iZXIocm91dGVEYXRhLmRlbGl2ZXJ5X2xvY2F0aW9uX2xhdCA/PyByb3V0ZURhdGEuZGVsaXZlcnlfbGF0ID8/IHJvdXRlRGF0YS5sYXQgPz8gcm91dGVEYXRhLnkpOwogICAgY29uc3QgbG5nID0KICAgICAgTnVtYmVyKHJvdXRlRGF0YS5kZWxpdmVyeV9sb2NhdGlvbl9sbmcgPz8gcm91dGVEYXRhLmRlbGl2ZXJ5X2xuZyA/PyByb3V0ZURhdGEubG5nID8/IHJvdXRlRGF0YS54KTsKCiAgICBpZiAoaXNGaW5pdGUobGF0KSAmJiBpc0Zpbml0ZShsbmcpKSByZXR1cm4geyBsYXQsIGxuZyB9OwoKICAgIGNvbnN0IGFkZHIgPSByb3V0ZURhdGEuZGVsaXZlcnlfbG9jYXRpb25fYWRkcmVzczsKICAgIGlmICghYWRkcikgdGhyb3cgbmV3IEVycm9yKCLsuqDtlIQg7KO87IaM6rCAIOyXhuyKteuLiOuLpC4iKTsKICAgIHJldHVybiBhd2FpdCBnZW9jb2RlQXN5bmMoYWRkcik7CiAgfQoKICBmdW5jdGlvbiBvcGVuS2FrYW9Sb3V0ZSh7IHNwLCBlcCwgc3BOYW1lLCBlcE5hbWUgfSkgewogICAgY29uc3QgaXNNb2JpbGUgPSAvaVBob25lfGlQYWR8aVBvZHxBbmRyb2lkL2kudGVzdChuYXZpZ2F0b3IudXNlckFnZW50KTsKCiAgICBpZiAoaXNNb2JpbGUpIHsKICAgICAgbGV0IHVybCA9IGBrYWthb21hcDovL3JvdXRlP2J5PUNBUmA7CiAgICAgIGlmIChzcCkgdXJsICs9IGAmc3A9JHtzcC5sYXR9LCR7c3AubG5nfWA7CiAgICAgIGlmIChlcCkgdXJsICs9IGAmZXA9JHtlcC5sYXR9LCR7ZXAubG5nfWA7CiAgICAgIHdpbmRvdy5sb2NhdGlvbi5ocmVmID0gdXJsOwogICAgICByZXR1cm47CiAgICB9CgogICAgaWYgKHNwICYmIGVwKSB7CiAgICAgIGNvbnN0IHVybCA9CiAgICAgICAgYGh0dHBzOi8vbWFwLmtha2FvLmNvbS9saW5rL2Zyb20vJHtlbmNvZGVVUklDb21wb25lbnQoc3BOYW1lIHx8ICLstpzrsJwiKX0sJHtzcC5sYXR9LCR7c3AubG5nfWAgKwogICAgICAgIGAvdG8vJHtlbmNvZGVVUklDb21wb25lbnQoZXBOYW1lIHx8ICLrj4TssKkiKX0sJHtlcC5sYXR9LCR7ZXAubG5nfWA7CiAgICAgIHdpbmRvdy5vcGVuKHVybCwgIl9ibGFuayIpOwogICAgfSBlbHNlIGlmIChlcCkgewogICAgICBjb25zdCB1cmwgPQogICAgICAgIGBodHRwczovL21hcC5rYWthby5jb20vbGluay90by8ke2VuY29kZVVSSUNvbXBvbmVudChlcE5hbWUgfHwgIuuqqeyggeyngCIpfSwke2VwLmxhdH0sJHtlcC5sbmd9YDsKICAgICAgd2luZG93Lm9wZW4odXJsLCAiX2JsYW5rIik7CiAgICB9CiAgfQoKICBhc3luYyBmdW5jdGlvbiBvcGVuTmF2aUN1cnJlbnRUb0NhbXAoKSB7CiAgICB0cnkgewogICAgICBjb25zdCBjYW1wTGF0TG5nID0gYXdhaXQgZ2V0Q2FtcExhdExuZygpOwogICAgICBjb25zdCBlcE5hbWUgPSByb3V0ZURhdGE/LmRlbGl2ZXJ5X2xvY2F0aW9uX25hbWUgfHwgY2FtcCB8fCAi7Lqg7ZSEIjsKICAgICAgb3Blbktha2FvUm91dGUoeyBlcDogY2FtcExhdExuZywgZXBOYW1lIH0pOwogICAgfSBjYXRjaCAoZSkgewogICAgICBhbGVydCgi7Lqg7ZSEIOq4uOywvuq4sCDsi6TtjKg6ICIgKyBlLm1lc3NhZ2UpOwogICAgfQogIH0KCiAgZnVuY3Rpb24gc2hvd1N1YnJvdXRlTW9kYWxGb3JEZWxpdmVyeSgpIHsKICAgIGlmICghYWxsUm91dGVzIHx8IGFsbFJvdXRlcy5sZW5ndGggPT09IDApIHsKICAgICAgYWxlcnQoIuudvOyasO2KuCDsoJXrs7TqsIAg7JeG7Iq164uI64ukLiIpOwogICAgICByZXR1cm47CiAgICB9CgogICAgaWYgKGFsbFJvdXRlcy5sZW5ndGggPT09IDEpIHsKICAgICAgb3Blbk5hdmlDYW1wVG9TdWJyb3V0ZShhbGxSb3V0ZXNbMF0pOwogICAgICByZXR1cm47CiAgICB9CgogICAgcm91dGVNb2RhbFRpdGxlLnRleHRDb250ZW50ID0gIuuwsOyGoeyngCDshKDtg50o7ISc67iM65287Jqw7Yq4KSI7CiAgICByb3V0ZUxpc3QuaW5uZXJIVE1MID0gIiI7CgogICAgYWxsUm91dGVzLmZvckVhY2goKHIsIGlkeCkgPT4gewogICAgICBjb25zdCBpdGVtID0gZG9jdW1lbnQuY3JlYXRlRWxlbWVudCgiZGl2Iik7CiAgICAgIGl0ZW0uY2xhc3NOYW1lID0gInJvdXRlLWl0ZW0iOwoKICAgICAgY29uc3Qgcm91dGVDb2RlID0gci5mdWxsX2NvZGUgfHwgci5jb2RlIHx8IGDshJzruIzrnbzsmrDtirggJHtpZHggKyAxfWA7CiAgICAgIGNvbnN0IGluZm8xID0gIuy6oO2UhCDihpIg7ISg7YOdIOq1rOyXrSDspJHsi6wo7KKM7ZGcKSDquLjssL7quLAiOwoKICAgICAgaXRlbS5pbm5lckhUTUwgPSBgCiAgICAgICAgPGRpdiBjbGFzcz0icm91dGUtaXRlbS1jb2RlIj4ke3JvdXRlQ29kZX08L2Rpdj4KICAgICAgICA8ZGl2IGNsYXNzPSJyb3V0ZS1pdGVtLWluZm8iPiR7aW5mbzF9PC9kaXY+CiAgICAgIGA7CgogICAgICBpdGVtLm9uY2xpY2sgPSAoKSA9PiB7CiAgICAgICAgcm91dGVNb2RhbC5jbGFzc0xpc3QucmVtb3ZlKCJ2aXNpYmxlIik7CiAgICAgICAgb3Blbk5hdmlDYW1wVG9TdWJyb3V0ZShyKTsKICAgICAgfTsKCiAgICAgIHJvdXRlTGlzdC5hcHBlbmRDaGlsZChpdGVtKTsKICAgIH0pOwoKICAgIHJvdXRlTW9kYWwuY2xhc3NMaXN0LmFkZCgidmlzaWJsZSIpOwogIH0KCiAgYXN5bmMgZnVuY3Rpb24gb3Blbk5hdmlDYW1wVG9TdWJyb3V0ZShyb3V0ZSkgewogICAgdHJ5IHsKICAgICAgY29uc3Qgc3AgPSBhd2FpdCBnZXRDYW1wTGF0TG5nKCk7CiAgICAgIGNvbnN0IHNwTmFtZSA9IHJvdXRlRGF0YT8uZGVsaXZlcnlfbG9jYXRpb25fbmFtZSB8fCBjYW1wIHx8ICLsuqDtlIQiOwoKICAgICAgY29uc3QgbGF0ID0KICAgICAgICBOdW1iZXIocm91dGUuZGVsaXZlcnlfbGF0ID8/IHJvdXRlLmRlbGl2ZXJ5X2xvY2F0aW9uX2xhdCA/PyByb3V0ZS5sYXQgPz8gcm91dGUueSk7CiAgICAgIGNvbnN0IGxuZyA9CiAgICAgICAgTnVtYmVyKHJvdXRlLmRlbGl2ZXJ5X2xuZyA/PyByb3V0ZS5kZWxpdmVyeV9sb2NhdGlvbl9sbmcgPz8gcm91dGUubG5nID8/IHJvdXRlLngpOwoKICAgICAgbGV0IGVwID0gbnVsbDsKICAgICAgaWYgKGlzRmluaXRlKGxhdCkgJiYgaXNGaW5pdGUobG5nKSkgewogICAgICAgIGVwID0geyBsYXQsIGxuZyB9OwogICAgICB9IGVsc2UgewogICAgICAgIGVwID0gY2VudHJvaWRMYXRMbmdPZlBvbHlnb25XZ3M4NChyb3V0ZS5wb2x5Z29uX3dnczg0KTsKICAgICAgfQoKICAgICAgaWYgKCFlcCkgdGhyb3cgbmV3IEVycm9yKCLshJzruIzrnbzsmrDtirgg67Cw7Iah7KeAIOyijO2RnOulvCDrp4zrk6Qg7IiYIOyXhuyKteuLiOuLpC4iKTsKCiAgICAgIGNvbnN0IGVwTmFtZSA9IHJvdXRlLmZ1bGxfY29kZSB8fCByb3V0ZS5jb2RlIHx8ICLrsLDshqHsp4AiOwogICAgICBvcGVuS2FrYW9Sb3V0ZSh7IHNwLCBlcCwgc3BOYW1lLCBlcE5hbWUgfSk7CiAgICB9IGNhdGNoIChlKSB7CiAgICAgIGFsZXJ0KCLrsLDshqHsp4Ag7Jew64+ZIOyLpO2MqDogIiArIGUubWVzc2FnZSk7CiAgICB9CiAgfQoKICBmdW5jdGlvbiBvcGVuTmF2aVRvQWRkcmVzcyhhZGRyKSB7CiAgICBpZiAoIXJvdXRlRGF0YSkgewogICAgICBhbGVydCgi7Lqg7ZSEIOuNsOydtO2EsCDroZzrlKkg7KSR7J6F64uI64ukLiIpOwogICAgICByZXR1cm47CiAgICB9CgogICAgY29uc3QgYWRkcmVzc1RleHQgPSBhZGRyLmFkZHJlc3MgfHwgYWRkci5mdWxsX2FkZHJlc3M7CgogICAgY29uc3QgZW5kTGF0ID0gTnVtYmVyKGFkZHIubGF0ID8/IGFkZHIubGF0aXR1ZGUgPz8gYWRkci55KTsKICAgIGNvbnN0IGVuZExuZyA9IE51bWJlcihhZGRyLmxuZyA/PyBhZGRyLmxvbmdpdHVkZSA/PyBhZGRyLngpOwoKICAgIChhc3luYyAoKSA9PiB7CiAgICAgIHRyeSB7CiAgICAgICAgY29uc3Qgc3AgPSBhd2FpdCBnZXRDYW1wTGF0TG5nKCk7CiAgICAgICAgY29uc3Qgc3BOYW1lID0gcm91dGVEYXRhPy5kZWxpdmVyeV9sb2NhdGlvbl9uYW1lIHx8IGNhbXAgfHwgIuy6oO2UhCI7CgogICAgICAgIGlmIChpc0Zpbml0ZShlbmRMYXQpICYmIGlzRmluaXRlKGVuZExuZykpIHsKICAgICAgICAgIG9wZW5LYWthb1JvdXRlKHsKICAgICAgICAgICAgc3AsCiAgICAgICAgICAgIGVwOiB7IGxhdDogZW5kTGF0LCBsbmc6IGVuZExuZyB9LAogICAgICAgICAgICBzcE5hbWUsCiAgICAgICAgICAgIGVwTmFtZTogYWRkcmVzc1RleHQgfHwgIuuwsOyGoeyngCIKICAgICAgICAgIH0pOwogICAgICAgICAgcmV0dXJuOwogICAgICAgIH0KCiAgICAgICAgaWYgKCFhZGRyZXNzVGV4dCkgdGhyb3cgbmV3IEVycm9yKCLrsLDshqHsp4Ag7KO87IaMIOygleuztOqwgCDsl4bsirXri4jri6QuIik7CiAgICAgICAgY29uc3QgZXAgPSBhd2FpdCBnZW9jb2RlQXN5bmMoYWRkcmVzc1RleHQpOwoKICAgICAgICBvcGVuS2FrYW9Sb3V0ZSh7CiAgICAgICAgICBzcCwKICAgICAgICAgIGVwLAogICAgICAgICAgc3BOYW1lLAogICAgICAgICAgZXBOYW1lOiBhZGRyZXNzVGV4dAogICAgICAgIH0pOwogICAgICB9IGNhdGNoIChlKSB7CiAgICAgICAgYWxlcnQoIuq4uOywvuq4sCDsi6TtjKg6ICIgKyBlLm1lc3NhZ2UpOwogICAgICB9CiAgICB9KSgpOwogIH0KCiAgZnVuY3Rpb24gdG9nZ2xlU2F0ZWxsaXRlKCkgewogICAgaXNTYXRlbGxpdGUgPSAhaXNTYXRlbGxpdGU7CgogICAgaWYgKGlzU2F0ZWxsaXRlKSB7CiAgICAgIG1hcC5zZXRNYXBUeXBlSWQoa2FrYW8ubWFwcy5NYXBUeXBlSWQuSFlCUklEKTsKICAgICAgbWFwVHlwZUJ0bi50ZXh0Q29udGVudCA9ICLwn5e6IOydvOuwmCI7CiAgICAgIG1hcFR5cGVCdG4uY2xhc3NMaXN0LmFkZCgib24iKTsKICAgIH0gZWxzZSB7CiAgICAgIG1hcC5zZXRNYXBUeXBlSWQoa2FrYW8ubWFwcy5NYXBUeXBlSWQuUk9BRE1BUCk7CiAgICAgIG1hcFR5cGVCdG4udGV4dENvbnRlbnQgPSAi8J+bsCDsnITshLEiOwogICAgICBtYXBUeXBlQnRuLmNsYXNzTGlzdC5yZW1vdmUoIm9uIik7CiAgICB9CiAgfQoKICBmdW5jdGlvbiBlbnN1cmVSb2FkdmlldygpIHsKICAgIGlmIChyb2FkdmlldyAmJiByb2Fkdmlld0NsaWVudCkgcmV0dXJuOwoKICAgIHJvYWR2aWV3Q2xpZW50ID0gbmV3IGtha2FvLm1hcHMuUm9hZHZpZXdDbGllbnQoKTsKICAgIHJvYWR2aWV3ID0gbmV3IGtha2FvLm1hcHMuUm9hZHZpZXcoJCgicm9hZHZpZXciKSk7CgogICAgcm9hZHZpZXdNYXJrZXIgPSBuZXcga2FrYW8ubWFwcy5NYXJrZXIoewogICAgICBwb3NpdGlvbjogbWFwLmdldENlbnRlcigpCiAgICB9KTsKICB9CgogIGZ1bmN0aW9uIHNob3dSb2Fkdmlld0hpbnQob24pIHsKICAgIHJ2SGludC5jbGFzc0xpc3QudG9nZ2xlKCJ2aXNpYmxlIiwgISFvbik7CiAgfQoKICBmdW5jdGlvbiBzZXRSb2Fkdmlld0F0KGxhdGxuZykgewogICAgZW5zdXJlUm9hZHZpZXcoKTsKCiAgICBsYXN0Um9hZHZpZXdMYXRMbmcgPSBsYXRsbmc7CgogICAgcm9hZHZpZXdDbGllbnQuZ2V0TmVhcmVzdFBhbm9JZChsYXRsbmcsIDUwLCAocGFub0lkKSA9PiB7CiAgICAgIGlmICghcGFub0lkKSB7CiAgICAgICAgYWxlcnQoIuydtCDsnITsuZgg6re87LKY7JeQIOuhnOuTnOu3sOqwgCDsl4bsirXri4jri6QuICjsobDquIgg64uk66W4IOyngOygkOydhCDriIzrn6zrs7TshLjsmpQpIik7CiAgICAgICAgcmV0dXJuOwogICAgICB9CiAgICAgIHJvYWR2aWV3LnNldFBhbm9JZChwYW5vSWQsIGxhdGxuZyk7CiAgICAgIHJvYWR2aWV3TWFya2VyLnNldFBvc2l0aW9uKGxhdGxuZyk7CiAgICAgIHJvYWR2aWV3TWFya2VyLnNldE1hcChtYXApOwogICAgfSk7CiAgfQoKICBmdW5jdGlvbiB0b2dnbGVSb2FkdmlldygpIHsKICAgIHJvYWR2aWV3VmlzaWJsZSA9ICFyb2Fkdmlld1Zpc2libGU7CgogICAgaWYgKHJvYWR2aWV3VmlzaWJsZSkgewogICAgICByb2Fkdmlld1dyYXAuY2xhc3NMaXN0LmFkZCgidmlzaWJsZSIpOwogICAgICByb2Fkdmlld0J0bi5jbGFzc0xpc3QuYWRkKCJvbiIpOwogICAgICByb2Fkdmlld0J0bi50ZXh0Q29udGVudCA9ICLwn6e/IOuhnOuTnOu3sCBPTiI7CiAgICAgIHNob3dSb2Fkdmlld0hpbnQodHJ1ZSk7CgogICAgICBjb25zdCBjZW50ZXIgPSBtYXAuZ2V0Q2VudGVyKCk7CiAgICAgIHNldFJvYWR2aWV3QXQoY2VudGVyKTsKICAgIH0gZWxzZSB7CiAgICAgIHJvYWR2aWV3V3JhcC5jbGFzc0xpc3QucmVtb3ZlKCJ2aXNpYmxlIik7CiAgICAgIHJvYWR2aWV3QnRuLmNsYXNzTGlzdC5yZW1vdmUoIm9uIik7CiAgICAgIHJvYWR2aWV3QnRuLnRleHRDb250ZW50ID0gIvCfp78g66Gc65Oc67ewIjsKICAgICAgc2hvd1JvYWR2aWV3SGludChmYWxzZSk7CgogICAgICBpZiAocm9hZHZpZXdNYXJrZXIpIHJvYWR2aWV3TWFya2VyLnNldE1hcChudWxsKTsKICAgIH0KICB9CgogIGFzeW5jIGZ1bmN0aW9uIGxvYWREYXRhKCkgewogICAgdHJ5IHsKICAgICAgaWYgKCFjYW1wKSB0aHJvdyBuZXcgRXJyb3IoIuy6oO2UhCDsoJXrs7TqsIAg7JeG7Iq164uI64ukLiAoY2FtcCDtjIzrnbzrr7jthLAg7ZWE7JqUKSIpOwoKICAgICAgY29uc3QgY29kZXMgPSBjb2RlID8gY29kZS5zcGxpdCgvWyxcc10rLykubWFwKHMgPT4gcy50cmltKCkpLmZpbHRlcihCb29sZWFuKSA6IFtdOwoKICAgICAgY29uc3QgZmV0Y2hSb3V0ZXMgPSBhc3luYyAoc2luZ2xlQ29kZSkgPT4gewogICAgICAgIGNvbnN0IHUgPSBuZXcgVVJMKFJPVVRFX0VORFBPSU5UKTsKICAgICAgICB1LnNlYXJjaFBhcmFtcy5zZXQoImNhbXAiLCBjYW1wKTsKICAgICAgICB1LnNlYXJjaFBhcmFtcy5zZXQoIm1vZGUiLCAicHJlZml4Iik7CiAgICAgICAgaWYgKHNpbmdsZUNvZGUpIHUuc2VhcmNoUGFyYW1zLnNldCgiY29kZSIsIHNpbmdsZUNvZGUpOwogICAgICAgIGNvbnN0IGQgPSBhd2FpdCBhcGlHZXQodS50b1N0cmluZygpKTsKICAgICAgICByZXR1cm4gZD8ucm93cyB8fCBbXTsKICAgICAgfTsKCiAgICAgIGxldCByb3dzID0gW107CiAgICAgIGlmIChjb2Rlcy5sZW5ndGggPD0gMSkgewogICAgICAgIHJvd3MgPSBhd2FpdCBmZXRjaFJvdXRlcyhjb2Rlc1swXSB8fCAiIik7CiAgICAgIH0gZWxzZSB7CiAgICAgICAgZm9yIChjb25zdCBjIG9mIGNvZGVzKSB7CiAgICAgICAgICBjb25zdCBwYXJ0ID0gYXdhaXQgZmV0Y2hSb3V0ZXMoYyk7CiAgICAgICAgICBpZiAocGFydCAmJiBwYXJ0Lmxlbmd0aCkgcm93cy5wdXNoKC4uLnBhcnQpOwogICAgICAgIH0KICAgICAgICBjb25zdCBzZWVuID0gbmV3IFNldCgpOwogICAgICAgIHJvd3MgPSByb3dzLmZpbHRlcihyID0+IHsKICAgICAgICAgIGNvbnN0IGsgPSAociAmJiByLmlkICE9IG51bGwpID8gU3RyaW5nKHIuaWQpIDogYCR7cj8uY2FtcCB8fCAiIn0vJHtyPy5mdWxsX2NvZGUgfHwgcj8uY29kZSB8fCAiIn1gOwogICAgICAgICAgaWYgKHNlZW4uaGFzKGspKSByZXR1cm4gZmFsc2U7CiAgICAgICAgICBzZWVuLmFkZChrKTsKICAgICAgICAgIHJldHVybiB0cnVlOwogICAgICAgIH0pOwogICAgICB9CgogICAgICBpZiAoIXJvd3MubGVuZ3RoKSB0aHJvdyBuZXcgRXJyb3IoIuudvOyasO2KuCDrjbDsnbTthLDrpbwg7LC+7J2EIOyImCDsl4bsirXri4jri6QuIik7CgogICAgICBhbGxSb3V0ZXMgPSByb3dzOwogICAgICByb3V0ZURhdGEgPSByb3dzWzBdOwoKICAgICAgY29uc3QgZGlzcGxheU5hbWUgPSByb3V0ZURhdGEuZGVsaXZlcnlfbG9jYXRpb25fbmFtZSB8fCAi7Lqg7ZSEIjsKICAgICAgY29uc3QgZGlzcGxheUFkZHJlc3MgPSByb3V0ZURhdGEuZGVsaXZlcnlfbG9jYXRpb25fYWRkcmVzcyB8fCAi7KO87IaMIOygleuztCDsl4bsnYwiOwogICAgICBjb25zdCBkaXNwbGF5Q29kZSA9IGNvZGUgfHwgKGFsbFJvdXRlcy5sZW5ndGggPT09IDEgPyAoYWxsUm91dGVzWzBdLmZ1bGxfY29kZSB8fCBhbGxSb3V0ZXNbMF0uY29kZSB8fCAiIikgOiAiIik7CgogICAgICBjYW1wTmFtZS50ZXh0Q29udGVudCA9IGDwn5ONICR7Y2FtcH0gJHtkaXNwbGF5TmFtZX1gOwogICAgICBjYW1wQWRkcmVzcy50ZXh0Q29udGVudCA9IGRpc3BsYXlBZGRyZXNzOwoKICAgICAgY29uc3QgcGFnZVRpdGxlID0gYnVpbGRNZXRhVGl0bGUoY2FtcCwgZGlzcGxheU5hbWUsIGRpc3BsYXlDb2RlKTsKICAgICAgY29uc3QgcGFnZURlc2NyaXB0aW9uID0gYCR7cGFnZVRpdGxlfSDrsLDshqEg6rWs7Jet7J2EIO2ZleyduO2VmOyEuOyalGA7CiAgICAgIHVwZGF0ZU1ldGFUYWdzKHBhZ2VUaXRsZSwgcGFnZURlc2NyaXB0aW9uKTsKCiAgICAgIGlmIChkaXNwbGF5QWRkcmVzcyAmJiBkaXNwbGF5QWRkcmVzcyAhPT0gIuyjvOyGjCDsoJXrs7Qg7JeG7J2MIikgewogICAgICAgIGNvcHlBZGRyZXNzQnRuLnN0eWxlLmRpc3BsYXkgPSAiaW5saW5lLWJsb2NrIjsKICAgICAgfQoKICAgICAgZHJhd1BvbHlnb25zKGFsbFJvdXRlcyk7CgogICAgICB0cnkgewogICAgICAgIGxldCBtZXJnZWQgPSBbXTsKCiAgICAgICAgY29uc3QgZmV0Y2hBZGRycyA9IGFzeW5jIChzaW5nbGVDb2RlKSA9PiB7CiAgICAgICAgICBjb25zdCBhdSA9IG5ldyBVUkwoQUREUkVTU19FTkRQT0lOVCk7CiAgICAgICAgICBhdS5zZWFyY2hQYXJhbXMuc2V0KCJjYW1wIiwgY2FtcCk7CiAgICAgICAgICBpZiAoc2luZ2xlQ29kZSkgewogICAgICAgICAgICBhdS5zZWFyY2hQYXJhbXMuc2V0KCJjb2RlIiwgc2luZ2xlQ29kZSk7CiAgICAgICAgICAgIGF1LnNlYXJjaFBhcmFtcy5zZXQoIm1vZGUiLCAicHJlZml4Iik7CiAgICAgICAgICB9CiAgICAgICAgICBjb25zdCBhZCA9IGF3YWl0IGFwaUdldChhdS50b1N0cmluZygpKTsKICAgICAgICAgIHJldHVybiBhZD8ucm93cyB8fCBbXTsKICAgICAgICB9OwoKICAgICAgICBpZiAoY29kZXMubGVuZ3RoIDw9IDEpIHsKICAgICAgICAgIG1lcmdlZCA9IGF3YWl0IGZldGNoQWRkcnMoY29kZXNbMF0gfHwgIiIpOwogICAgICAgIH0gZWxzZSB7CiAgICAgICAgICBmb3IgKGNvbnN0IGMgb2YgY29kZXMpIHsKICAgICAgICAgICAgY29uc3QgcGFydCA9IGF3YWl0IGZldGNoQWRkcnMoYyk7CiAgICAgICAgICAgIGlmIChwYXJ0ICYmIHBhcnQubGVuZ3RoKSBtZXJnZWQucHVzaCguLi5wYXJ0KTsKICAgICAgICAgIH0KICAgICAgICAgIGNvbnN0IHNlZW4gPSBuZXcgU2V0KCk7CiAgICAgICAgICBtZXJnZWQgPSBtZXJnZWQuZmlsdGVyKHIgPT4gewogICAgICAgICAgICBjb25zdCBrID0gKHIgJiYgci5pZCAhPSBudWxsKSA/IFN0cmluZyhyLmlkKSA6IChyPy5hZGRyZXNzIHx8IHI/LmZ1bGxfYWRkcmVzcyB8fCBKU09OLnN0cmluZ2lmeShyKSk7CiAgICAgICAgICAgIGlmIChzZWVuLmhhcyhrKSkgcmV0dXJuIGZhbHNlOwogICAgICAgICAgICBzZWVuLmFkZChrKTsKICAgICAgICAgICAgcmV0dXJuIHRydWU7CiAgICAgICAgICB9KTsKICAgICAgICB9CgogICAgICAgIGFkZHJlc3NSb3dzID0gbWVyZ2VkOwogICAgICAgIHJlbmRlckFkZHJlc3NMaXN0KCk7CiAgICAgIH0gY2F0Y2ggKGFkZHJFcnIpIHsKICAgICAgICBjb25zb2xlLndhcm4oIuuwsOyGoeyngCDroZzrk5wg7Iuk7YyoKO2MqOuEkCk6IiwgYWRkckVycik7CiAgICAgIH0KCiAgICAgIGxvYWRpbmcuc3R5bGUuZGlzcGxheSA9ICJub25lIjsKCiAgICB9IGNhdGNoIChlcnIpIHsKICAgICAgY29uc29sZS5lcnJvcihlcnIpOwogICAgICBsb2FkaW5nLmlubmVySFRNTCA9IGAKICAgICAgICA8ZGl2IHN0eWxlPSJ0ZXh0LWFsaWduOmNlbnRlcjsgY29sb3I6I0ZGNEQ2RDsiPgogICAgICAgICAgPGRpdiBzdHlsZT0iZm9udC1zaXplOjQ4cHg7IG1hcmdpbi1ib3R0b206MTZweDsiPuKaoO+4jzwvZGl2PgogICAgICAgICAgPGRpdiBzdHlsZT0iZm9udC1zaXplOjE2cHg7IGZvbnQtd2VpZ2h0OjcwMDsgbWFyZ2luLWJvdHRvbTo4cHg7Ij7rjbDsnbTthLAg66Gc65OcIOyLpO2MqDwvZGl2PgogICAgICAgICAgPGRpdiBzdHlsZT0iZm9udC1zaXplOjEzcHg7IGNvbG9yOnZhcigtLW11dGVkKTsiPiR7ZXJyLm1lc3NhZ2V9PC9kaXY+CiAgICAgICAgPC9kaXY+CiAgICAgIGA7CiAgICB9CiAgfQoKICBmdW5jdGlvbiBpbml0KCkgewogICAgY29uc3QgYm9vdFRpdGxlID0gY2FtcCAmJiBjb2RlID8gYCR7Y2FtcH0gJHtjb2RlfWAgOiAoY2FtcCB8fCAi67Cw7IahIOyngOuPhCDqs7XsnKAiKTsKICAgIGNvbnN0IGJvb3REZXNjcmlwdGlvbiA9IGNhbXAgPyBgJHtib290VGl0bGV9IOuwsOyGoSDqtazsl63snYQg7ZmV7J247ZWY7IS47JqUYCA6ICLrsLDshqEg6rWs7JetIOuwjyDqsr3roZzrpbwg7ZmV7J247ZWY7IS47JqUIjsKICAgIHVwZGF0ZU1ldGFUYWdzKGJvb3RUaXRsZSwgYm9vdERlc2NyaXB0aW9uKTsKCiAgICBrYWthby5tYXBzLmxvYWQoKCkgPT4gewogICAgICBjb25zdCBjZW50ZXIgPSBuZXcga2FrYW8ubWFwcy5MYXRMbmcoMzcuNTY2NSwgMTI2Ljk3OCk7CiAgICAgIG1hcCA9IG5ldyBrYWthby5tYXBzLk1hcCgkKCJtYXAiKSwgewogICAgICAgIGNlbnRlciwKICAgICAgICBsZXZlbDogOCwKICAgICAgICBkcmFnZ2FibGU6IHRydWUsCiAgICAgICAgc2Nyb2xsd2hlZWw6IHRydWUsCiAgICAgICAgZGlzYWJsZURvdWJsZUNsaWNrWm9vbTogZmFsc2UKICAgICAgfSk7CiAgICAgIGdlb2NvZGVyID0gbmV3IGtha2FvLm1hcHMuc2VydmljZXMuR2VvY29kZXIoKTsKCiAgICAgIGNvbnN0IHpvb21Db250cm9sID0gbmV3IGtha2FvLm1hcHMuWm9vbUNvbnRyb2woKTsKICAgICAgbWFwLmFkZENvbnRyb2woem9vbUNvbnRyb2wsIGtha2FvLm1hcHMuQ29udHJvbFBvc2l0aW9uLlJJR0hUKTsKCiAgICAgIG1hcFR5cGVCdG4ub25jbGljayA9IHRvZ2dsZVNhdGVsbGl0ZTsKCiAgICAgIHJvYWR2aWV3QnRuLm9uY2xpY2sgPSAoKSA9PiB7CiAgICAgICAgdG9nZ2xlUm9hZHZpZXcoKTsKICAgICAgfTsKCiAgICAgIHJ2Q2xvc2VCdG4ub25jbGljayA9ICgpID0+IHsKICAgICAgICBpZiAocm9hZHZpZXdWaXNpYmxlKSB0b2dnbGVSb2FkdmlldygpOwogICAgICB9OwoKICAgICAgcnZUb0NlbnRlckJ0bi5vbmNsaWNrID0gKCkgPT4gewogICAgICAgIGlmICghcm9hZHZpZXdWaXNpYmxlKSByZXR1cm47CiAgICAgICAgY29uc3QgYyA9IG1hcC5nZXRDZW50ZXIoKTsKICAgICAgICBzZXRSb2Fkdmlld0F0KGMpOwogICAgICB9OwoKICAgICAga2FrYW8ubWFwcy5ldmVudC5hZGRMaXN0ZW5lcihtYXAsICJjbGljayIsIChtb3VzZUV2ZW50KSA9PiB7CiAgICAgICAgaWYgKCFyb2Fkdmlld1Zpc2libGUpIHJldHVybjsKICAgICAgICBzZXRSb2Fkdmlld0F0KG1vdXNlRXZlbnQubGF0TG5nKTsKICAgICAgfSk7CgogICAgICBuYXZpVG9DYW1wQnRuLm9uY2xpY2sgPSAoKSA9PiB7CiAgICAgICAgaWYgKCFyb3V0ZURhdGEpIHJldHVybiBhbGVydCgi642w7J207YSwIOuhnOuUqSDspJEuLi4iKTsKICAgICAgICBvcGVuTmF2aUN1cnJlbnRUb0NhbXAoKTsKICAgICAgfTsKCiAgICAgIG5hdmlUb0RlbGl2ZXJ5QnRuLm9uY2xpY2sgPSAoKSA9PiB7CiAgICAgICAgaWYgKCFyb3V0ZURhdGEpIHJldHVybiBhbGVydCgi642w7J207YSwIOuhnOuUqSDspJEuLi4iKTsKICAgICAgICBzaG93U3Vicm91dGVNb2RhbEZvckRlbGl2ZXJ5KCk7CiAgICAgIH07CgogICAgICBjb3B5QWRkcmVzc0J0bi5vbmNsaWNrID0gKCkgPT4gewogICAgICAgIGNvbnN0IGFkZHJlc3MgPSBjYW1wQWRkcmVzcy50ZXh0Q29udGVudDsKICAgICAgICBuYXZpZ2F0b3IuY2xpcGJvYXJkLndyaXRlVGV4dChhZGRyZXNzKS50aGVuKCgpID0+IHsKICAgICAgICAgIGNvbnN0IG9yaWdpbmFsVGV4dCA9IGNvcHlBZGRyZXNzQnRuLnRleHRDb250ZW50OwogICAgICAgICAgY29weUFkZHJlc3NCdG4udGV4dENvbnRlbnQgPSAi4pyTIOuzteyCrOuQqCI7CiAgICAgICAgICBzZXRUaW1lb3V0KCgpID0+IHsgY29weUFkZHJlc3NCdG4udGV4dENvbnRlbnQgPSBvcmlnaW5hbFRleHQ7IH0sIDIwMDApOwogICAgICAgIH0pLmNhdGNoKGVyciA9PiB7CiAgICAgICAgICBhbGVydCgi67O17IKsIOyLpO2MqDogIiArIGVyci5tZXNzYWdlKTsKICAgICAgICB9KTsKICAgICAgfTsKCiAgICAgIGxvYWREYXRhKCk7CiAgICB9KTsKICB9CgogIGluaXQoKTsKfSkoKTsKPC9zY3JpcHQ+CjwvYm9keT4KPC9odG1sPgo=";
+function latToTileY(lat, z) {
+  const rad = (lat * Math.PI) / 180;
+  return Math.floor(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * 2 ** z);
+}
 
-function decodeBase64Utf8(b64) {
-  const bin = atob(String(b64 || ""));
-  const bytes = new Uint8Array(bin.length);
-  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
-  return new TextDecoder().decode(bytes);
+function tileBBox(x, y, z) {
+  const n = 2 ** z;
+  const lat = (ty) => (Math.atan(Math.sinh(Math.PI * (1 - (2 * ty) / n))) * 180) / Math.PI;
+  return [(x / n) * 360 - 180, lat(y + 1), ((x + 1) / n) * 360 - 180, lat(y)];
 }
 
-async function fetchShareTemplateFromOrigin(_request) {
-  const text = decodeBase64Utf8(SHARE_TEMPLATE_B64);
-  if (!text || !/<html[\s>]/i.test(text)) {
-    throw new Error("Embedded share template is invalid html");
-  }
-  return text;
+function parseOsmBBox(raw) {
+  const parts = safeTrim(raw).split(",").map(Number);
+  if (parts.length !== 4 || parts.some((n) => !Number.isFinite(n))) return null;
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (minLng >= maxLng || minLat >= maxLat) return null;
+  if (minLng < -180 || maxLng > 180 || minLat < -85 || maxLat > 85) return null;
+  return parts;
 }
 
-async function handleShareHtml(request, url, env) {
-  const v = safeTrim(url.searchParams.get("v"));
-  if (!/^\d{12}$/.test(v)) {
-    const next = new URL(url.toString());
-    next.searchParams.set("v", getKstYYYYMMDDHHMM());
-    return new Response(null, {
-      status: 302,
-      headers: {
-        Location: next.toString(),
-        "Cache-Control": "no-store",
-      },
-    });
+function osmTilesForBBox([minLng, minLat, maxLng, maxLat], z = OSM_TILE_ZOOM) {
+  const x0 = lngToTileX(minLng, z);
+  const x1 = lngToTileX(maxLng, z);
+  const y0 = latToTileY(maxLat, z);
+  const y1 = latToTileY(minLat, z);
+  const tiles = [];
+  for (let x = x0; x <= x1; x++) {
+    for (let y = y0; y <= y1; y++) tiles.push({ x, y, z });
   }
+  return tiles;
+}
 
-  const camp = safeTrim(url.searchParams.get("camp"));
-  const code = safeTrim(url.searchParams.get("code"));
+function osmTileCacheKey({ x, y, z }) {
+  return `osm/v${OSM_TILE_SCHEMA}/${z}/${x}/${y}`;
+}
 
-  let ogTitle = "배송 지도 공유";
-  let ogDescription = "배송 구역 및 경로를 확인하세요";
+function osmCoords(geometry) {
+  return (geometry || [])
+    .filter((g) => typeof g?.lat === "number" && typeof g?.lon === "number")
+    .map((g) => [g.lon, g.lat]);
+}
 
-  if (camp) {
-    try {
-      const q = new URLSearchParams();
-      q.set("select", "camp,full_code,delivery_location_name,delivery_location_address");
-      q.set("camp", `eq.${camp}`);
-      if (code) q.set("full_code", `like.${code}%`);
-      q.set("order", "full_code.asc");
-      q.set("limit", "1");
+function osmIsClosed(coords) {
+  return coords.length >= 4 && samePoint(coords[0], coords[coords.length - 1]);
+}
 
-      const rows = await supabaseFetch(env, `/rest/v1/${ROUTE_TABLE}?${q.toString()}`, { method: "GET" });
-      const out = Array.isArray(rows) ? rows : [];
-      await hydrateRouteRowsWithCamps(out, env);
-      const row = out[0];
+// oneway=yes/true/1 → 1, -1/reverse → -1. 로터리·고속도로는 태그가 없어도 일방통행.
+function osmOneway(tags) {
+  const v = safeTrim(tags.oneway).toLowerCase();
+  if (v === "yes" || v === "true" || v === "1") return 1;
+  if (v === "-1" || v === "reverse") return -1;
+  if (v === "no" || v === "false" || v === "0") return 0;
+  if (tags.junction === "roundabout" || tags.highway === "motorway") return 1;
+  return 0;
+}
 
-      if (row) {
-        const locationAddr = safeTrim(row.delivery_location_address);
-        const fullCode = safeTrim(code || row.full_code);
+function osmLayerOf(tags) {
+  if (tags.highway) return "roads";
+  if (tags.building) return "buildings";
+  if (tags.landuse === "residential") return "complexes";
+  return null;
+}
 
-        ogTitle = fullCode ? `${camp} ${fullCode}`.trim() : `${camp} 배송지도`.trim();
-        ogDescription = fullCode
-          ? `${camp} ${fullCode} 배송 구역을 확인하세요`.trim()
-          : `${camp} 배송 구역을 확인하세요`.trim();
+function osmProperties(layer, tags) {
+  const name = safeTrim(tags.name) || null;
+  if (layer === "roads") {
+    return {
+      class: tags.highway,
+      name,
+      ref: safeTrim(tags.ref) || null,
+      oneway: osmOneway(tags),
+      lanes: parseMaybeNumber(tags.lanes),
+    };
+  }
+  if (layer === "buildings") {
+    return {
+      building: tags.building === "yes" ? null : tags.building,
+      levels: parseMaybeNumber(tags["building:levels"]),
+      name,
+      housenumber: safeTrim(tags["addr:housenumber"]) || null,
+      apartment: tags.building === "apartments",
+    };
+  }
+  return { landuse: tags.landuse, name };
+}
 
-        if (locationAddr) ogDescription = `${locationAddr} · ${ogDescription}`;
-      } else if (code) {
-        ogTitle = `${camp} ${code}`.trim();
-        ogDescription = `${camp} ${code} 배송 구역을 확인하세요`.trim();
-      } else {
-        ogTitle = `${camp} 배송지도`.trim();
-        ogDescription = `${camp} 배송 구역을 확인하세요`.trim();
+// multipolygon 의 outer/inner 멤버 way 를 끝점끼리 이어 닫힌 ring 들로 만든다.
+function joinOsmRings(parts) {
+  const rings = [];
+  const open = parts.filter((c) => c.length >= 2).map((c) => c.slice());
+  while (open.length) {
+    let ring = open.shift();
+    let extended = true;
+    while (!osmIsClosed(ring) && extended) {
+      extended = false;
+      const tail = ring[ring.length - 1];
+      for (let i = 0; i < open.length; i++) {
+        const c = open[i];
+        if (samePoint(c[0], tail)) ring = ring.concat(c.slice(1));
+        else if (samePoint(c[c.length - 1], tail)) ring = ring.concat(c.slice(0, -1).reverse());
+        else continue;
+        open.splice(i, 1);
+        extended = true;
+        break;
       }
-    } catch {
-      ogTitle = code ? `${camp} ${code}`.trim() : `${camp} 배송지도`.trim();
-      ogDescription = code
-        ? `${camp} ${code} 배송 구역을 확인하세요`.trim()
-        : `${camp} 배송 구역을 확인하세요`.trim();
     }
+    if (osmIsClosed(ring)) rings.push(ring);
   }
+  return rings;
+}
 
-  let html = await fetchShareTemplateFromOrigin(request);
-
-  const versionedOgImageUrl = buildVersionedAssetUrl(OG_IMAGE_URL, v);
-
-  const safeTitle = escapeHtmlAttr(ogTitle);
-  const safeDesc = escapeHtmlAttr(ogDescription);
-  const safeUrl = escapeHtmlAttr(url.toString());
-  const safeImg = escapeHtmlAttr(versionedOgImageUrl);
-  const safeFav = escapeHtmlAttr(FAVICON_URL);
-
-  html = removeHtmlTags(html, [
-    /<title[^>]*>[\s\S]*?<\/title>\s*/gi,
-    /<meta\s+name=["']description["'][^>]*>\s*/gi,
-    /<meta\s+name=["']robots["'][^>]*>\s*/gi,
-    /<meta\s+property=["']og:[^"']+["'][^>]*>\s*/gi,
-    /<meta\s+name=["']twitter:[^"']+["'][^>]*>\s*/gi,
-    /<link\s+rel=["']canonical["'][^>]*>\s*/gi,
-    /<link\s+rel=["']icon["'][^>]*>\s*/gi,
-    /<link\s+rel=["']shortcut icon["'][^>]*>\s*/gi,
-    /<link\s+rel=["']apple-touch-icon["'][^>]*>\s*/gi,
-  ]);
+function osmMultipolygonGeometry(members) {
+  const outers = joinOsmRings(members.filter((m) => m.type === "way" && m.role !== "inner").map((m) => osmCoords(m.geometry)));
+  const inners = joinOsmRings(members.filter((m) => m.type === "way" && m.role === "inner").map((m) => osmCoords(m.geometry)));
+  if (!outers.length) return null;
 
-  const seoBlock = [
-    `  <title>${safeTitle}</title>`,
-    `  <meta name="description" content="${safeDesc}" />`,
-    `  <meta name="robots" content="index,follow,max-image-preview:large" />`,
-    ``,
-    `  <meta property="og:type" content="website" />`,
-    `  <meta property="og:site_name" content="Maroowell" />`,
-    `  <meta property="og:locale" content="ko_KR" />`,
-    `  <meta property="og:title" content="${safeTitle}" />`,
-    `  <meta property="og:description" content="${safeDesc}" />`,
-    `  <meta property="og:url" content="${safeUrl}" />`,
-    `  <meta property="og:image" content="${safeImg}" />`,
-    `  <meta property="og:image:url" content="${safeImg}" />`,
-    `  <meta property="og:image:secure_url" content="${safeImg}" />`,
-    `  <meta property="og:image:type" content="image/png" />`,
-    `  <meta property="og:image:width" content="1200" />`,
-    `  <meta property="og:image:height" content="630" />`,
-    `  <meta property="og:image:alt" content="${safeTitle}" />`,
-    ``,
-    `  <meta name="twitter:card" content="summary_large_image" />`,
-    `  <meta name="twitter:title" content="${safeTitle}" />`,
-    `  <meta name="twitter:description" content="${safeDesc}" />`,
-    `  <meta name="twitter:url" content="${safeUrl}" />`,
-    `  <meta name="twitter:image" content="${safeImg}" />`,
-    `  <meta name="twitter:image:alt" content="${safeTitle}" />`,
-    ``,
-    `  <link rel="canonical" href="${safeUrl}" />`,
-    `  <link rel="icon" type="image/x-icon" href="${safeFav}" />`,
-    `  <link rel="shortcut icon" href="${safeFav}" />`,
-    `  <link rel="apple-touch-icon" href="${safeFav}" />`,
-  ].join("\n");
+  const polygons = outers.map((outer) => [outer]);
+  for (const inner of inners) {
+    const owner = polygons.find(([outer]) => pointInRing(inner[0], outer));
+    if (owner) owner.push(inner);
+  }
+  return polygons.length === 1 ? { type: "Polygon", coordinates: polygons[0] } : { type: "MultiPolygon", coordinates: polygons };
+}
 
-  html = prependHeadBlock(html, seoBlock);
+function parseOverpassElements(elements) {
+  const features = [];
+
+  for (const el of elements || []) {
+    if (!el || !el.tags) continue;
+    const layer = osmLayerOf(el.tags);
+    if (!layer) continue;
+
+    let geometry = null;
+    if (el.type === "way" && Array.isArray(el.geometry)) {
+      const coords = osmCoords(el.geometry);
+      if (layer === "roads") {
+        if (coords.length >= 2) geometry = { type: "LineString", coordinates: coords };
+      } else if (osmIsClosed(coords)) {
+        geometry = { type: "Polygon", coordinates: [coords] };
+      }
+    } else if (el.type === "relation" && el.tags.type === "multipolygon" && Array.isArray(el.members) && layer !== "roads") {
+      geometry = osmMultipolygonGeometry(el.members);
+    }
+    if (!geometry) continue;
 
-  html = html.replace(
-    /const\s+OG_IMAGE_URL\s*=\s*["'][^"']*["'];/i,
-    `const OG_IMAGE_URL = ${quoteJsString(versionedOgImageUrl)};`
-  );
+    features.push({
+      type: "Feature",
+      id: `${el.type}/${el.id}`,
+      geometry,
+      properties: { layer, osm_type: el.type, osm_id: el.id, ...osmProperties(layer, el.tags) },
+    });
+  }
 
-  return new Response(html, {
-    status: 200,
-    headers: {
-      "Content-Type": "text/html; charset=utf-8",
-      "Cache-Control": "no-store",
-      "Access-Control-Allow-Origin": "*",
-    },
-  });
+  return features;
 }
 
-// ---------- /osm ----------
-async function handleOsmGet(url) {
-  const bboxStr = safeTrim(url.searchParams.get("bbox"));
-  const parts = bboxStr.split(",").map(Number);
-  if (parts.length !== 4 || parts.some((n) => Number.isNaN(n))) {
-    return json({ error: "bbox is required: minLng,minLat,maxLng,maxLat" }, 400);
-  }
-
-  const [minLng, minLat, maxLng, maxLat] = parts;
+async function fetchOverpassTile(tile) {
+  const [minLng, minLat, maxLng, maxLat] = tileBBox(tile.x, tile.y, tile.z);
   const bbox = `${minLat},${minLng},${maxLat},${maxLng}`;
 
   const query = `
 [out:json][timeout:25];
 (
   way["highway"](${bbox});
-);
-out geom;
-(
   way["building"](${bbox});
+  relation["building"]["type"="multipolygon"](${bbox});
+  way["landuse"="residential"](${bbox});
+  relation["landuse"="residential"]["type"="multipolygon"](${bbox});
 );
 out geom;
 `;
 
-  const overpassUrl = "https://overpass-api.de/api/interpreter";
-  const res = await fetch(overpassUrl, {
+  const res = await fetch(OSM_OVERPASS_URL, {
     method: "POST",
     headers: {
       "Content-Type": "application/x-www-form-urlencoded; charset=utf-8",
@@ -1089,39 +5914,196 @@ out geom;
   });
 
   const text = await res.text();
-  if (!res.ok) return json({ error: `Overpass error: ${text || res.status}` }, 502);
+  if (!res.ok) throw httpError(502, `Overpass error: ${text || res.status}`);
 
   let data;
   try {
     data = JSON.parse(text);
   } catch {
-    return json({ error: "Overpass returned invalid JSON" }, 502);
+    throw httpError(502, "Overpass returned invalid JSON");
+  }
+  return parseOverpassElements(data?.elements);
+}
+
+// Cache API → KV → Overpass 순서로 찾고, Overpass 에서 가져온 타일은 양쪽에 넣는다.
+async function loadOsmTile(env, tile, executionCtx = null) {
+  const key = osmTileCacheKey(tile);
+  const cache = edgeCache();
+  const cacheKey = new Request(`${EDGE_CACHE_ORIGIN}/${key}`);
+  const kv = env.OSM_TILE_KV && typeof env.OSM_TILE_KV.get === "function" ? env.OSM_TILE_KV : null;
+
+  if (cache) {
+    const hit = await cache.match(cacheKey);
+    if (hit) return { data: await hit.json(), source: "cache" };
+  }
+
+  let data = kv ? await kv.get(key, "json") : null;
+  const source = data ? "kv" : "overpass";
+  if (!data) data = await fetchOverpassTile(tile);
+
+  const body = JSON.stringify(data);
+  if (cache) {
+    await afterResponse(executionCtx, cache.put(cacheKey, new Response(body, {
+      headers: { "Content-Type": "application/json", "Cache-Control": `public, max-age=${OSM_TILE_TTL_SECONDS}` },
+    })));
+  }
+  if (kv && source === "overpass") await afterResponse(executionCtx, kv.put(key, body, { expirationTtl: OSM_TILE_TTL_SECONDS }));
+  return { data, source };
+}
+
+function geometryLines(geometry) {
+  if (geometry.type === "LineString") return [geometry.coordinates];
+  if (geometry.type === "Polygon") return geometry.coordinates;
+  if (geometry.type === "MultiPolygon") return geometry.coordinates.flat();
+  return [];
+}
+
+function geometryIntersectsBBox(geometry, [minLng, minLat, maxLng, maxLat]) {
+  const [x0, y0, x1, y1] = ringBBox(geometryLines(geometry).flat());
+  return x0 <= maxLng && x1 >= minLng && y0 <= maxLat && y1 >= minLat;
+}
+
+// Douglas-Peucker. tolerance 는 m 단위, 캠프 규모라 등장방형 투영으로 충분하다.
+function simplifyLine(coords, toleranceM, projector) {
+  if (coords.length <= 2 || !(toleranceM > 0)) return coords;
+  const xy = coords.map(projector.toXY);
+  const keep = new Uint8Array(coords.length);
+  keep[0] = 1;
+  keep[coords.length - 1] = 1;
+  const stack = [[0, coords.length - 1]];
+  while (stack.length) {
+    const [a, b] = stack.pop();
+    const [ax, ay] = xy[a];
+    const [bx, by] = xy[b];
+    const len = Math.hypot(bx - ax, by - ay);
+    let maxD = 0;
+    let idx = -1;
+    for (let i = a + 1; i < b; i++) {
+      const [px, py] = xy[i];
+      const d = len === 0 ? Math.hypot(px - ax, py - ay) : Math.abs((bx - ax) * (ay - py) - (ax - px) * (by - ay)) / len;
+      if (d > maxD) {
+        maxD = d;
+        idx = i;
+      }
+    }
+    if (idx >= 0 && maxD > toleranceM) {
+      keep[idx] = 1;
+      stack.push([a, idx], [idx, b]);
+    }
+  }
+  return coords.filter((_, i) => keep[i]);
+}
+
+// zoom 에서 1픽셀이 몇 m 인지 (Web Mercator, 256px 타일)
+function metersPerPixel(zoom, lat) {
+  return (2 * Math.PI * EARTH_RADIUS_M * Math.cos((lat * Math.PI) / 180)) / (256 * 2 ** zoom);
+}
+
+// 폴리곤은 닫힌 ring(4점 이상)이 남는 것만 두고, 바깥 ring 이 뭉개지면 그 면을 뺀다.
+function simplifyGeometry(geometry, toleranceM, projector) {
+  const line = (c) => simplifyLine(c, toleranceM, projector);
+  const polygon = (rings) => {
+    const [outer, ...holes] = rings.map(line);
+    return osmIsClosed(outer) ? [outer, ...holes.filter(osmIsClosed)] : null;
+  };
+  if (geometry.type === "LineString") return { ...geometry, coordinates: line(geometry.coordinates) };
+  if (geometry.type === "Polygon") {
+    const rings = polygon(geometry.coordinates);
+    return rings ? { ...geometry, coordinates: rings } : null;
+  }
+  if (geometry.type === "MultiPolygon") {
+    const polys = geometry.coordinates.map(polygon).filter(Boolean);
+    return polys.length ? { ...geometry, coordinates: polys } : null;
   }
+  return geometry;
+}
+
+function parseOsmLayers(raw) {
+  const list = safeTrim(raw).split(",").map(safeTrim).filter(Boolean);
+  if (!list.length) return OSM_LAYERS;
+  const unknown = list.filter((l) => !OSM_LAYERS.includes(l));
+  if (unknown.length) throw httpError(400, `unknown layers: ${unknown.join(",")} (${OSM_LAYERS.join(", ")})`);
+  return Array.from(new Set(list));
+}
 
-  const elements = data?.elements || [];
-  const roads = [];
-  const buildings = [];
+async function handleOsmGet(url, env, executionCtx = null) {
+  const bbox = parseOsmBBox(url.searchParams.get("bbox"));
+  if (!bbox) return json({ error: "bbox is required: minLng,minLat,maxLng,maxLat" }, 400);
+  const layers = parseOsmLayers(url.searchParams.get("layers"));
 
-  for (const el of elements) {
-    if (!el || !el.type || !Array.isArray(el.geometry)) continue;
-    const coords = el.geometry
-      .filter((g) => typeof g?.lat === "number" && typeof g?.lon === "number")
-      .map((g) => [g.lon, g.lat]);
+  const tiles = osmTilesForBBox(bbox);
+  if (tiles.length > OSM_MAX_TILES) {
+    return json({ error: "bbox_too_large", tiles: tiles.length, max_tiles: OSM_MAX_TILES, tile_zoom: OSM_TILE_ZOOM }, 400);
+  }
 
-    if (coords.length < 2) continue;
+  const zoomRaw = parseMaybeNumber(url.searchParams.get("zoom"));
+  const zoom = zoomRaw == null ? null : Math.max(0, Math.min(22, zoomRaw));
 
-    const isHighway = el.tags && el.tags.highway;
-    const isBuilding = el.tags && el.tags.building;
+  const stats = { cache: 0, kv: 0, overpass: 0 };
+  const loaded = [];
+  for (const batch of chunkArray(tiles, OSM_FETCH_CONCURRENCY)) {
+    const results = await Promise.all(batch.map((tile) => loadOsmTile(env, tile, executionCtx)));
+    for (const r of results) {
+      stats[r.source] += 1;
+      loaded.push(r.data);
+    }
+  }
 
-    if (isHighway) roads.push({ id: el.id, coords });
-    else if (isBuilding && coords.length >= 3) buildings.push({ id: el.id, coords });
+  // 여러 타일에 걸친 way/relation 은 타일마다 전체 geometry 로 오므로 id 로 한 번만 남긴다.
+  const seen = new Map();
+  for (const tile of loaded) {
+    for (const f of tile || []) {
+      if (seen.has(f.id) || !layers.includes(f.properties.layer)) continue;
+      if (geometryIntersectsBBox(f.geometry, bbox)) seen.set(f.id, f);
+    }
+  }
+  let features = Array.from(seen.values());
+
+  if (zoom != null) {
+    const projector = makeLocalProjector((bbox[0] + bbox[2]) / 2, (bbox[1] + bbox[3]) / 2);
+    const tolerance = metersPerPixel(zoom, (bbox[1] + bbox[3]) / 2) * OSM_SIMPLIFY_PIXELS;
+    features = features
+      .map((f) => ({ ...f, geometry: simplifyGeometry(f.geometry, tolerance, projector) }))
+      .filter((f) => f.geometry);
   }
 
-  return json({ roads, buildings }, 200, { "Cache-Control": "public, max-age=60" });
+  const counts = Object.fromEntries(layers.map((l) => [l, features.filter((f) => f.properties.layer === l).length]));
+  return json(
+    {
+      type: "FeatureCollection",
+      features,
+      layers: counts,
+      tiles: { zoom: OSM_TILE_ZOOM, count: tiles.length, ...stats },
+      simplified_for_zoom: zoom,
+    },
+    200,
+    { "Cache-Control": "public, max-age=3600" }
+  );
 }
 
 // ---------- zipcode boundary API ----------
-async function handleZipGet(zipcode) {
+// 기본 응답은 polygon5179/center5179 그대로. format=geojson 이면 GeoJSON Feature 로,
+// srid=4326(기본) 이면 서버에서 WGS84 로 바꿔 준다.
+// 좌표 변환과 Feature 만들기는 zip-api(index-worker.js) 와 같이 쓰는 zip-geojson.js 에 있다.
+function parseZipFormat(url) {
+  const format = safeTrim(url?.searchParams.get("format")).toLowerCase();
+  if (!format) return null;
+  if (format !== "geojson") throw httpError(400, "format 은 geojson 만 지원");
+  const srid = parseMaybeNumber(url.searchParams.get("srid")) ?? 4326;
+  if (!ZIP_GEOJSON_SRIDS.includes(srid)) throw httpError(400, `srid 는 ${ZIP_GEOJSON_SRIDS.join(" 또는 ")}`);
+  return { format, srid };
+}
+
+async function handleZipGet(zipcode, url = null) {
+  const format = parseZipFormat(url);
+  const result = await fetchZipBoundary(zipcode);
+  if (result.error) return json(result.error, result.status);
+  if (format) return json(zipBoundaryToFeature(result.data, format.srid), 200, { "Content-Type": "application/geo+json; charset=utf-8" });
+  return json(result.data);
+}
+
+// juso.go.kr 경계 조회. 실패 시 { error, status } 를, 성공 시 { data } 를 돌려준다.
+async function fetchZipBoundary(zipcode) {
   const apiUrl = "https://www.juso.go.kr/api/totalMap/selectKarbSbdList";
 
   const payload = {
@@ -1164,15 +6146,15 @@ async function handleZipGet(zipcode) {
   });
 
   if (!apiRes.ok) {
-    return json({ error: "주소정보 API 호출 실패", status: apiRes.status }, 502);
+    return { error: { error: "주소정보 API 호출 실패", status: apiRes.status }, status: 502 };
   }
 
   const data = await apiRes.json();
   if (!data?.results?.content || !Array.isArray(data.results.content)) {
-    return json({ error: "응답 데이터 형식 오류", response: data }, 500);
+    return { error: { error: "응답 데이터 형식 오류", response: data }, status: 500 };
   }
   if (data.results.content.length === 0) {
-    return json({ error: "해당 우편번호의 경계 데이터가 없음", zipcode }, 404);
+    return { error: { error: "해당 우편번호의 경계 데이터가 없음", zipcode }, status: 404 };
   }
 
   const item = data.results.content[0];
@@ -1184,18 +6166,18 @@ async function handleZipGet(zipcode) {
   };
 
   if (!item.geom) {
-    return json({ error: "geom 필드가 없음", item }, 500);
+    return { error: { error: "geom 필드가 없음", item }, status: 500 };
   }
 
   let geojson;
   try {
     geojson = typeof item.geom === "string" ? JSON.parse(item.geom) : item.geom;
   } catch (e) {
-    return json({ error: "GeoJSON 파싱 실패", detail: String(e), geom: item.geom }, 500);
+    return { error: { error: "GeoJSON 파싱 실패", detail: String(e), geom: item.geom }, status: 500 };
   }
 
   if (geojson.type !== "MultiPolygon" || !Array.isArray(geojson.coordinates)) {
-    return json({ error: "예상치 못한 geometry 타입", type: geojson.type }, 500);
+    return { error: { error: "예상치 못한 geometry 타입", type: geojson.type }, status: 500 };
   }
 
   const polygon5179 = geojson.coordinates;
@@ -1216,5 +6198,5 @@ async function handleZipGet(zipcode) {
     if (count > 0) center5179 = [sumX / count, sumY / count];
   }
 
-  return json({ zipcode, srid: 5179, center5179, polygon5179, metadata });
+  return { data: { zipcode, srid: 5179, center5179, polygon5179, metadata } };
 }
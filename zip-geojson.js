@@ -0,0 +1,189 @@
+/**
+ * 우편번호 경계 좌표 변환 / GeoJSON 공용 모듈
+ *
+ * route-api(worker.js) 와 zip-api(index-worker.js) 가 같이 import 한다 (wrangler 가 각 워커에 번들).
+ * - EPSG:5179 <-> WGS84 변환
+ * - polygon5179 의 면적 가중 중심·면적
+ * - { zipcode, polygon5179, metadata } → GeoJSON Feature (?format=geojson&srid=)
+ */
+
+// ---------- EPSG:5179 <-> WGS84 ----------
+// Korea 2000 / Unified CS (GRS80 횡메르카토르). juso.go.kr 경계가 이 좌표계로 온다.
+export const EPSG5179 = {
+  a: 6378137,
+  f: 1 / 298.257222101,
+  k0: 0.9996,
+  lat0: (38 * Math.PI) / 180,
+  lon0: (127.5 * Math.PI) / 180,
+  x0: 1000000,
+  y0: 2000000,
+};
+
+function tmMeridianArc(phi, a, e2) {
+  const e4 = e2 * e2;
+  const e6 = e4 * e2;
+  return a * (
+    (1 - e2 / 4 - (3 * e4) / 64 - (5 * e6) / 256) * phi -
+    ((3 * e2) / 8 + (3 * e4) / 32 + (45 * e6) / 1024) * Math.sin(2 * phi) +
+    ((15 * e4) / 256 + (45 * e6) / 1024) * Math.sin(4 * phi) -
+    ((35 * e6) / 3072) * Math.sin(6 * phi)
+  );
+}
+
+export function wgs84ToEpsg5179([lng, lat]) {
+  const { a, f, k0, lat0, lon0, x0, y0 } = EPSG5179;
+  const e2 = 2 * f - f * f;
+  const ep2 = e2 / (1 - e2);
+  const phi = (lat * Math.PI) / 180;
+  const lam = (lng * Math.PI) / 180;
+
+  const sin = Math.sin(phi);
+  const cos = Math.cos(phi);
+  const tan = Math.tan(phi);
+  const N = a / Math.sqrt(1 - e2 * sin * sin);
+  const T = tan * tan;
+  const C = ep2 * cos * cos;
+  const A = (lam - lon0) * cos;
+  const M = tmMeridianArc(phi, a, e2);
+  const M0 = tmMeridianArc(lat0, a, e2);
+
+  const x = x0 + k0 * N * (
+    A + ((1 - T + C) * A ** 3) / 6 +
+    ((5 - 18 * T + T * T + 72 * C - 58 * ep2) * A ** 5) / 120
+  );
+  const y = y0 + k0 * (
+    M - M0 + N * tan * (
+      (A * A) / 2 + ((5 - T + 9 * C + 4 * C * C) * A ** 4) / 24 +
+      ((61 - 58 * T + T * T + 600 * C - 330 * ep2) * A ** 6) / 720
+    )
+  );
+  return [x, y];
+}
+
+export function epsg5179ToWgs84([x, y]) {
+  const { a, f, k0, lat0, lon0, x0, y0 } = EPSG5179;
+  const e2 = 2 * f - f * f;
+  const ep2 = e2 / (1 - e2);
+  const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+
+  const M = tmMeridianArc(lat0, a, e2) + (y - y0) / k0;
+  const mu = M / (a * (1 - e2 / 4 - (3 * e2 * e2) / 64 - (5 * e2 ** 3) / 256));
+  const phi1 = mu +
+    ((3 * e1) / 2 - (27 * e1 ** 3) / 32) * Math.sin(2 * mu) +
+    ((21 * e1 * e1) / 16 - (55 * e1 ** 4) / 32) * Math.sin(4 * mu) +
+    ((151 * e1 ** 3) / 96) * Math.sin(6 * mu) +
+    ((1097 * e1 ** 4) / 512) * Math.sin(8 * mu);
+
+  const sin = Math.sin(phi1);
+  const cos = Math.cos(phi1);
+  const tan = Math.tan(phi1);
+  const C1 = ep2 * cos * cos;
+  const T1 = tan * tan;
+  const N1 = a / Math.sqrt(1 - e2 * sin * sin);
+  const R1 = (a * (1 - e2)) / (1 - e2 * sin * sin) ** 1.5;
+  const D = (x - x0) / (N1 * k0);
+
+  const phi = phi1 - ((N1 * tan) / R1) * (
+    (D * D) / 2 -
+    ((5 + 3 * T1 + 10 * C1 - 4 * C1 * C1 - 9 * ep2) * D ** 4) / 24 +
+    ((61 + 90 * T1 + 298 * C1 + 45 * T1 * T1 - 252 * ep2 - 3 * C1 * C1) * D ** 6) / 720
+  );
+  const lam = lon0 + (
+    D - ((1 + 2 * T1 + C1) * D ** 3) / 6 +
+    ((5 - 2 * C1 + 28 * T1 - 3 * C1 * C1 + 8 * ep2 + 24 * T1 * T1) * D ** 5) / 120
+  ) / cos;
+
+  return [(lam * 180) / Math.PI, (phi * 180) / Math.PI];
+}
+
+// ---------- GeoJSON ----------
+export const ZIP_GEOJSON_SRIDS = [4326, 5179];
+
+export function isXYPoint(pt) {
+  return Array.isArray(pt) && pt.length >= 2 && Number.isFinite(Number(pt[0])) && Number.isFinite(Number(pt[1]));
+}
+
+// 면적 가중 중심과 면적(m²)은 미터 좌표계인 5179 에서 구한다. 구멍 ring 은 빼고, ring 방향은 따지지 않는다.
+export function polygonStats5179(polygon5179) {
+  let area = 0;
+  let cx = 0;
+  let cy = 0;
+  for (const polygon of polygon5179 || []) {
+    (polygon || []).forEach((ring, i) => {
+      const pts = (ring || []).filter(isXYPoint).map((pt) => [Number(pt[0]), Number(pt[1])]);
+      if (pts.length < 3) return;
+      const [x0, y0] = pts[0];
+      let a = 0;
+      let sx = 0;
+      let sy = 0;
+      for (let k = 0, j = pts.length - 1; k < pts.length; j = k++) {
+        const xj = pts[j][0] - x0;
+        const yj = pts[j][1] - y0;
+        const xk = pts[k][0] - x0;
+        const yk = pts[k][1] - y0;
+        const cross = xj * yk - xk * yj;
+        a += cross;
+        sx += (xj + xk) * cross;
+        sy += (yj + yk) * cross;
+      }
+      if (a === 0) return;
+      const ringArea = Math.abs(a) / 2;
+      const sign = i === 0 ? 1 : -1;
+      area += sign * ringArea;
+      cx += sign * ringArea * (x0 + sx / (3 * a));
+      cy += sign * ringArea * (y0 + sy / (3 * a));
+    });
+  }
+  if (!(area > 0)) return { areaM2: 0, centroid5179: null };
+  return { areaM2: Math.round(area * 10) / 10, centroid5179: [cx / area, cy / area] };
+}
+
+export function roundCoord(pt, digits) {
+  const k = 10 ** digits;
+  return [Math.round(Number(pt[0]) * k) / k, Math.round(Number(pt[1]) * k) / k];
+}
+
+// GeoJSON ring 은 첫 점과 끝 점이 같아야 한다 (RFC 7946). juso 경계는 닫혀 오지 않기도 한다.
+function closeRing(ring) {
+  if (ring.length < 3) return null;
+  const [fx, fy] = ring[0];
+  const [lx, ly] = ring[ring.length - 1];
+  const closed = fx === lx && fy === ly ? ring : [...ring, [fx, fy]];
+  return closed.length >= 4 ? closed : null;
+}
+
+export function zipBoundaryToFeature(data, srid = 4326) {
+  const { areaM2, centroid5179 } = polygonStats5179(data.polygon5179);
+  const toOut = srid === 4326 ? (pt) => roundCoord(epsg5179ToWgs84(pt.map(Number)), 7) : (pt) => roundCoord(pt, 3);
+  // 바깥 ring 이 깨진 polygon 은 통째로 뺀다 (구멍 ring 이 바깥으로 올라오지 않게).
+  const coordinates = [];
+  for (const polygon of data.polygon5179) {
+    const rings = polygon.map((ring) => closeRing(ring.filter(isXYPoint).map(toOut)));
+    if (rings[0]) coordinates.push(rings.filter(Boolean));
+  }
+
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (const [x, y] of coordinates.flat(2)) {
+    if (x < minX) minX = x;
+    if (y < minY) minY = y;
+    if (x > maxX) maxX = x;
+    if (y > maxY) maxY = y;
+  }
+
+  return {
+    type: "Feature",
+    id: data.zipcode,
+    bbox: [minX, minY, maxX, maxY],
+    geometry: { type: "MultiPolygon", coordinates },
+    properties: {
+      zipcode: data.zipcode,
+      srid,
+      area_m2: areaM2,
+      centroid: centroid5179 ? toOut(centroid5179) : null,
+      ...data.metadata,
+    },
+  };
+}